@@ -2,10 +2,14 @@ import React, { useState } from 'react';
 import Sidebar from './components/Sidebar';
 import ChatPanel from './components/ChatPanel';
 import LinkPreview from './components/LinkPreview';
+import ItineraryPanel from './components/ItineraryPanel';
 import KnowledgeBase from './components/KnowledgeBase';
 import AdminPage from './components/AdminPage';
+import AgentSettingsPanel from './components/AgentSettingsPanel';
 import ArtifactPanel from './components/ArtifactPanel';
+import ApprovalDialog from './components/ApprovalDialog';
 import { useChat } from './hooks/useChat';
+import { useGeolocation } from './hooks/useGeolocation';
 import { useTheme } from './hooks/useTheme';
 
 // Get API key from environment or use empty string (user should configure via .env)
@@ -14,18 +18,27 @@ const MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
 export default function App() {
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [previewUrl, setPreviewUrl] = useState(null);
+  const [itineraryId, setItineraryId] = useState(null);
   const [showKnowledgeBase, setShowKnowledgeBase] = useState(false);
   const [showAdmin, setShowAdmin] = useState(false);
+  const [showAgentSettings, setShowAgentSettings] = useState(false);
 
   const { themeName, setTheme, customColors, updateCustomColor, resetCustomToPreset } = useTheme();
 
+  const geolocation = useGeolocation();
+
   const {
     conversationId,
     messages,
     conversations,
     loading,
     currentTitle,
+    summary,
+    saveSummary,
     send,
+    stop,
+    pendingApprovals,
+    resolveApproval,
     loadConversation,
     newConversation,
     deleteConversation,
@@ -33,15 +46,24 @@ export default function App() {
     toggleTool,
     loadTools,
     currentArtifact,
-    setCurrentArtifact
-  } = useChat();
+    setCurrentArtifact,
+    uploadMapFile,
+    mapView,
+    reportMapView
+  } = useChat({ getLocation: geolocation.getPosition });
 
   const handleLinkClick = (url) => {
     if (url.startsWith('place:') || url.startsWith('http')) {
       setPreviewUrl(url);
+      setItineraryId(null);
     }
   };
 
+  const handleOpenItinerary = (tripId) => {
+    setItineraryId(tripId);
+    setPreviewUrl(null);
+  };
+
   const handleClosePreview = () => {
     setPreviewUrl(null);
   };
@@ -59,8 +81,9 @@ export default function App() {
         onNew={newConversation}
         onDelete={deleteConversation}
         collapsed={sidebarCollapsed}
-        onOpenKnowledgeBase={() => { setShowKnowledgeBase(true); setShowAdmin(false); }}
-        onOpenAdmin={() => { setShowAdmin(true); setShowKnowledgeBase(false); }}
+        onOpenKnowledgeBase={() => { setShowKnowledgeBase(true); setShowAdmin(false); setShowAgentSettings(false); }}
+        onOpenAdmin={() => { setShowAdmin(true); setShowKnowledgeBase(false); setShowAgentSettings(false); }}
+        onOpenAgentSettings={() => { setShowAgentSettings(true); setShowKnowledgeBase(false); setShowAdmin(false); }}
       />
 
       <main className="main-content">
@@ -68,26 +91,49 @@ export default function App() {
           messages={messages}
           loading={loading}
           title={currentTitle}
+          conversationId={conversationId}
+          summary={summary}
+          onSaveSummary={saveSummary}
           onSend={send}
+          onStop={stop}
           onLinkClick={handleLinkClick}
           onMenuToggle={toggleSidebar}
-          previewOpen={!!previewUrl}
+          previewOpen={!!previewUrl || !!itineraryId}
           mapsApiKey={MAPS_API_KEY}
           tools={availableTools}
           onToggleTool={toggleTool}
           onOpenArtifact={setCurrentArtifact}
           artifactOpen={!!currentArtifact}
+          onOpenItinerary={handleOpenItinerary}
+          onUploadMapFile={uploadMapFile}
+          geolocation={geolocation}
+          mapView={mapView}
+          onMapViewChange={reportMapView}
         />
       </main>
 
       <LinkPreview url={previewUrl} onClose={handleClosePreview} />
 
+      <ItineraryPanel
+        tripId={itineraryId}
+        refreshKey={`${messages.length}:${loading}`}
+        mapsApiKey={MAPS_API_KEY}
+        onPlaceClick={(place) => handleLinkClick(`place:${place.placeId}`)}
+        onClose={() => setItineraryId(null)}
+      />
+
       <ArtifactPanel artifact={currentArtifact} onClose={() => setCurrentArtifact(null)} />
 
+      <ApprovalDialog approval={pendingApprovals[0] || null} onResolve={resolveApproval} />
+
       {showKnowledgeBase && (
         <KnowledgeBase onClose={() => setShowKnowledgeBase(false)} />
       )}
 
+      {showAgentSettings && (
+        <AgentSettingsPanel onClose={() => setShowAgentSettings(false)} />
+      )}
+
       {showAdmin && (
         <AdminPage
           onClose={() => setShowAdmin(false)}
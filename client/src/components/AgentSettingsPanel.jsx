@@ -0,0 +1,28 @@
+import React from 'react';
+import ModelSettings from './ModelSettings';
+import GeoIpSettings from './GeoIpSettings';
+import MapsUsage from './MapsUsage';
+
+// Side panel with the agent's runtime settings cards, opened from the sidebar
+export default function AgentSettingsPanel({ onClose }) {
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h2>Agent Settings</h2>
+        <button className="kb-close-btn" onClick={onClose}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none"
+               stroke="currentColor" strokeWidth="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+
+      <div className="admin-tab-content">
+        <ModelSettings />
+        <GeoIpSettings />
+        <MapsUsage />
+      </div>
+    </div>
+  );
+}
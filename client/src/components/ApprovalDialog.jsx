@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+
+// Strings are edited as plain text; everything else as JSON
+function toFieldValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function fromFieldValue(original, text) {
+  if (typeof original === 'string') return text;
+  return JSON.parse(text);
+}
+
+export default function ApprovalDialog({ approval, onResolve }) {
+  const [fields, setFields] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the proposed arguments whenever a new call needs approval
+  useEffect(() => {
+    if (!approval) return;
+    const initial = {};
+    for (const [key, value] of Object.entries(approval.args || {})) {
+      initial[key] = toFieldValue(value);
+    }
+    setFields(initial);
+    setError(null);
+  }, [approval]);
+
+  if (!approval) return null;
+
+  const proposed = approval.args || {};
+  const edited = Object.keys(fields).some(key => fields[key] !== toFieldValue(proposed[key]));
+
+  const submit = async (approved) => {
+    let args = null;
+    if (approved && edited) {
+      try {
+        args = {};
+        for (const [key, text] of Object.entries(fields)) {
+          args[key] = fromFieldValue(proposed[key], text);
+        }
+      } catch {
+        setError('One of the fields is not valid JSON');
+        return;
+      }
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await onResolve(approval, approved, args);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="approval-overlay">
+      <div className="approval-dialog" role="dialog" aria-labelledby="approval-title">
+        <div className="approval-header" id="approval-title">
+          Allow <code>{approval.name}</code>?
+        </div>
+        <p className="approval-hint">
+          The assistant wants to run this tool. Review or edit the arguments before it continues.
+        </p>
+
+        <div className="approval-fields">
+          {Object.keys(fields).length === 0 && (
+            <div className="approval-empty">This call has no arguments.</div>
+          )}
+          {Object.entries(fields).map(([key, value]) => (
+            <label key={key} className="approval-field">
+              <span className="approval-field-name">{key}</span>
+              <textarea
+                className="approval-field-input"
+                value={value}
+                onChange={(e) => setFields(prev => ({ ...prev, [key]: e.target.value }))}
+                rows={Math.min(8, Math.max(1, value.split('\n').length))}
+                disabled={submitting}
+              />
+            </label>
+          ))}
+        </div>
+
+        {error && <div className="summary-error">{error}</div>}
+        <div className="approval-actions">
+          <button className="mcp-btn danger" onClick={() => submit(false)} disabled={submitting}>
+            Reject
+          </button>
+          <button className="mcp-btn primary" onClick={() => submit(true)} disabled={submitting}>
+            {edited ? 'Approve with edits' : 'Approve'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { useSavedPlaces } from '../hooks/useSavedPlaces';
+
+// Save / unsave toggle for a place ({ placeId, name, address, location })
+export default function BookmarkButton({ place, className = 'place-card-bookmark' }) {
+  const { findSaved, toggleSaved } = useSavedPlaces();
+  const [busy, setBusy] = useState(false);
+  const saved = !!findSaved(place);
+
+  const handleClick = async (e) => {
+    e.stopPropagation(); // Don't open the place preview from a card
+    try {
+      setBusy(true);
+      await toggleSaved(place);
+    } catch (err) {
+      console.error('Failed to update saved place:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button
+      className={`${className} ${saved ? 'saved' : ''}`}
+      onClick={handleClick}
+      disabled={busy}
+      title={saved ? 'Remove from saved places' : 'Save place'}
+      aria-pressed={saved}
+    >
+      <svg width="16" height="16" viewBox="0 0 24 24" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2">
+        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+      </svg>
+    </button>
+  );
+}
@@ -1,12 +1,17 @@
 import React from 'react';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
+import ConversationSummary from './ConversationSummary';
 
 export default function ChatPanel({
   messages,
   loading,
   title,
+  conversationId,
+  summary,
+  onSaveSummary,
   onSend,
+  onStop,
   onLinkClick,
   onMenuToggle,
   previewOpen,
@@ -14,7 +19,12 @@ export default function ChatPanel({
   tools,
   onToggleTool,
   onOpenArtifact,
-  artifactOpen
+  artifactOpen,
+  onOpenItinerary,
+  onUploadMapFile,
+  geolocation,
+  mapView,
+  onMapViewChange
 }) {
   const handleLinkClick = (url) => {
     // Handle suggestion clicks
@@ -38,7 +48,11 @@ export default function ChatPanel({
           </svg>
         </button>
         <span className="chat-title">{title}</span>
-        <div style={{ width: '36px' }} /> {/* Spacer for centering */}
+        {conversationId ? (
+          <ConversationSummary summary={summary} onSave={onSaveSummary} />
+        ) : (
+          <div style={{ width: '36px' }} /> /* Spacer for centering */
+        )}
       </header>
 
       <MessageList
@@ -48,13 +62,20 @@ export default function ChatPanel({
         onReask={onSend}
         mapsApiKey={mapsApiKey}
         onOpenArtifact={onOpenArtifact}
+        onOpenItinerary={onOpenItinerary}
+        onMapViewChange={onMapViewChange}
       />
 
       <MessageInput
         onSend={onSend}
+        onStop={onStop}
         disabled={loading}
         tools={tools}
         onToggleTool={onToggleTool}
+        onUploadMapFile={onUploadMapFile}
+        geolocation={geolocation}
+        mapView={mapView}
+        onClearMapView={() => onMapViewChange?.(null)}
       />
     </div>
   );
@@ -0,0 +1,91 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+export default function ConversationSummary({ summary, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(summary || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const popoverRef = useRef(null);
+
+  // Reset the draft whenever the stored summary changes or the popover reopens
+  useEffect(() => {
+    if (open) {
+      setDraft(summary || '');
+      setError(null);
+    }
+  }, [open, summary]);
+
+  useEffect(() => {
+    function handleOutsideClick(e) {
+      if (!open) return;
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [open]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await onSave(draft);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="conversation-summary" ref={popoverRef}>
+      <button
+        className={`summary-toggle ${summary ? 'has-summary' : ''} ${open ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title={summary ? 'View or edit the summary of earlier messages' : 'No summary yet'}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <line x1="8" y1="6" x2="21" y2="6"/>
+          <line x1="8" y1="12" x2="21" y2="12"/>
+          <line x1="8" y1="18" x2="21" y2="18"/>
+          <line x1="3" y1="6" x2="3.01" y2="6"/>
+          <line x1="3" y1="12" x2="3.01" y2="12"/>
+          <line x1="3" y1="18" x2="3.01" y2="18"/>
+        </svg>
+      </button>
+
+      {open && (
+        <div className="summary-popover">
+          <div className="summary-popover-header">Conversation summary</div>
+          <p className="summary-popover-hint">
+            Older messages are condensed into this summary once the conversation gets long.
+            The assistant reads it with every request — edit it to correct or add context.
+          </p>
+          <textarea
+            className="summary-textarea"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="No summary yet."
+            rows={8}
+          />
+          {error && <div className="summary-error">{error}</div>}
+          <div className="summary-popover-actions">
+            <button className="mcp-btn secondary" onClick={() => setOpen(false)} disabled={saving}>
+              Cancel
+            </button>
+            <button
+              className="mcp-btn primary"
+              onClick={handleSave}
+              disabled={saving || draft === (summary || '')}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
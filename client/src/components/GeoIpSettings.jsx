@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { getGeoIpProviders, clearGeoIpCache, geocodeAddress, getAgentSettings, updateAgentSettings } from '../services/api';
+
+const FIELDS = ['geoip_provider', 'default_location_lat', 'default_location_lng', 'default_location_description'];
+
+// IP geolocation provider and the fallback location, for the Agent Settings panel
+export default function GeoIpSettings() {
+  const [providers, setProviders] = useState([]);
+  const [values, setValues] = useState({});
+  const [saved, setSaved] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [lookingUp, setLookingUp] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([getGeoIpProviders(), getAgentSettings()])
+      .then(([providerData, settings]) => {
+        setProviders(providerData.providers);
+        const current = {
+          geoip_provider: settings.geoip_provider || providerData.active,
+          default_location_lat: settings.default_location_lat || '',
+          default_location_lng: settings.default_location_lng || '',
+          default_location_description: settings.default_location_description || ''
+        };
+        setValues(current);
+        setSaved(current);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const setValue = (key, value) => setValues(prev => ({ ...prev, [key]: value }));
+
+  // Fill in the coordinates from the address typed in the description field
+  const handleLookup = async () => {
+    try {
+      setLookingUp(true);
+      setError(null);
+      const found = await geocodeAddress(values.default_location_description.trim());
+      if (!found) {
+        setError('Address not found');
+        return;
+      }
+      setValues(prev => ({ ...prev, default_location_lat: String(found.lat), default_location_lng: String(found.lng) }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLookingUp(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const lat = parseFloat(values.default_location_lat);
+    const lng = parseFloat(values.default_location_lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      setError('Latitude and longitude must be valid coordinates');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      const update = { ...values, default_location_lat: String(lat), default_location_lng: String(lng) };
+      await updateAgentSettings(update);
+      setValues(update);
+      setSaved(update);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearCache = async () => {
+    try {
+      setError(null);
+      const { removed } = await clearGeoIpCache();
+      setNotice(`Cleared ${removed} cached lookup${removed === 1 ? '' : 's'}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selected = providers.find(p => p.id === values.geoip_provider);
+  const dirty = FIELDS.some(key => (values[key] || '') !== (saved[key] || ''));
+
+  return (
+    <div className="agent-settings-card">
+      <h3>Location</h3>
+
+      <div className="agent-setting-row">
+        <div className="agent-setting-info">
+          <label>IP lookup</label>
+          <span className="agent-setting-desc">
+            {selected && !selected.configured
+              ? 'No database found — download GeoLite2-City.mmdb and set GEOIP_MMDB_PATH in the server .env'
+              : 'Used when the browser does not share a location and no default is saved'}
+          </span>
+        </div>
+        <div className="agent-setting-control">
+          <select className="agent-select" value={values.geoip_provider || ''} onChange={(e) => setValue('geoip_provider', e.target.value)}>
+            {providers.map(p => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="agent-setting-row">
+        <div className="agent-setting-info">
+          <label>Default location</label>
+          <span className="agent-setting-desc">Assumed for local network addresses and failed lookups</span>
+        </div>
+        <div className="agent-setting-control">
+          <input
+            className="agent-text-input"
+            type="text"
+            value={values.default_location_description || ''}
+            onChange={(e) => setValue('default_location_description', e.target.value)}
+            placeholder="Address"
+          />
+          <button
+            className="mcp-btn"
+            onClick={handleLookup}
+            disabled={lookingUp || !values.default_location_description?.trim()}
+            title="Look up the coordinates of this address"
+          >
+            {lookingUp ? 'Looking up...' : 'Locate'}
+          </button>
+        </div>
+      </div>
+
+      <div className="agent-setting-row">
+        <div className="agent-setting-info">
+          <label>Coordinates</label>
+          <span className="agent-setting-desc">Latitude and longitude of the default location</span>
+        </div>
+        <div className="agent-setting-control">
+          <input
+            className="agent-text-input"
+            type="text"
+            value={values.default_location_lat || ''}
+            onChange={(e) => setValue('default_location_lat', e.target.value)}
+            placeholder="Latitude"
+          />
+          <input
+            className="agent-text-input"
+            type="text"
+            value={values.default_location_lng || ''}
+            onChange={(e) => setValue('default_location_lng', e.target.value)}
+            placeholder="Longitude"
+          />
+        </div>
+      </div>
+
+      {error && <div className="summary-error">{error}</div>}
+      {notice && !error && <div className="agent-setting-desc">{notice}</div>}
+      <div className="summary-popover-actions">
+        <button className="mcp-btn" onClick={handleClearCache}>Clear lookup cache</button>
+        <button className="mcp-btn primary" onClick={handleSave} disabled={saving || !dirty}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
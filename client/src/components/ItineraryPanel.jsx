@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import MapView from './MapView';
+import { getItinerary, getItineraryExportUrl } from '../services/api';
+
+function formatDay(day) {
+  if (!day.date) return `Day ${day.dayIndex}`;
+  const label = new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  return `Day ${day.dayIndex} · ${label}`;
+}
+
+// Side panel with the day-by-day plan of a trip; reloads when refreshKey changes (e.g. new messages)
+export default function ItineraryPanel({ tripId, refreshKey, mapsApiKey, onPlaceClick, onClose }) {
+  const [trip, setTrip] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tripId) {
+      setTrip(null);
+      return;
+    }
+    let cancelled = false;
+    setError(null);
+    getItinerary(tripId)
+      .then(data => { if (!cancelled) setTrip(data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [tripId, refreshKey]);
+
+  const isOpen = !!tripId;
+  const current = trip?.id === tripId ? trip : null;
+
+  return (
+    <aside className={`link-preview itinerary-panel ${isOpen ? 'open' : ''}`}>
+      <div className="preview-header">
+        <h3>{current?.title || 'Itinerary'}</h3>
+        <div className="preview-actions">
+          <button className="preview-btn" onClick={onClose} title="Close">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      <div className="preview-content itinerary-content">
+        {error && <div className="preview-error"><p>{error}</p></div>}
+        {!current && !error && isOpen && (
+          <div className="preview-loading" style={{ padding: '40px', textAlign: 'center' }}>
+            Loading...
+          </div>
+        )}
+
+        {current && (
+          <>
+            <div className="itinerary-exports">
+              {current.startDate ? (
+                <a className="mcp-btn" href={getItineraryExportUrl(current.id, 'ics')} download>
+                  Add to calendar (.ics)
+                </a>
+              ) : (
+                <span className="itinerary-export-hint">Set a start date to export to a calendar</span>
+              )}
+              <a className="mcp-btn" href={getItineraryExportUrl(current.id, 'print')} target="_blank" rel="noopener noreferrer">
+                Printable version
+              </a>
+            </div>
+
+            {current.mapData?.markers?.length > 0 && (
+              <div className="map-container itinerary-map">
+                <MapView mapData={current.mapData} apiKey={mapsApiKey} onPlaceClick={onPlaceClick} />
+              </div>
+            )}
+
+            {current.days.map(day => (
+              <section key={day.id} className="itinerary-day">
+                <h4 className="itinerary-day-title">{formatDay(day)}</h4>
+                {day.stops.length === 0 ? (
+                  <div className="itinerary-empty">Nothing planned yet</div>
+                ) : (
+                  <ol className="route-legs">
+                    {day.stops.map((stop, idx) => (
+                      <li key={stop.id} className="itinerary-stop">
+                        {stop.travel?.duration && (
+                          <div className="itinerary-travel">{stop.travel.duration} · {stop.travel.distance}</div>
+                        )}
+                        <div className="route-leg">
+                          <span className={`route-leg-number itinerary-day-${(day.dayIndex - 1) % 6}`}>{idx + 1}</span>
+                          <div className="route-leg-info">
+                            <div className="route-leg-stops">
+                              <span className="itinerary-time">{stop.scheduledArrival}–{stop.scheduledDeparture}</span>
+                              {stop.placeId ? (
+                                <button className="itinerary-stop-name" onClick={() => onPlaceClick?.({ placeId: stop.placeId })}>
+                                  {stop.name}
+                                </button>
+                              ) : stop.name}
+                            </div>
+                            {stop.address && <div className="route-leg-meta">{stop.address}</div>}
+                            {stop.notes && <div className="route-leg-meta itinerary-notes">{stop.notes}</div>}
+                          </div>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </aside>
+  );
+}
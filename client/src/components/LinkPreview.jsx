@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { getPlaceDetails } from '../services/api';
+import BookmarkButton from './BookmarkButton';
 
 export default function LinkPreview({ url, onClose }) {
   const [content, setContent] = useState(null);
@@ -36,6 +37,12 @@ export default function LinkPreview({ url, onClose }) {
       <div className="preview-header">
         <h3>{content?.name || 'Preview'}</h3>
         <div className="preview-actions">
+          {isPlaceUrl && content && (
+            <BookmarkButton
+              className="preview-btn"
+              place={{ placeId, name: content.name, address: content.address, location: content.location }}
+            />
+          )}
           <button
             className="preview-btn"
             onClick={handleOpenExternal}
@@ -0,0 +1,128 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { getDefaultLocation, saveDefaultLocation, clearDefaultLocation } from '../services/api';
+import NamedLocations from './NamedLocations';
+
+// Consent toggle for sending browser coordinates with each message, the saved default
+// location the server uses when no coordinates are sent, and the user's named places
+export default function LocationMenu({ geolocation }) {
+  const [open, setOpen] = useState(false);
+  const [defaultLocation, setDefaultLocation] = useState(null);
+  const [address, setAddress] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    function handleOutsideClick(e) {
+      if (!open) return;
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return;
+    getDefaultLocation()
+      .then(data => setDefaultLocation(data.location))
+      .catch(err => setError(err.message));
+  }, [open]);
+
+  // Turning sharing on prompts for permission straight away (see useGeolocation)
+  const handleToggle = () => geolocation.setEnabled(!geolocation.enabled);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!address.trim()) return;
+    try {
+      setSaving(true);
+      setError(null);
+      const data = await saveDefaultLocation({ address: address.trim() });
+      setDefaultLocation(data.location);
+      setAddress('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      setError(null);
+      await clearDefaultLocation();
+      setDefaultLocation(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const { enabled, supported, lastFix } = geolocation;
+
+  return (
+    <div className="tool-menu" ref={menuRef}>
+      <button
+        className={`tool-menu-toggle ${open ? 'active' : ''} ${enabled ? 'location-on' : ''}`}
+        onClick={() => setOpen(!open)}
+        type="button"
+        title={enabled ? 'Sharing your precise location' : 'Location settings'}
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
+          <circle cx="12" cy="10" r="3"/>
+        </svg>
+        <span>{enabled ? 'Precise location' : 'Location'}</span>
+      </button>
+
+      {open && (
+        <div className="tool-menu-dropdown location-menu">
+          <label className={`tool-item ${!supported ? 'disabled' : ''}`}>
+            <input type="checkbox" checked={enabled} onChange={handleToggle} disabled={!supported} />
+            <span className="tool-item-info">
+              <span className="tool-item-name">Share my precise location</span>
+              <span className="tool-item-server">
+                {!supported
+                  ? 'Not available in this browser'
+                  : enabled && lastFix
+                    ? `Accurate to about ${Math.round(lastFix.accuracy)} m`
+                    : 'Sent with each message from this browser'}
+              </span>
+            </span>
+          </label>
+          {geolocation.error && <div className="location-menu-error">{geolocation.error}</div>}
+
+          <div className="tool-menu-section-label">Default location</div>
+          <div className="location-menu-default">
+            {defaultLocation ? (
+              <>
+                <span className="location-menu-address" title={`${defaultLocation.lat}, ${defaultLocation.lng}`}>
+                  {defaultLocation.description}
+                </span>
+                <button type="button" className="location-menu-clear" onClick={handleClear}>Clear</button>
+              </>
+            ) : (
+              <span className="location-menu-hint">None — your IP address is used instead</span>
+            )}
+          </div>
+          <form className="location-menu-form" onSubmit={handleSave}>
+            <input
+              value={address}
+              onChange={(e) => setAddress(e.target.value)}
+              placeholder="Address to use when precise location is off"
+              disabled={saving}
+            />
+            <button type="submit" className="mcp-btn primary" disabled={saving || !address.trim()}>
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </form>
+          {error && <div className="location-menu-error">{error}</div>}
+
+          <NamedLocations />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { exportMapData } from '../services/api';
+
+const FORMATS = [
+  { id: 'gpx', label: 'GPX' },
+  { id: 'kml', label: 'KML' },
+  { id: 'geojson', label: 'GeoJSON' }
+];
+
+// "Export map" button in message actions; downloads the message's mapData as a file
+export default function MapExportMenu({ mapData, name }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    function handleOutsideClick(e) {
+      if (!open) return;
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    }
+
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    try {
+      setError(null);
+      await exportMapData(mapData, format, name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="map-export" ref={menuRef}>
+      <button className="artifact-open-btn" onClick={() => setOpen(!open)} title={error || 'Download this map'}>
+        <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+          <polyline points="7 10 12 15 17 10"/>
+          <line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+        {error ? 'Export failed' : 'Export map'}
+      </button>
+      {open && (
+        <div className="map-export-menu">
+          {FORMATS.map(f => (
+            <button key={f.id} onClick={() => handleExport(f.id)}>{f.label}</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
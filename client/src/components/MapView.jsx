@@ -5,6 +5,11 @@ import {
   TrafficLayer,
   StreetViewPanorama
 } from '@react-google-maps/api';
+import { MarkerClusterer } from '@googlemaps/markerclusterer';
+import { GoogleMapsOverlay } from '@deck.gl/google-maps';
+import { HeatmapLayer } from '@deck.gl/aggregation-layers';
+import { reverseGeocode } from '../services/api';
+import { useSavedPlaces } from '../hooks/useSavedPlaces';
 
 const containerStyle = {
   width: '100%',
@@ -15,6 +20,26 @@ const defaultCenter = { lat: 38.9072, lng: -77.0369 }; // Washington DC
 
 const LIBRARIES = ['places', 'marker'];
 
+// Alternating colors so consecutive legs of a multi-stop route (or itinerary days) are distinguishable
+const LEG_COLORS = ['#4285F4', '#34A853', '#FBBC05', '#EA4335', '#AB47BC', '#00ACC1'];
+
+// Alternative directions: the chosen route in blue on top, the others in grey
+const SELECTED_ROUTE_STYLE = { strokeColor: '#4285F4', strokeOpacity: 1, strokeWeight: 6, zIndex: 2 };
+const ALTERNATIVE_ROUTE_STYLE = { strokeColor: '#9AA0A6', strokeOpacity: 0.8, strokeWeight: 5, zIndex: 1 };
+
+const SAVED_PLACE_COLOR = '#F9A825';
+
+// From this many markers on, nearby markers are grouped into clusters and a heatmap view is offered
+const CLUSTER_MIN_MARKERS = 25;
+// Heatmaps are drawn with deck.gl, which needs WebGL2; without it the heatmap toggle is hidden
+const HEATMAP_SUPPORTED = typeof document !== 'undefined' && !!document.createElement('canvas').getContext('webgl2');
+// Green → yellow → red, matching .map-legend-gradient
+const HEATMAP_COLORS = [[0, 255, 0], [128, 255, 0], [255, 255, 0], [255, 170, 0], [255, 85, 0], [255, 0, 0]];
+const DEFAULT_POINT_COLOR = '#4285F4';
+
+// Reachable area (show_reachable_area), also kept under places searched inside it
+const AREA_STYLE = { strokeColor: '#4285F4', strokeOpacity: 0.9, strokeWeight: 2, fillColor: '#4285F4', fillOpacity: 0.18 };
+
 // Decode Google polyline
 function decodePolyline(encoded) {
   const points = [];
@@ -55,7 +80,7 @@ function decodePolyline(encoded) {
 }
 
 // Create a styled pin element for AdvancedMarkerElement
-function createMarkerContent(label) {
+function createMarkerContent(label, color = '#4285F4') {
   const container = document.createElement('div');
   container.style.cssText = `
     display: flex;
@@ -63,7 +88,7 @@ function createMarkerContent(label) {
     justify-content: center;
     width: 32px;
     height: 32px;
-    background: #4285F4;
+    background: ${color};
     border: 2px solid #fff;
     border-radius: 50%;
     color: #fff;
@@ -76,7 +101,84 @@ function createMarkerContent(label) {
   return container;
 }
 
-export default function MapView({ mapData, apiKey, onPlaceClick }) {
+// Small colored dot for the points of a dataset (show_points, MCP rows with coordinates)
+function createDotContent(color) {
+  const dot = document.createElement('div');
+  dot.style.cssText = `
+    width: 12px;
+    height: 12px;
+    background: ${color};
+    border: 2px solid #fff;
+    border-radius: 50%;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+    cursor: pointer;
+  `;
+  return dot;
+}
+
+// Info window for a dataset point; built as DOM nodes because the rows come from arbitrary tools
+function createPointInfo(point, valueLabel) {
+  const content = document.createElement('div');
+  content.style.cssText = 'color:#333;max-width:240px;max-height:220px;overflow:auto';
+  const title = document.createElement('h4');
+  title.style.cssText = 'margin:0 0 5px;font-size:14px';
+  title.textContent = point.title || `${point.position.lat.toFixed(5)}, ${point.position.lng.toFixed(5)}`;
+  content.appendChild(title);
+  const rows = [
+    ...(point.category ? [['Category', point.category]] : []),
+    ...(point.value !== null && point.value !== undefined ? [[valueLabel || 'Value', point.value.toLocaleString()]] : []),
+    ...Object.entries(point.details || {})
+  ];
+  for (const [key, value] of rows) {
+    const line = document.createElement('p');
+    line.style.cssText = 'margin:0 0 3px;font-size:12px;color:#666';
+    const label = document.createElement('strong');
+    label.textContent = `${key}: `;
+    line.appendChild(label);
+    line.appendChild(document.createTextNode(value));
+    content.appendChild(line);
+  }
+  return content;
+}
+
+// Info window for a place marker. Names and addresses can come from uploaded files, so they are set as text.
+function createPlaceInfo(info, onDetails) {
+  const content = document.createElement('div');
+  content.style.cssText = 'color:#333;max-width:200px';
+  const title = document.createElement('h4');
+  title.style.cssText = 'margin:0 0 5px;font-size:14px';
+  title.textContent = info.name || '';
+  content.appendChild(title);
+  if (info.rating) {
+    const rating = document.createElement('p');
+    rating.style.cssText = 'margin:0 0 3px;font-size:12px';
+    rating.textContent = `Rating: ${info.rating} (${info.userRatingsTotal} reviews)`;
+    content.appendChild(rating);
+  }
+  if (info.address) {
+    const address = document.createElement('p');
+    address.style.cssText = 'margin:0;font-size:12px;color:#666';
+    address.textContent = info.address;
+    content.appendChild(address);
+  }
+  if (info.placeId) {
+    const button = document.createElement('button');
+    button.style.cssText = 'margin-top:8px;padding:4px 8px;background:#4285F4;color:white;border:none;border-radius:4px;cursor:pointer;font-size:12px';
+    button.textContent = 'View Details';
+    button.addEventListener('click', onDetails);
+    content.appendChild(button);
+  }
+  return content;
+}
+
+function createTitleInfo(text) {
+  const content = document.createElement('div');
+  content.style.cssText = 'color:#333;font-size:14px';
+  content.textContent = text;
+  return content;
+}
+
+export default function MapView({ mapData, apiKey, onPlaceClick, onAskAboutSpot, selectedRoute = 0, onSelectRoute, onViewChange }) {
   const { isLoaded, loadError } = useJsApiLoader({
     googleMapsApiKey: apiKey || '',
     libraries: LIBRARIES
@@ -94,24 +196,206 @@ export default function MapView({ mapData, apiKey, onPlaceClick }) {
 
   const zoom = mapData?.zoom || 14;
 
-  const polylinePath = useMemo(() => {
+  const hasAlternatives = mapData?.routes?.length > 1;
+
+  // One path per alternative route, per route leg (plan_route), per uploaded line, or the single directions polyline
+  const polylinePaths = useMemo(() => {
+    if (mapData?.lines?.length) {
+      return mapData.lines.map(line => line.path);
+    }
+    if (mapData?.routes?.length > 1) {
+      return mapData.routes.map(route => decodePolyline(route.polyline));
+    }
+    if (mapData?.legs?.length) {
+      return mapData.legs.map(leg => (leg.polylines || []).flatMap(decodePolyline));
+    }
     if (mapData?.polyline) {
-      return decodePolyline(mapData.polyline);
+      return [decodePolyline(mapData.polyline)];
     }
     return null;
-  }, [mapData?.polyline]);
+  }, [mapData?.routes, mapData?.legs, mapData?.lines, mapData?.polyline]);
 
   const [mapInstance, setMapInstance] = useState(null);
-  const polylineRef = useRef(null);
+  const polylinesRef = useRef([]);
+  const areaRef = useRef([]);
+  // Latest handler for polyline clicks without redrawing the route on every render
+  const onSelectRouteRef = useRef(onSelectRoute);
+  onSelectRouteRef.current = onSelectRoute;
   const markersRef = useRef([]);
+  const clustererRef = useRef(null);
   const infoWindowRef = useRef(null);
 
+  // Markers to draw: a point dataset's points, colored by their legend category, or the tool's markers
+  const markerItems = useMemo(() => {
+    if (mapData?.type !== 'points') return mapData?.markers || [];
+    const colors = Object.fromEntries((mapData.legend || []).map(entry => [entry.label, entry.color]));
+    return (mapData.points || []).map(point => ({
+      position: point.position,
+      title: point.title || '',
+      point,
+      color: colors[point.category] || DEFAULT_POINT_COLOR
+    }));
+  }, [mapData?.type, mapData?.markers, mapData?.points, mapData?.legend]);
+
+  const canShowHeatmap = HEATMAP_SUPPORTED && (mapData?.type === 'points' || markerItems.length >= CLUSTER_MIN_MARKERS);
+  const [showHeatmap, setShowHeatmap] = useState(HEATMAP_SUPPORTED && mapData?.display === 'heatmap');
+
+  // Back to the requested display only when a different dataset arrives, not on every re-render's new markers array
+  const first = markerItems[0]?.position;
+  const datasetKey = [mapData?.type, mapData?.title, mapData?.display, markerItems.length, first?.lat, first?.lng].join('|');
+  useEffect(() => {
+    setShowHeatmap(HEATMAP_SUPPORTED && mapData?.display === 'heatmap');
+  }, [datasetKey]);
+
   const onMapLoad = useCallback((map) => {
     setMapInstance(map);
   }, []);
 
+  // Viewport and clicked marker, reported to the chat so the agent can resolve "this area" / "the one I clicked".
+  // Only user moves count: the map also goes idle after its own fitBounds calls. A selection is reported once,
+  // with the click; useChat keeps it until the next message is sent.
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  const interactedRef = useRef(false);
+
+  const reportView = useCallback((selectedMarker = null) => {
+    if (!mapInstance || !onViewChangeRef.current) return;
+    const bounds = mapInstance.getBounds();
+    const mapCenter = mapInstance.getCenter();
+    if (!bounds || !mapCenter) return;
+    const ne = bounds.getNorthEast();
+    const sw = bounds.getSouthWest();
+    onViewChangeRef.current({
+      center: { lat: mapCenter.lat(), lng: mapCenter.lng() },
+      zoom: mapInstance.getZoom(),
+      bounds: { north: ne.lat(), south: sw.lat(), east: ne.lng(), west: sw.lng() },
+      selectedMarker
+    });
+  }, [mapInstance]);
+
+  const selectMarker = useCallback((title, position, info = null) => {
+    reportView({ title, position, placeId: info?.placeId || null, address: info?.address || null });
+  }, [reportView]);
+
+  useEffect(() => {
+    if (!mapInstance) return;
+    const listeners = [
+      mapInstance.addListener('dragstart', () => { interactedRef.current = true; }),
+      mapInstance.addListener('idle', () => {
+        if (!interactedRef.current) return;
+        interactedRef.current = false;
+        reportView();
+      })
+    ];
+    return () => listeners.forEach(l => l.remove());
+  }, [mapInstance, reportView]);
+
+  // "What's here?": a click (or long-press on touch screens) drops a pin and resolves its address
+  const [droppedPin, setDroppedPin] = useState(null); // { lat, lng, address, loading, error }
+  const droppedMarkerRef = useRef(null);
+
+  const dropPin = useCallback(async (e) => {
+    if (!onAskAboutSpot || !e.latLng) return;
+    e.stop?.(); // Suppress Google's own POI info window
+    const lat = e.latLng.lat();
+    const lng = e.latLng.lng();
+    setDroppedPin({ lat, lng, address: null, loading: true, error: null });
+    try {
+      const result = await reverseGeocode(lat, lng);
+      setDroppedPin(prev => prev?.lat === lat && prev?.lng === lng
+        ? { ...prev, address: result?.address || null, loading: false }
+        : prev);
+    } catch (err) {
+      setDroppedPin(prev => prev?.lat === lat && prev?.lng === lng
+        ? { ...prev, loading: false, error: err.message }
+        : prev);
+    }
+  }, [onAskAboutSpot]);
+
+  useEffect(() => {
+    if (!mapInstance || !onAskAboutSpot) return;
+    const listeners = [
+      mapInstance.addListener('click', dropPin),
+      mapInstance.addListener('contextmenu', dropPin) // long-press on touch devices
+    ];
+    return () => listeners.forEach(l => l.remove());
+  }, [mapInstance, onAskAboutSpot, dropPin]);
+
+  useEffect(() => {
+    if (!mapInstance || !droppedPin || !window.google?.maps?.marker?.AdvancedMarkerElement) return;
+    droppedMarkerRef.current = new window.google.maps.marker.AdvancedMarkerElement({
+      map: mapInstance,
+      position: { lat: droppedPin.lat, lng: droppedPin.lng },
+      title: 'Dropped pin',
+      content: createMarkerContent('?', '#EA4335')
+    });
+
+    return () => {
+      droppedMarkerRef.current.map = null;
+      droppedMarkerRef.current = null;
+    };
+  }, [mapInstance, droppedPin?.lat, droppedPin?.lng]);
+
+  // Optional layer with the user's saved places
+  const { savedPlaces, refresh: refreshSavedPlaces } = useSavedPlaces();
+  const [showSaved, setShowSaved] = useState(false);
+  const savedMarkersRef = useRef([]);
+
+  const toggleSavedLayer = () => {
+    if (!showSaved) refreshSavedPlaces();
+    setShowSaved(v => !v);
+  };
+
+  useEffect(() => {
+    if (!mapInstance || !showSaved || !window.google?.maps?.marker?.AdvancedMarkerElement) return;
+    const infoWindow = new window.google.maps.InfoWindow();
+    savedMarkersRef.current = savedPlaces.map(place => {
+      const marker = new window.google.maps.marker.AdvancedMarkerElement({
+        map: mapInstance,
+        position: place.location,
+        title: place.name,
+        content: createMarkerContent('★', SAVED_PLACE_COLOR)
+      });
+      marker.addListener('click', () => {
+        selectMarker(place.name, place.location, place);
+        const content = document.createElement('div');
+        content.style.cssText = 'color:#333;max-width:220px';
+        const title = document.createElement('h4');
+        title.style.cssText = 'margin:0 0 5px;font-size:14px';
+        title.textContent = place.name;
+        content.appendChild(title);
+        for (const text of [place.address, place.notes, place.tags.length ? `#${place.tags.join(' #')}` : null]) {
+          if (!text) continue;
+          const line = document.createElement('p');
+          line.style.cssText = 'margin:0 0 3px;font-size:12px;color:#666';
+          line.textContent = text;
+          content.appendChild(line);
+        }
+        infoWindow.setContent(content);
+        infoWindow.open({ map: mapInstance, anchor: marker });
+      });
+      return marker;
+    });
+
+    return () => {
+      infoWindow.close();
+      savedMarkersRef.current.forEach(m => { m.map = null; });
+      savedMarkersRef.current = [];
+    };
+  }, [mapInstance, showSaved, savedPlaces, selectMarker]);
+
+  const askAboutPin = () => {
+    onAskAboutSpot?.({ lat: droppedPin.lat, lng: droppedPin.lng, address: droppedPin.address });
+    setDroppedPin(null);
+  };
+
   // Clean up markers and info window
   const clearMarkers = useCallback(() => {
+    if (clustererRef.current) {
+      clustererRef.current.clearMarkers();
+      clustererRef.current.setMap(null);
+      clustererRef.current = null;
+    }
     markersRef.current.forEach(m => { m.map = null; });
     markersRef.current = [];
     if (infoWindowRef.current) {
@@ -120,62 +404,41 @@ export default function MapView({ mapData, apiKey, onPlaceClick }) {
     }
   }, []);
 
-  // Create AdvancedMarkerElement instances
+  // Create AdvancedMarkerElement instances; dense sets are handed to a clusterer instead of the map
   useEffect(() => {
     if (!mapInstance || !window.google?.maps?.marker?.AdvancedMarkerElement) return;
-    if (!mapData?.markers?.length) {
-      clearMarkers();
-      return;
-    }
-
     clearMarkers();
+    if (!markerItems.length || showHeatmap) return;
 
     const infoWindow = new window.google.maps.InfoWindow();
     infoWindowRef.current = infoWindow;
-
-    mapData.markers.forEach((markerData, idx) => {
+    const clustered = markerItems.length >= CLUSTER_MIN_MARKERS;
+
+    markerItems.forEach((markerData) => {
+      let content;
+      if (markerData.point) {
+        content = createDotContent(markerData.color);
+      } else if (markerData.label) {
+        // Itinerary stops take their day's leg color
+        content = createMarkerContent(markerData.label, markerData.day ? LEG_COLORS[(markerData.day - 1) % LEG_COLORS.length] : undefined);
+      }
       const marker = new window.google.maps.marker.AdvancedMarkerElement({
-        map: mapInstance,
+        map: clustered ? null : mapInstance,
         position: markerData.position,
         title: markerData.title || '',
-        content: markerData.label ? createMarkerContent(markerData.label) : undefined
+        content
       });
 
       marker.addListener('click', () => {
-        if (markerData.info) {
-          const ratingHtml = markerData.info.rating
-            ? `<p style="margin:0 0 3px;font-size:12px">Rating: ${markerData.info.rating} (${markerData.info.userRatingsTotal} reviews)</p>`
-            : '';
-          const addressHtml = markerData.info.address
-            ? `<p style="margin:0;font-size:12px;color:#666">${markerData.info.address}</p>`
-            : '';
-          const buttonHtml = markerData.info.placeId
-            ? `<button id="info-details-btn-${idx}" style="margin-top:8px;padding:4px 8px;background:#4285F4;color:white;border:none;border-radius:4px;cursor:pointer;font-size:12px">View Details</button>`
-            : '';
-
-          infoWindow.setContent(`
-            <div style="color:#333;max-width:200px">
-              <h4 style="margin:0 0 5px;font-size:14px">${markerData.info.name}</h4>
-              ${ratingHtml}
-              ${addressHtml}
-              ${buttonHtml}
-            </div>
-          `);
+        selectMarker(markerData.info?.name || markerData.title, markerData.position, markerData.info);
+        if (markerData.point) {
+          infoWindow.setContent(createPointInfo(markerData.point, mapData?.valueLabel));
+          infoWindow.open({ map: mapInstance, anchor: marker });
+        } else if (markerData.info) {
+          infoWindow.setContent(createPlaceInfo(markerData.info, () => onPlaceClick?.(markerData.info)));
           infoWindow.open({ map: mapInstance, anchor: marker });
-
-          // Attach click handler for View Details button after info window opens
-          if (markerData.info.placeId) {
-            window.google.maps.event.addListenerOnce(infoWindow, 'domready', () => {
-              const btn = document.getElementById(`info-details-btn-${idx}`);
-              if (btn) {
-                btn.addEventListener('click', () => {
-                  onPlaceClick?.(markerData.info);
-                });
-              }
-            });
-          }
         } else {
-          infoWindow.setContent(`<div style="color:#333;font-size:14px">${markerData.title || 'Location'}</div>`);
+          infoWindow.setContent(createTitleInfo(markerData.title || 'Location'));
           infoWindow.open({ map: mapInstance, anchor: marker });
         }
       });
@@ -183,42 +446,101 @@ export default function MapView({ mapData, apiKey, onPlaceClick }) {
       markersRef.current.push(marker);
     });
 
+    if (clustered) {
+      clustererRef.current = new MarkerClusterer({ map: mapInstance, markers: markersRef.current });
+    }
+
     return () => {
       clearMarkers();
     };
-  }, [mapInstance, mapData?.markers, clearMarkers, onPlaceClick]);
+  }, [mapInstance, markerItems, showHeatmap, mapData?.valueLabel, clearMarkers, onPlaceClick, selectMarker]);
 
-  // Draw polyline directly via Google Maps API and fit bounds
+  // Heatmap of the same points, weighted by each dataset point's value
   useEffect(() => {
-    if (!mapInstance || !polylinePath || !window.google) return;
+    if (!mapInstance || !showHeatmap || !markerItems.length) return;
+    const overlay = new GoogleMapsOverlay({
+      layers: [new HeatmapLayer({
+        id: 'points-heatmap',
+        data: markerItems,
+        getPosition: m => [m.position.lng, m.position.lat],
+        getWeight: m => Math.max(m.point?.value ?? 1, 0),
+        radiusPixels: 24,
+        colorRange: HEATMAP_COLORS
+      })]
+    });
+    overlay.setMap(mapInstance);
+    return () => overlay.finalize();
+  }, [mapInstance, showHeatmap, markerItems]);
 
-    // Remove previous polyline
-    if (polylineRef.current) {
-      polylineRef.current.setMap(null);
-    }
+  // Draw polylines directly via Google Maps API and fit bounds
+  useEffect(() => {
+    if (!mapInstance || !polylinePaths || !window.google) return;
 
-    const path = polylinePath.map(p => new window.google.maps.LatLng(p.lat, p.lng));
+    // Remove previous polylines
+    polylinesRef.current.forEach(p => p.setMap(null));
 
-    polylineRef.current = new window.google.maps.Polyline({
-      path,
-      strokeColor: '#4285F4',
-      strokeOpacity: 1,
-      strokeWeight: 5,
-      map: mapInstance
+    const bounds = new window.google.maps.LatLngBounds();
+    polylinesRef.current = polylinePaths.map((points, idx) => {
+      const path = points.map(p => new window.google.maps.LatLng(p.lat, p.lng));
+      path.forEach(p => bounds.extend(p));
+      const polyline = new window.google.maps.Polyline({
+        path,
+        strokeColor: LEG_COLORS[idx % LEG_COLORS.length],
+        strokeOpacity: 1,
+        strokeWeight: 5,
+        map: mapInstance
+      });
+      if (hasAlternatives) {
+        polyline.setOptions({ ...ALTERNATIVE_ROUTE_STYLE, clickable: true });
+        polyline.addListener('click', () => onSelectRouteRef.current?.(idx));
+      }
+      return polyline;
     });
 
     // Fit map bounds to the route
-    const bounds = new window.google.maps.LatLngBounds();
-    path.forEach(p => bounds.extend(p));
     mapInstance.fitBounds(bounds, 50);
 
     return () => {
-      if (polylineRef.current) {
-        polylineRef.current.setMap(null);
-        polylineRef.current = null;
-      }
+      polylinesRef.current.forEach(p => p.setMap(null));
+      polylinesRef.current = [];
+    };
+  }, [mapInstance, polylinePaths, hasAlternatives]);
+
+  // Filled areas (reachable area, uploaded polygons); non-clickable so clicks inside them still drop a pin
+  const areaPaths = useMemo(() => {
+    if (mapData?.polygons?.length) return mapData.polygons.map(p => p.path);
+    if (mapData?.polygon?.length) return [mapData.polygon];
+    return null;
+  }, [mapData?.polygon, mapData?.polygons]);
+
+  useEffect(() => {
+    if (!mapInstance || !areaPaths || !window.google) return;
+
+    areaRef.current = areaPaths.map(paths => new window.google.maps.Polygon({
+      ...AREA_STYLE,
+      paths,
+      clickable: false,
+      map: mapInstance
+    }));
+
+    const bounds = new window.google.maps.LatLngBounds();
+    areaPaths.flat().forEach(p => bounds.extend(p));
+    polylinePaths?.flat().forEach(p => bounds.extend(p));
+    mapInstance.fitBounds(bounds, 30);
+
+    return () => {
+      areaRef.current.forEach(area => area.setMap(null));
+      areaRef.current = [];
     };
-  }, [mapInstance, polylinePath]);
+  }, [mapInstance, areaPaths, polylinePaths]);
+
+  // Restyle alternatives when the user picks another route
+  useEffect(() => {
+    if (!hasAlternatives) return;
+    polylinesRef.current.forEach((polyline, idx) => {
+      polyline.setOptions(idx === selectedRoute ? SELECTED_ROUTE_STYLE : ALTERNATIVE_ROUTE_STYLE);
+    });
+  }, [hasAlternatives, selectedRoute, polylinePaths, mapInstance]);
 
   if (loadError) {
     return (
@@ -261,103 +583,173 @@ export default function MapView({ mapData, apiKey, onPlaceClick }) {
 
   const mapId = import.meta.env.VITE_GOOGLE_MAPS_MAP_ID || 'DEMO_MAP_ID';
 
+  // Zoom gestures; drags are caught by the map's dragstart. Plain clicks (markers, pins) move nothing.
+  const markInteraction = () => { interactedRef.current = true; };
+  const handlePointerDown = (e) => {
+    if (e.target.closest?.('.gm-control-active')) markInteraction(); // zoom buttons
+  };
+  const handleTouchStart = (e) => {
+    if (e.touches.length > 1) markInteraction(); // pinch
+  };
+
   return (
-    <GoogleMap
-      mapContainerStyle={containerStyle}
-      center={center}
-      zoom={zoom}
-      onLoad={onMapLoad}
-      options={{
-        mapId,
-        styles: [
-          { elementType: 'geometry', stylers: [{ color: '#242f3e' }] },
-          { elementType: 'labels.text.stroke', stylers: [{ color: '#242f3e' }] },
-          { elementType: 'labels.text.fill', stylers: [{ color: '#746855' }] },
-          {
-            featureType: 'administrative.locality',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#d59563' }]
-          },
-          {
-            featureType: 'poi',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#d59563' }]
-          },
-          {
-            featureType: 'poi.park',
-            elementType: 'geometry',
-            stylers: [{ color: '#263c3f' }]
-          },
-          {
-            featureType: 'poi.park',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#6b9a76' }]
-          },
-          {
-            featureType: 'road',
-            elementType: 'geometry',
-            stylers: [{ color: '#38414e' }]
-          },
-          {
-            featureType: 'road',
-            elementType: 'geometry.stroke',
-            stylers: [{ color: '#212a37' }]
-          },
-          {
-            featureType: 'road',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#9ca5b3' }]
-          },
-          {
-            featureType: 'road.highway',
-            elementType: 'geometry',
-            stylers: [{ color: '#746855' }]
-          },
-          {
-            featureType: 'road.highway',
-            elementType: 'geometry.stroke',
-            stylers: [{ color: '#1f2835' }]
-          },
-          {
-            featureType: 'road.highway',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#f3d19c' }]
-          },
-          {
-            featureType: 'transit',
-            elementType: 'geometry',
-            stylers: [{ color: '#2f3948' }]
-          },
-          {
-            featureType: 'transit.station',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#d59563' }]
-          },
-          {
-            featureType: 'water',
-            elementType: 'geometry',
-            stylers: [{ color: '#17263c' }]
-          },
-          {
-            featureType: 'water',
-            elementType: 'labels.text.fill',
-            stylers: [{ color: '#515c6d' }]
-          },
-          {
-            featureType: 'water',
-            elementType: 'labels.text.stroke',
-            stylers: [{ color: '#17263c' }]
-          }
-        ],
-        disableDefaultUI: false,
-        zoomControl: true,
-        mapTypeControl: false,
-        streetViewControl: true,
-        fullscreenControl: true
-      }}
-    >
-      {/* Traffic Layer */}
-      {mapData?.trafficEnabled && <TrafficLayer />}
-    </GoogleMap>
+    <div className="map-view" onPointerDown={handlePointerDown} onTouchStart={handleTouchStart} onWheel={markInteraction}>
+      <GoogleMap
+        mapContainerStyle={containerStyle}
+        center={center}
+        zoom={zoom}
+        onLoad={onMapLoad}
+        options={{
+          mapId,
+          styles: [
+            { elementType: 'geometry', stylers: [{ color: '#242f3e' }] },
+            { elementType: 'labels.text.stroke', stylers: [{ color: '#242f3e' }] },
+            { elementType: 'labels.text.fill', stylers: [{ color: '#746855' }] },
+            {
+              featureType: 'administrative.locality',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#d59563' }]
+            },
+            {
+              featureType: 'poi',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#d59563' }]
+            },
+            {
+              featureType: 'poi.park',
+              elementType: 'geometry',
+              stylers: [{ color: '#263c3f' }]
+            },
+            {
+              featureType: 'poi.park',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#6b9a76' }]
+            },
+            {
+              featureType: 'road',
+              elementType: 'geometry',
+              stylers: [{ color: '#38414e' }]
+            },
+            {
+              featureType: 'road',
+              elementType: 'geometry.stroke',
+              stylers: [{ color: '#212a37' }]
+            },
+            {
+              featureType: 'road',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#9ca5b3' }]
+            },
+            {
+              featureType: 'road.highway',
+              elementType: 'geometry',
+              stylers: [{ color: '#746855' }]
+            },
+            {
+              featureType: 'road.highway',
+              elementType: 'geometry.stroke',
+              stylers: [{ color: '#1f2835' }]
+            },
+            {
+              featureType: 'road.highway',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#f3d19c' }]
+            },
+            {
+              featureType: 'transit',
+              elementType: 'geometry',
+              stylers: [{ color: '#2f3948' }]
+            },
+            {
+              featureType: 'transit.station',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#d59563' }]
+            },
+            {
+              featureType: 'water',
+              elementType: 'geometry',
+              stylers: [{ color: '#17263c' }]
+            },
+            {
+              featureType: 'water',
+              elementType: 'labels.text.fill',
+              stylers: [{ color: '#515c6d' }]
+            },
+            {
+              featureType: 'water',
+              elementType: 'labels.text.stroke',
+              stylers: [{ color: '#17263c' }]
+            }
+          ],
+          disableDefaultUI: false,
+          zoomControl: true,
+          mapTypeControl: false,
+          streetViewControl: true,
+          fullscreenControl: true
+        }}
+      >
+        {/* Traffic Layer */}
+        {mapData?.trafficEnabled && <TrafficLayer />}
+      </GoogleMap>
+
+      <div className="map-layer-toggles">
+        <button
+          className={`map-layer-toggle ${showSaved ? 'active' : ''}`}
+          onClick={toggleSavedLayer}
+          title={showSaved ? 'Hide saved places' : 'Show saved places'}
+        >
+          ★ Saved{showSaved && savedPlaces.length > 0 ? ` (${savedPlaces.length})` : ''}
+        </button>
+        {canShowHeatmap && (
+          <button
+            className={`map-layer-toggle ${showHeatmap ? 'active' : ''}`}
+            onClick={() => setShowHeatmap(v => !v)}
+            title={showHeatmap ? 'Show individual points' : 'Show as a heatmap'}
+          >
+            {showHeatmap ? 'Points' : 'Heatmap'}
+          </button>
+        )}
+      </div>
+
+      {mapData?.type === 'points' && (
+        <div className="map-legend">
+          <div className="map-legend-title">{mapData.title}</div>
+          {showHeatmap ? (
+            <div className="map-legend-heat">
+              <span className="map-legend-gradient" />
+              {mapData.valueLabel ? `Weighted by ${mapData.valueLabel}` : 'Point density'}
+            </div>
+          ) : mapData.legend?.map(entry => (
+            <div key={entry.label} className="map-legend-item">
+              <span className="map-legend-swatch" style={{ background: entry.color }} />
+              <span className="map-legend-label">{entry.label}</span>
+              <span className="map-legend-count">{entry.count}</span>
+            </div>
+          ))}
+          <div className="map-legend-note">
+            {mapData.points.length.toLocaleString()} points{mapData.truncated ? ' (truncated)' : ''}
+          </div>
+        </div>
+      )}
+
+      {droppedPin && (
+        <div className="dropped-pin-card">
+          <div className="dropped-pin-info">
+            <div className="dropped-pin-address">
+              {droppedPin.loading
+                ? 'Looking up this spot...'
+                : droppedPin.address || (droppedPin.error ? 'Could not look up this spot' : 'No address found')}
+            </div>
+            <div className="dropped-pin-coords">
+              {droppedPin.lat.toFixed(5)}, {droppedPin.lng.toFixed(5)}
+            </div>
+          </div>
+          <button className="mcp-btn primary" onClick={askAboutPin} disabled={droppedPin.loading || !onAskAboutSpot}>
+            Ask about this spot
+          </button>
+          <button className="dropped-pin-close" onClick={() => setDroppedPin(null)} title="Remove pin">×</button>
+        </div>
+      )}
+    </div>
   );
 }
@@ -0,0 +1,145 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { getMapsUsage, clearMapsCache, updateAgentSettings } from '../services/api';
+
+const ENDPOINT_LABELS = {
+  geocode: 'Geocoding',
+  reverse_geocode: 'Reverse geocoding',
+  places: 'Place search',
+  place_details: 'Place details',
+  directions: 'Directions',
+  distance_matrix: 'Distance matrix'
+};
+
+// Maps API usage for the Agent settings panel: today's provider requests against the daily limits,
+// cache hit rates over the last 7 days, and the per-endpoint cache lifetimes
+export default function MapsUsage() {
+  const [usage, setUsage] = useState(null);
+  const [limits, setLimits] = useState({});
+  const [ttls, setTtls] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    getMapsUsage()
+      .then(data => {
+        setUsage(data);
+        setLimits(Object.fromEntries(data.endpoints.map(e => [e.endpoint, String(e.limit)])));
+        setTtls(Object.fromEntries(data.endpoints.filter(e => e.cached).map(e => [e.endpoint, String(e.ttlHours)])));
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleSave = async () => {
+    const settings = {};
+    for (const [endpoint, value] of Object.entries(limits)) {
+      settings[`maps_daily_limit_${endpoint}`] = String(Math.max(0, parseInt(value, 10) || 0));
+    }
+    for (const [endpoint, value] of Object.entries(ttls)) {
+      settings[`maps_cache_ttl_${endpoint}`] = String(Math.max(0, parseFloat(value) || 0));
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      await updateAgentSettings(settings);
+      setMessage('Saved');
+      load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearCache = async () => {
+    try {
+      setError(null);
+      const { removed } = await clearMapsCache();
+      setMessage(`Removed ${removed} cached responses`);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!usage) {
+    return (
+      <div className="agent-settings-card">
+        <h3>Maps Usage</h3>
+        {error ? <div className="summary-error">{error}</div> : <div className="maps-usage-empty">Loading...</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="agent-settings-card">
+      <h3>Maps Usage</h3>
+      <span className="agent-setting-desc">
+        HTTP requests to the {usage.provider} provider today ({usage.day}, UTC). A limit of 0 means unlimited;
+        a cache lifetime of 0 turns caching off for that endpoint.
+      </span>
+
+      <table className="maps-usage-table">
+        <thead>
+          <tr>
+            <th>Endpoint</th>
+            <th>Today</th>
+            <th>Daily limit</th>
+            <th>Blocked</th>
+            <th>Cache hits (7 days)</th>
+            <th>Cache lifetime (h)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {usage.endpoints.map(e => (
+            <tr key={e.endpoint}>
+              <td>{ENDPOINT_LABELS[e.endpoint] || e.endpoint}</td>
+              <td className={e.limit > 0 && e.today.calls >= e.limit ? 'maps-usage-over' : ''}>
+                {e.today.calls}
+              </td>
+              <td>
+                <input
+                  className="agent-text-input maps-usage-input"
+                  type="number"
+                  min="0"
+                  value={limits[e.endpoint] ?? ''}
+                  onChange={(ev) => setLimits(prev => ({ ...prev, [e.endpoint]: ev.target.value }))}
+                />
+              </td>
+              <td>{e.today.blocked}</td>
+              <td>
+                {e.cached
+                  ? `${e.week.cacheHits}${e.hitRate !== null ? ` (${Math.round(e.hitRate * 100)}%)` : ''} · ${e.cacheEntries} stored`
+                  : '—'}
+              </td>
+              <td>
+                {e.cached ? (
+                  <input
+                    className="agent-text-input maps-usage-input"
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={ttls[e.endpoint] ?? ''}
+                    onChange={(ev) => setTtls(prev => ({ ...prev, [e.endpoint]: ev.target.value }))}
+                  />
+                ) : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <div className="summary-error">{error}</div>}
+      {message && !error && <div className="maps-usage-message">{message}</div>}
+      <div className="summary-popover-actions">
+        <button className="mcp-btn" onClick={load}>Refresh</button>
+        <button className="mcp-btn danger" onClick={handleClearCache}>Clear cache</button>
+        <button className="mcp-btn primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
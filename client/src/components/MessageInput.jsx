@@ -1,9 +1,15 @@
 import React, { useState, useRef, useEffect } from 'react';
 import ToolMenu from './ToolMenu';
+import LocationMenu from './LocationMenu';
 
-export default function MessageInput({ onSend, disabled, tools, onToggleTool }) {
+const MAP_FILE_TYPES = '.gpx,.kml,.geojson,.json';
+
+export default function MessageInput({ onSend, onStop, disabled, tools, onToggleTool, onUploadMapFile, geolocation, mapView, onClearMapView }) {
   const [message, setMessage] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
     if (textareaRef.current) {
@@ -20,6 +26,22 @@ export default function MessageInput({ onSend, disabled, tools, onToggleTool })
     }
   };
 
+  // GPX / KML / GeoJSON files become a map in the conversation that the agent can refer to
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setUploading(true);
+      setUploadError(null);
+      await onUploadMapFile(file);
+    } catch (err) {
+      setUploadError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -29,8 +51,40 @@ export default function MessageInput({ onSend, disabled, tools, onToggleTool })
 
   return (
     <div className="message-input-container">
-      <ToolMenu tools={tools} onToggle={onToggleTool} />
+      <div className="input-toolbar">
+        <ToolMenu tools={tools} onToggle={onToggleTool} />
+        {geolocation && <LocationMenu geolocation={geolocation} />}
+        {mapView && (
+          <span className="map-view-chip" title="Sent with your next message so you can say &quot;this area&quot; or &quot;the one I clicked&quot;">
+            {mapView.selectedMarker ? `Selected: ${mapView.selectedMarker.title || 'marker'}` : 'Using current map view'}
+            <button type="button" onClick={onClearMapView} title="Don't send the map view">×</button>
+          </span>
+        )}
+      </div>
+      {uploadError && <div className="summary-error">{uploadError}</div>}
       <form className="message-input-wrapper" onSubmit={handleSubmit}>
+        {onUploadMapFile && (
+          <>
+            <button
+              type="button"
+              className="attach-btn"
+              title="Add a GPX, KML or GeoJSON file to the map"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={disabled || uploading}
+            >
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+              </svg>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={MAP_FILE_TYPES}
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+          </>
+        )}
         <textarea
           ref={textareaRef}
           className="message-input"
@@ -41,16 +95,29 @@ export default function MessageInput({ onSend, disabled, tools, onToggleTool })
           disabled={disabled}
           rows={1}
         />
-        <button
-          type="submit"
-          className="send-btn"
-          disabled={!message.trim() || disabled}
-        >
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <line x1="22" y1="2" x2="11" y2="13"/>
-            <polygon points="22 2 15 22 11 13 2 9 22 2"/>
-          </svg>
-        </button>
+        {disabled && onStop ? (
+          <button
+            type="button"
+            className="send-btn stop-btn"
+            title="Stop generating"
+            onClick={onStop}
+          >
+            <svg viewBox="0 0 24 24" fill="currentColor" stroke="none">
+              <rect x="6" y="6" width="12" height="12" rx="2"/>
+            </svg>
+          </button>
+        ) : (
+          <button
+            type="submit"
+            className="send-btn"
+            disabled={!message.trim() || disabled}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="22" y1="2" x2="11" y2="13"/>
+              <polygon points="22 2 15 22 11 13 2 9 22 2"/>
+            </svg>
+          </button>
+        )}
       </form>
     </div>
   );
@@ -1,7 +1,10 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { marked } from 'marked';
 import MapView from './MapView';
-import PlaceCard from './PlaceCard';
+import RouteItinerary from './RouteItinerary';
+import RouteSummary from './RouteSummary';
+import PlaceList from './PlaceList';
+import MapExportMenu from './MapExportMenu';
 import SearchResults from './SearchResults';
 import ThinkingSteps from './ThinkingSteps';
 
@@ -79,8 +82,28 @@ function renderContent(content, onLinkClick) {
   );
 }
 
-export default function MessageList({ messages, loading, onLinkClick, onReask, mapsApiKey, onOpenArtifact }) {
+// Trip id when the message (or its last step) shows an itinerary
+function itineraryId(mapData) {
+  if (mapData?.type === 'itinerary') return mapData.tripId;
+  if (mapData?.type === 'multi') {
+    return [...mapData.steps].reverse().find(s => s.mapData?.type === 'itinerary')?.mapData.tripId || null;
+  }
+  return null;
+}
+
+export default function MessageList({ messages, loading, onLinkClick, onReask, mapsApiKey, onOpenArtifact, onOpenItinerary, onMapViewChange }) {
   const endRef = useRef(null);
+  // Chosen alternative route per map, keyed by message id and map step
+  const [selectedRoutes, setSelectedRoutes] = useState({});
+  const selectRoute = (key) => (idx) => setSelectedRoutes(prev => ({ ...prev, [key]: idx }));
+
+  // "Ask about this spot" on a map sends the dropped pin as a new question (not while a run is in progress)
+  const askAboutSpot = loading ? undefined : ({ lat, lng, address }) => {
+    const coords = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    onReask?.(address
+      ? `What's here? ${address} (${coords})`
+      : `What's at ${coords}?`);
+  };
 
   useEffect(() => {
     endRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -125,6 +148,9 @@ export default function MessageList({ messages, loading, onLinkClick, onReask, m
               />
             )}
             {message.content ? renderContent(message.content, onLinkClick) : null}
+            {message.cancelled && (
+              <div className="message-cancelled">Stopped before the response finished</div>
+            )}
             <div className="message-actions">
               <CopyButton text={message.content} />
               {message.artifactData && onOpenArtifact && (
@@ -139,6 +165,20 @@ export default function MessageList({ messages, loading, onLinkClick, onReask, m
                   {message.artifactData.title || 'View Artifact'}
                 </button>
               )}
+              {message.mapData && message.mapData.type !== 'traffic' && (
+                <MapExportMenu
+                  mapData={message.mapData}
+                  name={message.mapData.name || message.mapData.title || 'map'}
+                />
+              )}
+              {itineraryId(message.mapData) && onOpenItinerary && (
+                <button
+                  className="artifact-open-btn"
+                  onClick={() => onOpenItinerary(itineraryId(message.mapData))}
+                >
+                  Open itinerary
+                </button>
+              )}
               {message.role === 'user' && onReask && (
                 <button
                   className="reask-btn"
@@ -172,19 +212,26 @@ export default function MessageList({ messages, loading, onLinkClick, onReask, m
                       mapData={step.mapData}
                       apiKey={mapsApiKey}
                       onPlaceClick={(place) => onLinkClick?.(`place:${place.placeId}`)}
+                      onAskAboutSpot={askAboutSpot}
+                      selectedRoute={selectedRoutes[`${message.id}:${stepIdx}`] || 0}
+                      onSelectRoute={selectRoute(`${message.id}:${stepIdx}`)}
+                      onViewChange={onMapViewChange}
                     />
                   </div>
+                  {step.mapData?.type === 'route' && <RouteItinerary route={step.mapData} />}
+                  {step.mapData?.type === 'directions' && (
+                    <RouteSummary
+                      directions={step.mapData}
+                      selected={selectedRoutes[`${message.id}:${stepIdx}`] || 0}
+                      onSelect={selectRoute(`${message.id}:${stepIdx}`)}
+                    />
+                  )}
                   {step.mapData?.places && step.mapData.places.length > 0 && (
-                    <div className="place-cards">
-                      {step.mapData.places.slice(0, 6).map((place, idx) => (
-                        <PlaceCard
-                          key={place.placeId || idx}
-                          place={place}
-                          number={idx + 1}
-                          onClick={() => onLinkClick?.(`place:${place.placeId}`)}
-                        />
-                      ))}
-                    </div>
+                    <PlaceList
+                      places={step.mapData.places}
+                      cursor={step.mapData.cursor}
+                      onPlaceClick={(place) => onLinkClick?.(`place:${place.placeId}`)}
+                    />
                   )}
                 </div>
               ))
@@ -195,19 +242,26 @@ export default function MessageList({ messages, loading, onLinkClick, onReask, m
                     mapData={message.mapData}
                     apiKey={mapsApiKey}
                     onPlaceClick={(place) => onLinkClick?.(`place:${place.placeId}`)}
+                    onAskAboutSpot={askAboutSpot}
+                    selectedRoute={selectedRoutes[message.id] || 0}
+                    onSelectRoute={selectRoute(message.id)}
+                    onViewChange={onMapViewChange}
                   />
                 </div>
+                {message.mapData.type === 'route' && <RouteItinerary route={message.mapData} />}
+                {message.mapData.type === 'directions' && (
+                  <RouteSummary
+                    directions={message.mapData}
+                    selected={selectedRoutes[message.id] || 0}
+                    onSelect={selectRoute(message.id)}
+                  />
+                )}
                 {message.mapData?.places && message.mapData.places.length > 0 && (
-                  <div className="place-cards">
-                    {message.mapData.places.slice(0, 6).map((place, idx) => (
-                      <PlaceCard
-                        key={place.placeId || idx}
-                        place={place}
-                        number={idx + 1}
-                        onClick={() => onLinkClick?.(`place:${place.placeId}`)}
-                      />
-                    ))}
-                  </div>
+                  <PlaceList
+                    places={message.mapData.places}
+                    cursor={message.mapData.cursor}
+                    onPlaceClick={(place) => onLinkClick?.(`place:${place.placeId}`)}
+                  />
                 )}
               </>
             ) : null}
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { getLlmProviders, getAgentSettings, updateAgentSettings } from '../services/api';
+
+// Provider / model picker for the Agent settings panel. Each provider keeps its own model
+// (llm_model.<provider>), so switching back restores the earlier choice
+export default function ModelSettings() {
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('gemini');
+  const [models, setModels] = useState({});
+  const [saved, setSaved] = useState({ provider: 'gemini', models: {} });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([getLlmProviders(), getAgentSettings()])
+      .then(([providerData, settings]) => {
+        setProviders(providerData.providers);
+        const current = {
+          provider: settings.llm_provider || providerData.active.provider,
+          models: Object.fromEntries(providerData.providers.map(p => [p.id, settings[`llm_model.${p.id}`] || '']))
+        };
+        setProvider(current.provider);
+        setModels(current.models);
+        setSaved(current);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const model = models[provider] || '';
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await updateAgentSettings({ llm_provider: provider, [`llm_model.${provider}`]: model.trim() });
+      setSaved(prev => ({ provider, models: { ...prev.models, [provider]: model.trim() } }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selected = providers.find(p => p.id === provider);
+  const dirty = provider !== saved.provider || model.trim() !== (saved.models[provider] || '');
+
+  return (
+    <div className="agent-settings-card">
+      <h3>Language Model</h3>
+
+      <div className="agent-setting-row">
+        <div className="agent-setting-info">
+          <label>Provider</label>
+          <span className="agent-setting-desc">
+            {selected && !selected.configured
+              ? 'Not configured — set its API key or base URL in the server .env'
+              : 'Backend used for chat, titles and conversation summaries'}
+          </span>
+        </div>
+        <div className="agent-setting-control">
+          <select className="agent-select" value={provider} onChange={(e) => setProvider(e.target.value)}>
+            {providers.map(p => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="agent-setting-row">
+        <div className="agent-setting-info">
+          <label>Model</label>
+          <span className="agent-setting-desc">
+            Leave empty to use the provider default{selected ? ` (${selected.defaultModel})` : ''}.
+            {selected && !selected.supportsGrounding && ' Web search is unavailable with this provider.'}
+          </span>
+        </div>
+        <div className="agent-setting-control">
+          <input
+            className="agent-text-input"
+            type="text"
+            value={model}
+            onChange={(e) => setModels(prev => ({ ...prev, [provider]: e.target.value }))}
+            placeholder={selected?.defaultModel || ''}
+          />
+        </div>
+      </div>
+
+      {error && <div className="summary-error">{error}</div>}
+      <div className="summary-popover-actions">
+        <button className="mcp-btn primary" onClick={handleSave} disabled={saving || !dirty}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { getNamedLocations, saveNamedLocation, deleteNamedLocation } from '../services/api';
+
+// "home", "office" and other names the agent resolves before geocoding; shown in the location menu
+export default function NamedLocations() {
+  const [locations, setLocations] = useState([]);
+  const [name, setName] = useState('');
+  const [address, setAddress] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getNamedLocations()
+      .then(data => setLocations(data.locations))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !address.trim()) return;
+    try {
+      setSaving(true);
+      setError(null);
+      const saved = await saveNamedLocation({ name: name.trim(), address: address.trim() });
+      setLocations(prev => [...prev.filter(l => l.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+      setAddress('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setError(null);
+      await deleteNamedLocation(id);
+      setLocations(prev => prev.filter(l => l.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="tool-menu-section-label">Named places</div>
+      {locations.length === 0 && (
+        <div className="location-menu-default">
+          <span className="location-menu-hint">Name places like "home" or "office" to use them in requests</span>
+        </div>
+      )}
+      {locations.map(location => (
+        <div key={location.id} className="location-menu-default">
+          <span className="named-location-name">{location.name}</span>
+          <span className="location-menu-address" title={location.address}>{location.address}</span>
+          <button type="button" className="location-menu-clear" onClick={() => handleDelete(location.id)}>Remove</button>
+        </div>
+      ))}
+      <form className="location-menu-form" onSubmit={handleSave}>
+        <input
+          className="named-location-input"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name"
+          disabled={saving}
+        />
+        <input
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          placeholder="Address"
+          disabled={saving}
+        />
+        <button type="submit" className="mcp-btn primary" disabled={saving || !name.trim() || !address.trim()}>
+          {saving ? 'Saving…' : 'Add'}
+        </button>
+      </form>
+      {error && <div className="location-menu-error">{error}</div>}
+    </>
+  );
+}
@@ -1,4 +1,5 @@
 import React from 'react';
+import BookmarkButton from './BookmarkButton';
 
 function StarRating({ rating }) {
   const fullStars = Math.floor(rating);
@@ -28,6 +29,7 @@ export default function PlaceCard({ place, number, onClick }) {
           <h4>{place.name}</h4>
           {place.rating > 0 && <StarRating rating={place.rating} />}
         </div>
+        <BookmarkButton place={place} />
       </div>
 
       {place.address && (
@@ -38,6 +40,9 @@ export default function PlaceCard({ place, number, onClick }) {
         {priceDisplay && (
           <span className="place-card-price">{priceDisplay}</span>
         )}
+        {place.distance && (
+          <span className="place-card-distance">{place.distance}</span>
+        )}
         {place.openNow !== undefined && (
           <span className={`place-card-status ${place.openNow ? 'open' : 'closed'}`}>
             {place.openNow ? 'Open' : 'Closed'}
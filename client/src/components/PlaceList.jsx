@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import PlaceCard from './PlaceCard';
+import { searchMorePlaces } from '../services/api';
+
+const PAGE_SIZE = 6;
+
+// Place cards under a search result; "Load more" first reveals places already returned,
+// then fetches the next batch through the search cursor. Each batch is ranked on its own
+// and appended, so the chosen order holds within a batch rather than across the whole list.
+export default function PlaceList({ places: initialPlaces, cursor: initialCursor, onPlaceClick }) {
+  const [places, setPlaces] = useState(initialPlaces);
+  const [cursor, setCursor] = useState(initialCursor || null);
+  const [visible, setVisible] = useState(PAGE_SIZE);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadMore = async () => {
+    if (visible < places.length) {
+      setVisible(v => v + PAGE_SIZE);
+      return;
+    }
+    try {
+      setLoadingMore(true);
+      setError(null);
+      const result = await searchMorePlaces(cursor);
+      // Pages can overlap when the provider reorders results between requests
+      const seen = new Set(places.map(p => p.placeId));
+      setPlaces(prev => [...prev, ...result.places.filter(p => !seen.has(p.placeId))]);
+      setCursor(result.cursor);
+      setVisible(v => v + PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const hasMore = visible < places.length || !!cursor;
+
+  return (
+    <>
+      <div className="place-cards">
+        {places.slice(0, visible).map((place, idx) => (
+          <PlaceCard
+            key={place.placeId || idx}
+            place={place}
+            number={idx + 1}
+            onClick={place.placeId ? () => onPlaceClick?.(place) : undefined}
+          />
+        ))}
+      </div>
+      {error && <div className="summary-error">{error}</div>}
+      {hasMore && (
+        <button className="mcp-btn place-list-more" onClick={loadMore} disabled={loadingMore}>
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </>
+  );
+}
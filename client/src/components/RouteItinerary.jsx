@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Leg-by-leg breakdown shown under a plan_route map
+export default function RouteItinerary({ route }) {
+  if (!route?.legs?.length) return null;
+
+  return (
+    <div className="route-itinerary">
+      <div className="route-itinerary-total">
+        <span>{route.legs.length} leg{route.legs.length === 1 ? '' : 's'}</span>
+        <span>{route.totalDistance}</span>
+        <span>{route.totalDuration}</span>
+        {route.optimized && <span className="route-optimized">Order optimized</span>}
+      </div>
+      <ol className="route-legs">
+        {route.legs.map((leg, idx) => (
+          <li key={idx} className="route-leg">
+            <span className="route-leg-number">{idx + 1}</span>
+            <div className="route-leg-info">
+              <div className="route-leg-stops" title={`${leg.startAddress} → ${leg.endAddress}`}>
+                {leg.from} → {leg.to}
+              </div>
+              <div className="route-leg-meta">{leg.distance} · {leg.duration}</div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
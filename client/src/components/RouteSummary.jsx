@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Summary of the chosen directions route, with the alternatives as buttons to switch to
+export default function RouteSummary({ directions, selected = 0, onSelect }) {
+  const routes = directions?.routes;
+  if (!routes?.length) return null;
+  const route = routes[selected] || routes[0];
+
+  return (
+    <div className="route-summary">
+      <div className="route-summary-main">
+        {route.summary && <span className="route-summary-via">via {route.summary}</span>}
+        <span>{route.distance}</span>
+        <span>{route.durationInTraffic ? `${route.durationInTraffic} in traffic` : route.duration}</span>
+        {route.departureTime && route.arrivalTime && (
+          <span className="route-summary-times">{route.departureTime} → {route.arrivalTime}</span>
+        )}
+      </div>
+
+      {route.warnings?.map((warning, idx) => (
+        <div key={idx} className="route-summary-note">{warning}</div>
+      ))}
+      {directions.notes?.map((note, idx) => (
+        <div key={`note-${idx}`} className="route-summary-note">{note}</div>
+      ))}
+
+      {routes.length > 1 && (
+        <div className="route-alternatives">
+          {routes.map((alt, idx) => (
+            <button
+              key={idx}
+              className={`route-alternative ${idx === selected ? 'active' : ''}`}
+              onClick={() => onSelect?.(idx)}
+            >
+              <span>{alt.summary ? `via ${alt.summary}` : `Route ${idx + 1}`}</span>
+              <span className="route-alternative-meta">
+                {alt.distance} · {alt.durationInTraffic || alt.duration}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,52 @@
-import { useState, useCallback, useEffect } from 'react';
-import { sendMessage, getConversations, getConversation, deleteConversation as apiDeleteConversation, getTools } from '../services/api';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { sendMessage, respondToApproval, getConversations, getConversation, createConversation, updateConversation, deleteConversation as apiDeleteConversation, getTools, uploadMapFile as apiUploadMapFile } from '../services/api';
 
-export function useChat() {
+// Rebuild the live SSE step events from a persisted agent trace so ThinkingSteps renders the same after reload
+function toThinkingSteps(toolCalls = []) {
+  const steps = [];
+  for (const tc of toolCalls) {
+    if (tc.kind === 'retry') {
+      steps.push({ type: 'retry', attempt: tc.args?.attempt, reason: tc.args?.reason });
+      continue;
+    }
+    const callId = tc.call_index != null ? `${tc.step}.${tc.call_index}` : undefined;
+    if (tc.kind === 'web_search') {
+      steps.push({ type: 'web_search', step: tc.step, label: tc.label });
+    } else {
+      steps.push({ type: 'tool_call', name: tc.name, args: tc.args, step: tc.step, callId, label: tc.label });
+    }
+    if (tc.approval) {
+      steps.push({ type: 'approval_resolved', name: tc.name, args: tc.args, step: tc.step, callId, decision: tc.approval });
+    }
+    const summary = tc.result_summary || (tc.error ? `Error: ${tc.error}` : null);
+    if (summary) {
+      steps.push({ type: 'tool_result', name: tc.name, step: tc.step, callId, summary, durationMs: tc.duration_ms, cancelled: !!tc.cancelled });
+    }
+  }
+  return steps;
+}
+
+// getLocation: optional () => Promise<coords | null>, called before each message (see useGeolocation)
+export function useChat({ getLocation = null } = {}) {
   const [conversationId, setConversationId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentArtifact, setCurrentArtifact] = useState(null);
+  // Rolling summary of older turns that are no longer sent to the model verbatim
+  const [summary, setSummary] = useState(null);
+  // AbortController for the in-flight /api/chat request, so the run can be stopped
+  const abortRef = useRef(null);
+  // Tool calls paused server-side until the user approves, edits or rejects them
+  const [pendingApprovals, setPendingApprovals] = useState([]);
+  // Viewport and clicked marker of the map the user last interacted with; sent once with the next message
+  const [mapView, setMapView] = useState(null);
+
+  // Later pans keep an earlier marker selection; sending clears both
+  const reportMapView = useCallback((view) => {
+    setMapView(prev => ({ ...view, selectedMarker: view.selectedMarker || prev?.selectedMarker || null }));
+  }, []);
 
   // Tools state: { name, description, source, configured, enabled }
   const [availableTools, setAvailableTools] = useState([]);
@@ -72,12 +111,17 @@ export function useChat() {
       const conv = await getConversation(id);
       if (conv) {
         setConversationId(id);
+        setMapView(null);
+        setSummary(conv.summary || null);
         setMessages(conv.messages.map(m => ({
           id: m.id,
           role: m.role,
           content: m.content,
           mapData: m.map_data,
           searchResults: m.search_results,
+          artifactData: m.artifact,
+          cancelled: m.status === 'cancelled',
+          thinkingSteps: toThinkingSteps(m.tool_calls),
           thinkingComplete: true  // Loaded messages are always complete
         })));
       }
@@ -94,6 +138,8 @@ export function useChat() {
     const baseId = `${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
     const userMsgId = `u_${baseId}`;
     const assistantMsgId = `a_${baseId}`;
+    const abortController = new AbortController();
+    abortRef.current = abortController;
 
     try {
       setLoading(true);
@@ -113,6 +159,19 @@ export function useChat() {
       const enabledToolNames = availableTools.filter(t => t.enabled).map(t => t.name);
 
       const onStep = (step) => {
+        // Server-assigned conversation ID, sent before the run starts
+        if (step.type === 'conversation') {
+          if (step.isNewConversation) {
+            setConversationId(step.conversationId);
+            loadConversations();
+          }
+          return;
+        }
+        if (step.type === 'approval_required') {
+          setPendingApprovals(prev => [...prev, step]);
+        } else if (step.type === 'approval_resolved') {
+          setPendingApprovals(prev => prev.filter(a => a.callId !== step.callId));
+        }
         // Artifact step: set artifactData on the message and auto-open the panel immediately
         if (step.type === 'artifact') {
           setMessages(prev => prev.map(m =>
@@ -130,7 +189,18 @@ export function useChat() {
         ));
       };
 
-      const response = await sendMessage(conversationId, message, enabledToolNames, onStep);
+      // Reply text arrives incrementally; a reset delta discards text streamed by a superseded attempt
+      const onDelta = ({ text, reset }) => {
+        setMessages(prev => prev.map(m =>
+          m.id === assistantMsgId
+            ? { ...m, content: reset ? text : m.content + text }
+            : m
+        ));
+      };
+
+      const location = getLocation ? await getLocation() : null;
+      setMapView(null);
+      const response = await sendMessage(conversationId, message, enabledToolNames, onStep, onDelta, abortController.signal, location, mapView);
 
       // Update conversation ID if new
       if (response.isNewConversation || !conversationId) {
@@ -138,6 +208,8 @@ export function useChat() {
         loadConversations();
       }
 
+      setSummary(response.summary || null);
+
       // Finalize the assistant message
       setMessages(prev => prev.map(m =>
         m.id === assistantMsgId
@@ -163,20 +235,62 @@ export function useChat() {
       }
 
     } catch (err) {
+      if (err.name === 'AbortError') {
+        // Stopped by the user: keep the partial reply, the server saves it as cancelled
+        setMessages(prev => prev.map(m =>
+          m.id === assistantMsgId
+            ? { ...m, cancelled: true, thinkingComplete: true }
+            : m
+        ));
+        return;
+      }
       console.error('Error sending message:', err);
       setError(err.message);
       setMessages(prev => prev.filter(m => m.id !== assistantMsgId && m.id !== userMsgId));
     } finally {
+      if (abortRef.current === abortController) abortRef.current = null;
+      setPendingApprovals([]);
       setLoading(false);
     }
-  }, [conversationId, loadConversations, availableTools, currentArtifact]);
+  }, [conversationId, loadConversations, availableTools, currentArtifact, getLocation, mapView]);
+
+  const stop = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  // args is only sent when approving with edits; the run resumes once the server gets the decision
+  const resolveApproval = useCallback(async (approval, approved, args = null) => {
+    await respondToApproval(approval.runId, approval.callId, approved, args);
+    setPendingApprovals(prev => prev.filter(a => a.callId !== approval.callId));
+  }, []);
+
+  // Add a GPX / KML / GeoJSON file to the conversation (starting one if needed) as a map message
+  const uploadMapFile = useCallback(async (file) => {
+    let convId = conversationId;
+    if (!convId) {
+      const conv = await createConversation(file.name);
+      convId = conv.id;
+      setConversationId(convId);
+      loadConversations();
+    }
+    const { message } = await apiUploadMapFile(convId, file);
+    setMessages(prev => [...prev, { ...message, thinkingComplete: true }]);
+  }, [conversationId, loadConversations]);
 
   const newConversation = useCallback(() => {
     setConversationId(null);
     setMessages([]);
+    setMapView(null);
+    setSummary(null);
     setError(null);
   }, []);
 
+  const saveSummary = useCallback(async (text) => {
+    if (!conversationId) return;
+    await updateConversation(conversationId, { summary: text });
+    setSummary(text.trim() || null);
+  }, [conversationId]);
+
   const deleteConversation = useCallback(async (id) => {
     try {
       await apiDeleteConversation(id);
@@ -200,7 +314,15 @@ export function useChat() {
     loading,
     error,
     currentTitle,
+    summary,
+    saveSummary,
     send,
+    stop,
+    uploadMapFile,
+    mapView,
+    reportMapView,
+    pendingApprovals,
+    resolveApproval,
     loadConversation,
     newConversation,
     deleteConversation,
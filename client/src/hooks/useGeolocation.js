@@ -0,0 +1,66 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'shareLocation';
+// Reuse a fix for a minute rather than waking the GPS for every message
+const MAX_AGE_MS = 60 * 1000;
+const TIMEOUT_MS = 5000;
+
+// Opt-in browser geolocation sent with chat requests; the choice is remembered in localStorage
+export function useGeolocation() {
+  const supported = typeof navigator !== 'undefined' && !!navigator.geolocation;
+  const [enabled, setEnabledState] = useState(() => supported && localStorage.getItem(STORAGE_KEY) === 'true');
+  const [lastFix, setLastFix] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Ask the browser for a fix, whether or not sharing is already on. Never rejects: a failed fix
+  // just means the server falls back to the saved default or IP lookup.
+  const requestFix = useCallback(() => {
+    if (!supported) return Promise.resolve(null);
+    return new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          const fix = {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            timestamp: position.timestamp
+          };
+          setLastFix(fix);
+          setError(null);
+          resolve(fix);
+        },
+        (err) => {
+          if (err.code === err.PERMISSION_DENIED) {
+            localStorage.setItem(STORAGE_KEY, 'false');
+            setEnabledState(false);
+            setError('Location permission was denied in the browser');
+          } else {
+            setError(err.message || 'Could not get your location');
+          }
+          resolve(null);
+        },
+        { enableHighAccuracy: true, maximumAge: MAX_AGE_MS, timeout: TIMEOUT_MS }
+      );
+    });
+  }, [supported]);
+
+  // Turning sharing on asks for permission right away instead of on the next message
+  const setEnabled = useCallback((value) => {
+    localStorage.setItem(STORAGE_KEY, value ? 'true' : 'false');
+    setEnabledState(value);
+    setError(null);
+    if (value) {
+      requestFix();
+    } else {
+      setLastFix(null);
+    }
+  }, [requestFix]);
+
+  // Current position as { lat, lng, accuracy, timestamp }, or null when sharing is off or unavailable
+  const getPosition = useCallback(() => {
+    if (!enabled) return Promise.resolve(null);
+    return requestFix();
+  }, [enabled, requestFix]);
+
+  return { supported, enabled, setEnabled, getPosition, lastFix, error };
+}
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getSavedPlaces, savePlace, deleteSavedPlace } from '../services/api';
+
+// One list shared by every bookmark button and the map layer, so toggling a place
+// anywhere updates the rest without refetching
+let savedPlaces = null;
+let loadPromise = null;
+const listeners = new Set();
+
+function publish(next) {
+  savedPlaces = next;
+  listeners.forEach(listener => listener(next));
+}
+
+function load() {
+  loadPromise = getSavedPlaces()
+    .then(data => publish(data.places))
+    .catch(err => console.error('Failed to load saved places:', err))
+    .finally(() => { loadPromise = null; });
+  return loadPromise;
+}
+
+export function useSavedPlaces() {
+  const [places, setPlaces] = useState(savedPlaces || []);
+
+  useEffect(() => {
+    listeners.add(setPlaces);
+    if (savedPlaces === null && !loadPromise) load();
+    return () => listeners.delete(setPlaces);
+  }, []);
+
+  // The agent's save_place / remove_saved_place tools change the list server-side
+  const refresh = useCallback(() => loadPromise || load(), []);
+
+  const findSaved = useCallback((place) => {
+    if (!place) return null;
+    const savedId = place.savedId || place.id;
+    return places.find(p => (place.placeId && p.placeId === place.placeId) || (savedId && p.id === savedId)) || null;
+  }, [places]);
+
+  // place: { placeId, name, address, location }
+  const toggleSaved = useCallback(async (place) => {
+    const existing = findSaved(place);
+    if (existing) {
+      await deleteSavedPlace(existing.id);
+      publish((savedPlaces || []).filter(p => p.id !== existing.id));
+    } else {
+      const saved = await savePlace({
+        placeId: place.placeId,
+        name: place.name,
+        address: place.address,
+        location: place.location
+      });
+      publish([saved, ...(savedPlaces || []).filter(p => p.id !== saved.id)]);
+    }
+  }, [findSaved]);
+
+  return { savedPlaces: places, findSaved, toggleSaved, refresh };
+}
@@ -10,15 +10,20 @@ export async function getTools() {
   return response.json();
 }
 
-// SSE-based sendMessage: streams step events then resolves with the final done payload
-export async function sendMessage(conversationId, message, enabledTools = null, onStep = null) {
-  const body = { conversationId, message };
+// SSE-based sendMessage: streams step and reply delta events then resolves with the final done payload
+// Aborting `signal` closes the stream, which cancels the agent run server-side
+// location: optional browser coordinates { lat, lng, accuracy, timestamp }, only when the user opted in
+export async function sendMessage(conversationId, message, enabledTools = null, onStep = null, onDelta = null, signal = null, location = null, mapView = null) {
+  const body = { conversationId, message, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone };
   if (enabledTools) body.enabledTools = enabledTools;
+  if (location) body.location = location;
+  if (mapView) body.mapView = mapView;
 
   const response = await fetch(`${API_BASE}/chat`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal
   });
 
   if (!response.ok) {
@@ -63,13 +68,36 @@ export async function sendMessage(conversationId, message, enabledTools = null,
         }
         return event; // final payload
       }
-      onStep?.(event); // tool_call, tool_result, web_search, retry, etc.
+      if (event.type === 'delta') {
+        onDelta?.(event); // { text, reset? } chunk of the assistant reply
+        continue;
+      }
+      onStep?.(event); // conversation, tool_call, tool_result, web_search, retry, etc.
     }
   }
 
   throw new Error('Stream ended without a done event');
 }
 
+// Answer an approval_required event: approve (optionally with edited args) or reject the tool call
+export async function respondToApproval(runId, callId, approved, args = null) {
+  const body = { approved };
+  if (args) body.args = args;
+
+  const response = await fetch(`${API_BASE}/chat/runs/${runId}/approvals/${encodeURIComponent(callId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to send approval');
+  }
+
+  return response.json();
+}
+
 export async function getConversations() {
   const response = await fetch(`${API_BASE}/conversations`);
 
@@ -107,6 +135,35 @@ export async function createConversation(title) {
   return response.json();
 }
 
+// Upload a GPX, KML or GeoJSON file into a conversation → { message } with 'overlay' mapData
+export async function uploadMapFile(conversationId, file) {
+  const formData = new FormData();
+  formData.append('file', file);
+  const response = await fetch(`${API_BASE}/conversations/${conversationId}/map-files`, {
+    method: 'POST',
+    body: formData
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to upload map file');
+  }
+  return response.json();
+}
+
+export async function updateConversation(id, data) {
+  const response = await fetch(`${API_BASE}/conversations/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to update conversation');
+  }
+
+  return response.json();
+}
+
 export async function deleteConversation(id) {
   const response = await fetch(`${API_BASE}/conversations/${id}`, {
     method: 'DELETE'
@@ -120,12 +177,213 @@ export async function deleteConversation(id) {
 }
 
 export async function getPlaceDetails(placeId) {
-  const response = await fetch(`${API_BASE}/maps/places/${placeId}`);
+  // OSM place IDs look like "osm:node/123"
+  const response = await fetch(`${API_BASE}/maps/places/${encodeURIComponent(placeId)}`);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to fetch place details');
+  }
+
+  return response.json();
+}
+
+// Next page of a place search, using the cursor returned with the previous page
+export async function searchMorePlaces(cursor) {
+  const response = await fetch(`${API_BASE}/maps/places?cursor=${encodeURIComponent(cursor)}`);
+
+  if (!response.ok) {
+    // e.g. the daily Maps limit (429) or a reachable area that has expired (400)
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to load more places');
+  }
+
+  return response.json();
+}
+
+// --- Saved places ---
+
+export async function getSavedPlaces(tag = null) {
+  const params = tag ? `?tag=${encodeURIComponent(tag)}` : '';
+  const response = await fetch(`${API_BASE}/places/saved${params}`);
+  if (!response.ok) throw new Error('Failed to fetch saved places');
+  return response.json();
+}
+
+export async function savePlace(place) {
+  const response = await fetch(`${API_BASE}/places/saved`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(place)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to save place');
+  }
+  return response.json();
+}
+
+export async function updateSavedPlace(id, data) {
+  const response = await fetch(`${API_BASE}/places/saved/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+  if (!response.ok) throw new Error('Failed to update saved place');
+  return response.json();
+}
+
+export async function deleteSavedPlace(id) {
+  const response = await fetch(`${API_BASE}/places/saved/${id}`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to remove saved place');
+  return response.json();
+}
 
+// Download mapData as a GPX, KML or GeoJSON file
+export async function exportMapData(mapData, format, name) {
+  const response = await fetch(`${API_BASE}/maps/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mapData, format, name })
+  });
   if (!response.ok) {
-    throw new Error('Failed to fetch place details');
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to export map');
   }
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || `map.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// --- Location ---
 
+export async function getDefaultLocation() {
+  const response = await fetch(`${API_BASE}/location/default`);
+  if (!response.ok) throw new Error('Failed to load default location');
+  return response.json();
+}
+
+// { address } or { lat, lng, description? }
+export async function saveDefaultLocation(data) {
+  const response = await fetch(`${API_BASE}/location/default`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to save default location');
+  }
+  return response.json();
+}
+
+export async function clearDefaultLocation() {
+  const response = await fetch(`${API_BASE}/location/default`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to clear default location');
+  return response.json();
+}
+
+export async function getNamedLocations() {
+  const response = await fetch(`${API_BASE}/location/named`);
+  if (!response.ok) throw new Error('Failed to load named locations');
+  return response.json();
+}
+
+// { name, address } or { name, location: { lat, lng } }; saving an existing name moves it
+export async function saveNamedLocation(data) {
+  const response = await fetch(`${API_BASE}/location/named`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || 'Failed to save named location');
+  }
+  return response.json();
+}
+
+export async function deleteNamedLocation(id) {
+  const response = await fetch(`${API_BASE}/location/named/${id}`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to delete named location');
+  return response.json();
+}
+
+export async function getGeoIpProviders() {
+  const response = await fetch(`${API_BASE}/location/geoip/providers`);
+  if (!response.ok) throw new Error('Failed to fetch GeoIP providers');
+  return response.json();
+}
+
+export async function clearGeoIpCache() {
+  const response = await fetch(`${API_BASE}/location/geoip/cache`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to clear GeoIP cache');
+  return response.json();
+}
+
+// --- Itineraries ---
+
+export async function getItinerary(id) {
+  const response = await fetch(`${API_BASE}/itineraries/${id}`);
+  if (!response.ok) throw new Error('Failed to load itinerary');
+  return response.json();
+}
+
+export function getItineraryExportUrl(id, format) {
+  return `${API_BASE}/itineraries/${id}/${format}`;
+}
+
+export async function geocodeAddress(address) {
+  const response = await fetch(`${API_BASE}/maps/geocode?address=${encodeURIComponent(address)}`);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return null;
+    }
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to look up this address');
+  }
+
+  return response.json();
+}
+
+export async function reverseGeocode(lat, lng) {
+  const response = await fetch(`${API_BASE}/maps/reverse-geocode?lat=${lat}&lng=${lng}`);
+
+  if (!response.ok) {
+    if (response.status === 404) {
+      return null;
+    }
+    throw new Error('Failed to look up this location');
+  }
+
+  return response.json();
+}
+
+// --- Artifacts ---
+
+export async function getArtifacts(conversationId = null) {
+  const query = conversationId ? `?conversationId=${encodeURIComponent(conversationId)}` : '';
+  const response = await fetch(`${API_BASE}/artifacts${query}`);
+  if (!response.ok) throw new Error('Failed to fetch artifacts');
+  return response.json();
+}
+
+export async function getArtifact(id) {
+  const response = await fetch(`${API_BASE}/artifacts/${id}`);
+  if (!response.ok) throw new Error('Failed to fetch artifact');
+  return response.json();
+}
+
+export async function deleteArtifact(id) {
+  const response = await fetch(`${API_BASE}/artifacts/${id}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok) throw new Error('Failed to delete artifact');
   return response.json();
 }
 
@@ -244,3 +502,25 @@ export async function updateAgentSettings(settings) {
   if (!response.ok) throw new Error('Failed to update settings');
   return response.json();
 }
+
+// --- LLM Providers ---
+
+export async function getLlmProviders() {
+  const response = await fetch(`${API_BASE}/llm/providers`);
+  if (!response.ok) throw new Error('Failed to fetch LLM providers');
+  return response.json();
+}
+
+// --- Maps usage ---
+
+export async function getMapsUsage() {
+  const response = await fetch(`${API_BASE}/maps/usage`);
+  if (!response.ok) throw new Error('Failed to fetch maps usage');
+  return response.json();
+}
+
+export async function clearMapsCache() {
+  const response = await fetch(`${API_BASE}/maps/cache`, { method: 'DELETE' });
+  if (!response.ok) throw new Error('Failed to clear maps cache');
+  return response.json();
+}
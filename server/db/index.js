@@ -28,6 +28,19 @@ try {
   // Column already exists, ignore
 }
 
+// Migration: add status column ('complete' | 'cancelled') to messages
+try { db.exec("ALTER TABLE messages ADD COLUMN status TEXT DEFAULT 'complete'"); } catch {}
+
+// Migration: rolling summary of older turns (summary_message_id = last message folded into it)
+try { db.exec('ALTER TABLE conversations ADD COLUMN summary TEXT'); } catch {}
+try { db.exec('ALTER TABLE conversations ADD COLUMN summary_message_id INTEGER'); } catch {}
+
+// Migration: approval decision ('approved' | 'edited' | 'rejected') for gated tool calls
+try { db.exec('ALTER TABLE tool_calls ADD COLUMN approval TEXT'); } catch {}
+
+// Migration: calls interrupted or never started because the run was cancelled (1) vs completed (0)
+try { db.exec('ALTER TABLE tool_calls ADD COLUMN cancelled INTEGER NOT NULL DEFAULT 0'); } catch {}
+
 // Migration: add OAuth endpoint columns to mcp_servers
 try { db.exec('ALTER TABLE mcp_servers ADD COLUMN authorization_url TEXT'); } catch {}
 try { db.exec('ALTER TABLE mcp_servers ADD COLUMN token_url TEXT'); } catch {}
@@ -35,10 +48,55 @@ try { db.exec('ALTER TABLE mcp_servers ADD COLUMN token_url TEXT'); } catch {}
 // Migration: settings table
 db.exec(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
 // Insert defaults if not present
-const settingsDefaults = { max_steps: '10', max_retries: '2' };
+const settingsDefaults = {
+  max_steps: '10',
+  max_retries: '2',
+  tool_concurrency: '4',
+  tool_timeout_seconds: '120',
+  history_token_budget: '6000',
+  approval_required_tools: 'send_email',
+  approval_mcp_tools: 'true',
+  // Model per provider lives under llm_model.<provider id> ('' or unset = the provider default)
+  llm_provider: 'gemini',
+  map_provider: 'google',
+  // JSON { lat, lng, description } the user saved as their default location ('' = none)
+  user_default_location: '',
+  // Maps response cache lifetimes in hours (0 disables caching for that endpoint)
+  maps_cache_ttl_geocode: '720',
+  maps_cache_ttl_place_details: '24',
+  maps_cache_ttl_directions: '1',
+  // Daily call limits per Maps endpoint (0 = unlimited)
+  maps_daily_limit_geocode: '0',
+  maps_daily_limit_reverse_geocode: '0',
+  maps_daily_limit_places: '0',
+  maps_daily_limit_place_details: '0',
+  maps_daily_limit_directions: '0',
+  maps_daily_limit_distance_matrix: '0',
+  // IP geolocation: 'mmdb' (local MaxMind-format file, GEOIP_MMDB_PATH) or 'ip-api' (ip-api.com)
+  geoip_provider: 'mmdb',
+  geoip_cache_ttl_hours: '168',
+  // Location assumed when nothing better is known (private IPs, failed lookups)
+  default_location_lat: '38.9187',
+  default_location_lng: '-77.2311',
+  default_location_description: '1850 Towers Crescent Plaza, Tysons, VA 22182'
+};
 const insertSetting = db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)');
 for (const [k, v] of Object.entries(settingsDefaults)) insertSetting.run(k, v);
 
+// Migration: llm_model used to be shared by every provider; keep it for the provider it was chosen with
+const legacyModel = db.prepare("SELECT value FROM settings WHERE key = 'llm_model'").get();
+if (legacyModel) {
+  const legacyProvider = db.prepare("SELECT value FROM settings WHERE key = 'llm_provider'").get()?.value || 'gemini';
+  if (legacyModel.value) insertSetting.run(`llm_model.${legacyProvider}`, legacyModel.value);
+  db.prepare("DELETE FROM settings WHERE key = 'llm_model'").run();
+}
+
+// Drop expired map responses, IP lookups and old reachable areas left over from earlier runs
+db.prepare('DELETE FROM maps_cache WHERE expires_at <= ?').run(Date.now());
+db.prepare('DELETE FROM geoip_cache WHERE expires_at <= ?').run(Date.now());
+// Reachable areas are only referenced by recent conversations
+db.prepare("DELETE FROM reachable_areas WHERE created_at < datetime('now', '-30 days')").run();
+
 // Conversation operations
 export function createConversation(id, title = 'New Chat') {
   const stmt = db.prepare('INSERT INTO conversations (id, title) VALUES (?, ?)');
@@ -65,7 +123,27 @@ export function getConversation(id) {
   const msgStmt = db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at ASC');
   const messages = msgStmt.all(id);
 
-  return { ...conversation, messages };
+  // Attach each assistant message's agent trace
+  const toolCalls = getToolCallsForConversation(id);
+  const byMessage = new Map();
+  for (const tc of toolCalls) {
+    if (!byMessage.has(tc.message_id)) byMessage.set(tc.message_id, []);
+    byMessage.get(tc.message_id).push(tc);
+  }
+
+  // Oldest first so the newest artifact of a message wins
+  const artifactsByMessage = new Map(
+    getArtifacts({ conversationId: id, withContent: true }).reverse().map(a => [a.messageId, a])
+  );
+
+  return {
+    ...conversation,
+    messages: messages.map(m => ({
+      ...m,
+      tool_calls: byMessage.get(m.id) || [],
+      artifact: artifactsByMessage.get(m.id) || null
+    }))
+  };
 }
 
 export function updateConversationTitle(id, title) {
@@ -73,27 +151,40 @@ export function updateConversationTitle(id, title) {
   stmt.run(title, id);
 }
 
+export function getConversationSummary(id) {
+  return db.prepare('SELECT summary, summary_message_id FROM conversations WHERE id = ?').get(id) || null;
+}
+
+export function updateConversationSummary(id, summary, summaryMessageId = undefined) {
+  if (summaryMessageId === undefined) {
+    db.prepare('UPDATE conversations SET summary = ? WHERE id = ?').run(summary, id);
+  } else {
+    db.prepare('UPDATE conversations SET summary = ?, summary_message_id = ? WHERE id = ?').run(summary, summaryMessageId, id);
+  }
+}
+
 export function deleteConversation(id) {
   const stmt = db.prepare('DELETE FROM conversations WHERE id = ?');
   stmt.run(id);
 }
 
 // Message operations
-export function addMessage(conversationId, role, content, mapData = null, searchResults = null) {
+export function addMessage(conversationId, role, content, mapData = null, searchResults = null, status = 'complete') {
   // Update conversation timestamp
   const updateStmt = db.prepare('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?');
   updateStmt.run(conversationId);
 
   const stmt = db.prepare(`
-    INSERT INTO messages (conversation_id, role, content, map_data, search_results)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO messages (conversation_id, role, content, map_data, search_results, status)
+    VALUES (?, ?, ?, ?, ?, ?)
   `);
   const result = stmt.run(
     conversationId, role, content,
     mapData ? JSON.stringify(mapData) : null,
-    searchResults ? JSON.stringify(searchResults) : null
+    searchResults ? JSON.stringify(searchResults) : null,
+    status
   );
-  return { id: result.lastInsertRowid, conversationId, role, content, mapData, searchResults };
+  return { id: result.lastInsertRowid, conversationId, role, content, mapData, searchResults, status };
 }
 
 export function getMessages(conversationId) {
@@ -106,6 +197,94 @@ export function getMessages(conversationId) {
   }));
 }
 
+// Tool call operations
+export function addToolCalls(messageId, toolCalls) {
+  if (!toolCalls?.length) return;
+  const stmt = db.prepare(`
+    INSERT INTO tool_calls (message_id, kind, step, call_index, name, label, args, result_summary, duration_ms, error, approval, cancelled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertMany = db.transaction((items) => {
+    for (const tc of items) {
+      stmt.run(
+        messageId, tc.kind || 'tool_call', tc.step ?? null, tc.callIndex ?? null, tc.name || null,
+        tc.label || null, tc.args ? JSON.stringify(tc.args) : null, tc.summary || null,
+        tc.durationMs ?? null, tc.error || null, tc.approval || null, tc.cancelled ? 1 : 0
+      );
+    }
+  });
+  insertMany(toolCalls);
+}
+
+export function getToolCallsForConversation(conversationId) {
+  return db.prepare(`
+    SELECT tc.* FROM tool_calls tc
+    JOIN messages m ON tc.message_id = m.id
+    WHERE m.conversation_id = ?
+    ORDER BY tc.id ASC
+  `).all(conversationId).map(tc => ({
+    ...tc,
+    args: tc.args ? JSON.parse(tc.args) : null,
+    cancelled: !!tc.cancelled
+  }));
+}
+
+// Artifact operations
+
+// Row → the artifactData shape the client renders ({ title, type, html } / gridData / chartData)
+function toArtifactData(row, withContent = true) {
+  const artifact = {
+    id: row.id,
+    conversationId: row.conversation_id,
+    messageId: row.message_id,
+    title: row.title,
+    type: row.type,
+    sourceTool: row.source_tool,
+    version: row.version,
+    createdAt: row.created_at
+  };
+  if (!withContent) return artifact;
+  return { ...artifact, html: row.html || undefined, ...(row.payload ? JSON.parse(row.payload) : {}) };
+}
+
+export function saveArtifact(id, conversationId, messageId, artifactData) {
+  const { title = null, type, html, sourceTool, gridData, columnFormats, chartData, chartType } = artifactData;
+  const artifactType = type || 'html';
+  let payload = null;
+  if (artifactType === 'grid') payload = { gridData, columnFormats };
+  if (artifactType === 'chart') payload = { chartData, chartType };
+
+  const prev = db.prepare(
+    'SELECT MAX(version) as version FROM artifacts WHERE conversation_id = ? AND title IS ?'
+  ).get(conversationId, title);
+  const version = (prev?.version || 0) + 1;
+
+  db.prepare(`
+    INSERT INTO artifacts (id, conversation_id, message_id, title, type, html, payload, source_tool, version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, conversationId, messageId, title, artifactType, html || null,
+    payload ? JSON.stringify(payload) : null, sourceTool || null, version
+  );
+  return getArtifact(id);
+}
+
+export function getArtifact(id) {
+  const row = db.prepare('SELECT * FROM artifacts WHERE id = ?').get(id);
+  return row ? toArtifactData(row) : null;
+}
+
+export function getArtifacts({ conversationId = null, withContent = false } = {}) {
+  const rows = conversationId
+    ? db.prepare('SELECT * FROM artifacts WHERE conversation_id = ? ORDER BY created_at DESC, rowid DESC').all(conversationId)
+    : db.prepare('SELECT * FROM artifacts ORDER BY created_at DESC, rowid DESC').all();
+  return rows.map(r => toArtifactData(r, withContent));
+}
+
+export function deleteArtifact(id) {
+  db.prepare('DELETE FROM artifacts WHERE id = ?').run(id);
+}
+
 // Document operations
 export function createDocument(id, filename, originalName, fileType, fileSize) {
   const stmt = db.prepare(
@@ -156,6 +335,303 @@ export function getAllChunksWithEmbeddings() {
   `).all();
 }
 
+// Saved place operations
+
+function toSavedPlace(row) {
+  return {
+    id: row.id,
+    placeId: row.place_id,
+    name: row.name,
+    address: row.address,
+    location: { lat: row.lat, lng: row.lng },
+    notes: row.notes,
+    tags: JSON.parse(row.tags || '[]'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function createSavedPlace(id, placeId, name, address, lat, lng, notes = null, tags = []) {
+  db.prepare(`
+    INSERT INTO saved_places (id, place_id, name, address, lat, lng, notes, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, placeId || null, name, address || null, lat, lng, notes || null, JSON.stringify(tags));
+  return getSavedPlace(id);
+}
+
+export function getSavedPlace(id) {
+  const row = db.prepare('SELECT * FROM saved_places WHERE id = ?').get(id);
+  return row ? toSavedPlace(row) : null;
+}
+
+export function getSavedPlaceByPlaceId(placeId) {
+  const row = db.prepare('SELECT * FROM saved_places WHERE place_id = ?').get(placeId);
+  return row ? toSavedPlace(row) : null;
+}
+
+// tag: exact tag match; query: substring of name, address or notes
+export function getSavedPlaces({ tag = null, query = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (tag) {
+    conditions.push('EXISTS (SELECT 1 FROM json_each(saved_places.tags) WHERE lower(json_each.value) = lower(?))');
+    params.push(tag);
+  }
+  if (query) {
+    // % and _ in the query are literal characters, not wildcards
+    const pattern = `%${query.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    conditions.push("(name LIKE ? ESCAPE '\\' OR address LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern, pattern);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`SELECT * FROM saved_places ${where} ORDER BY created_at DESC`).all(...params).map(toSavedPlace);
+}
+
+// Only the given fields (name, notes, tags) change
+export function updateSavedPlace(id, { name, notes, tags }) {
+  const current = getSavedPlace(id);
+  if (!current) return null;
+  db.prepare(`
+    UPDATE saved_places SET name = ?, notes = ?, tags = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(
+    name ?? current.name,
+    notes !== undefined ? (notes || null) : current.notes,
+    JSON.stringify(tags ?? current.tags),
+    id
+  );
+  return getSavedPlace(id);
+}
+
+export function deleteSavedPlace(id) {
+  return db.prepare('DELETE FROM saved_places WHERE id = ?').run(id).changes > 0;
+}
+
+// Named location operations
+
+function toNamedLocation(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    address: row.address,
+    location: { lat: row.lat, lng: row.lng },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function createNamedLocation(id, name, address, lat, lng) {
+  db.prepare('INSERT INTO named_locations (id, name, address, lat, lng) VALUES (?, ?, ?, ?, ?)')
+    .run(id, name, address || null, lat, lng);
+  return getNamedLocation(id);
+}
+
+export function getNamedLocation(id) {
+  const row = db.prepare('SELECT * FROM named_locations WHERE id = ?').get(id);
+  return row ? toNamedLocation(row) : null;
+}
+
+// Case-insensitive (the name column is COLLATE NOCASE)
+export function getNamedLocationByName(name) {
+  const row = db.prepare('SELECT * FROM named_locations WHERE name = ?').get(name);
+  return row ? toNamedLocation(row) : null;
+}
+
+export function getNamedLocations() {
+  return db.prepare('SELECT * FROM named_locations ORDER BY name').all().map(toNamedLocation);
+}
+
+// Only the given fields (name, address, lat/lng) change
+export function updateNamedLocation(id, { name, address, lat, lng }) {
+  const current = getNamedLocation(id);
+  if (!current) return null;
+  db.prepare(`
+    UPDATE named_locations SET name = ?, address = ?, lat = ?, lng = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(
+    name ?? current.name,
+    address !== undefined ? (address || null) : current.address,
+    lat ?? current.location.lat,
+    lng ?? current.location.lng,
+    id
+  );
+  return getNamedLocation(id);
+}
+
+export function deleteNamedLocation(id) {
+  return db.prepare('DELETE FROM named_locations WHERE id = ?').run(id).changes > 0;
+}
+
+// Trip itinerary operations
+
+function toTripStop(row) {
+  return {
+    id: row.id,
+    position: row.position,
+    name: row.name,
+    placeId: row.place_id,
+    address: row.address,
+    location: { lat: row.lat, lng: row.lng },
+    arriveTime: row.arrive_time,
+    durationMinutes: row.duration_minutes,
+    notes: row.notes,
+    travel: row.travel ? JSON.parse(row.travel) : null
+  };
+}
+
+export function createTrip(id, title, startDate, mode, dayCount) {
+  const insertDay = db.prepare('INSERT INTO trip_days (trip_id, day_index, date) VALUES (?, ?, ?)');
+  db.transaction(() => {
+    db.prepare('INSERT INTO trips (id, title, start_date, mode) VALUES (?, ?, ?, ?)').run(id, title, startDate || null, mode);
+    for (let i = 0; i < dayCount; i++) {
+      insertDay.run(id, i + 1, tripDayDate(startDate, i));
+    }
+  })();
+  return getTrip(id);
+}
+
+// YYYY-MM-DD of the n-th day (0-based) after startDate, or null without a start date
+function tripDayDate(startDate, offset) {
+  if (!startDate) return null;
+  const date = new Date(`${startDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+}
+
+// Trip with its days and their stops in order
+export function getTrip(id) {
+  const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(id);
+  if (!trip) return null;
+  const days = db.prepare('SELECT * FROM trip_days WHERE trip_id = ? ORDER BY day_index ASC').all(id);
+  const stopsStmt = db.prepare('SELECT * FROM trip_stops WHERE day_id = ? ORDER BY position ASC');
+  return {
+    id: trip.id,
+    title: trip.title,
+    startDate: trip.start_date,
+    mode: trip.mode,
+    createdAt: trip.created_at,
+    updatedAt: trip.updated_at,
+    days: days.map(day => ({
+      id: day.id,
+      dayIndex: day.day_index,
+      date: day.date,
+      stops: stopsStmt.all(day.id).map(toTripStop)
+    }))
+  };
+}
+
+export function getTrips() {
+  return db.prepare(`
+    SELECT t.id, t.title, t.start_date AS startDate, t.mode, t.updated_at AS updatedAt,
+           (SELECT COUNT(*) FROM trip_days d WHERE d.trip_id = t.id) AS dayCount
+    FROM trips t ORDER BY t.updated_at DESC
+  `).all();
+}
+
+// Changing the start date re-dates every day; adding days appends empty ones
+export function updateTrip(id, { title, startDate, mode, dayCount }) {
+  const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(id);
+  if (!trip) return null;
+  const newStart = startDate !== undefined ? (startDate || null) : trip.start_date;
+  db.transaction(() => {
+    db.prepare('UPDATE trips SET title = ?, start_date = ?, mode = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(title ?? trip.title, newStart, mode ?? trip.mode, id);
+    const existing = db.prepare('SELECT COUNT(*) AS n FROM trip_days WHERE trip_id = ?').get(id).n;
+    for (let i = existing; i < (dayCount || 0); i++) {
+      db.prepare('INSERT INTO trip_days (trip_id, day_index, date) VALUES (?, ?, ?)').run(id, i + 1, null);
+    }
+    const days = db.prepare('SELECT id, day_index FROM trip_days WHERE trip_id = ?').all(id);
+    for (const day of days) {
+      db.prepare('UPDATE trip_days SET date = ? WHERE id = ?').run(tripDayDate(newStart, day.day_index - 1), day.id);
+    }
+  })();
+  return getTrip(id);
+}
+
+export function touchTrip(id) {
+  db.prepare('UPDATE trips SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+export function deleteTrip(id) {
+  return db.prepare('DELETE FROM trips WHERE id = ?').run(id).changes > 0;
+}
+
+export function createTripStop(dayId, position, { name, placeId, address, lat, lng, arriveTime, durationMinutes, notes }) {
+  const result = db.prepare(`
+    INSERT INTO trip_stops (day_id, position, name, place_id, address, lat, lng, arrive_time, duration_minutes, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(dayId, position, name, placeId || null, address || null, lat, lng, arriveTime || null, durationMinutes ?? 60, notes || null);
+  return result.lastInsertRowid;
+}
+
+// Stop with the trip and day it belongs to
+export function getTripStop(id) {
+  const row = db.prepare(`
+    SELECT s.*, d.trip_id, d.day_index FROM trip_stops s JOIN trip_days d ON s.day_id = d.id WHERE s.id = ?
+  `).get(id);
+  return row ? { ...toTripStop(row), dayId: row.day_id, tripId: row.trip_id, dayIndex: row.day_index } : null;
+}
+
+export function updateTripStop(id, { arriveTime, durationMinutes, notes, travel }) {
+  const stop = getTripStop(id);
+  if (!stop) return null;
+  db.prepare('UPDATE trip_stops SET arrive_time = ?, duration_minutes = ?, notes = ?, travel = ? WHERE id = ?').run(
+    arriveTime !== undefined ? (arriveTime || null) : stop.arriveTime,
+    durationMinutes ?? stop.durationMinutes,
+    notes !== undefined ? (notes || null) : stop.notes,
+    travel !== undefined ? (travel ? JSON.stringify(travel) : null) : (stop.travel ? JSON.stringify(stop.travel) : null),
+    id
+  );
+  return getTripStop(id);
+}
+
+export function deleteTripStop(id) {
+  return db.prepare('DELETE FROM trip_stops WHERE id = ?').run(id).changes > 0;
+}
+
+// Put stopIds (in order) on dayId, renumbering positions from 1; moves stops from other days too
+export function setTripDayStops(dayId, stopIds) {
+  const stmt = db.prepare('UPDATE trip_stops SET day_id = ?, position = ? WHERE id = ?');
+  db.transaction(() => {
+    stopIds.forEach((stopId, idx) => stmt.run(dayId, idx + 1, stopId));
+  })();
+}
+
+// Uploaded map file operations (GPX / KML / GeoJSON parsed into lines, polygons and markers)
+
+export function createMapOverlay(id, conversationId, name, format, data) {
+  db.prepare('INSERT INTO map_overlays (id, conversation_id, name, format, data) VALUES (?, ?, ?, ?, ?)')
+    .run(id, conversationId, name, format, JSON.stringify(data));
+  return getMapOverlay(id);
+}
+
+export function getMapOverlay(id) {
+  const row = db.prepare('SELECT * FROM map_overlays WHERE id = ?').get(id);
+  if (!row) return null;
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    name: row.name,
+    format: row.format,
+    ...JSON.parse(row.data),
+    createdAt: row.created_at
+  };
+}
+
+export function getMapOverlays(conversationId) {
+  return db.prepare(`
+    SELECT id, name, format, created_at AS createdAt FROM map_overlays WHERE conversation_id = ? ORDER BY created_at ASC
+  `).all(conversationId);
+}
+
+// Reachable area operations
+export function createReachableArea(id, data) {
+  db.prepare('INSERT INTO reachable_areas (id, data) VALUES (?, ?)').run(id, JSON.stringify(data));
+}
+
+export function getReachableArea(id) {
+  const row = db.prepare('SELECT * FROM reachable_areas WHERE id = ?').get(id);
+  return row ? { id: row.id, ...JSON.parse(row.data) } : null;
+}
+
 // MCP server operations
 export function getMcpServers() {
   return db.prepare('SELECT * FROM mcp_servers ORDER BY created_at DESC').all();
@@ -194,6 +670,71 @@ export function updateMcpServerStatus(id, status, errorMessage = null) {
   ).run(status, errorMessage, id);
 }
 
+// Maps cache and usage operations
+export function getCachedMapResponse(key) {
+  const row = db.prepare('SELECT response FROM maps_cache WHERE key = ? AND expires_at > ?').get(key, Date.now());
+  return row ? JSON.parse(row.response) : undefined;
+}
+
+export function setCachedMapResponse(key, provider, endpoint, response, ttlMs) {
+  db.prepare(`
+    INSERT OR REPLACE INTO maps_cache (key, provider, endpoint, response, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(key, provider, endpoint, JSON.stringify(response), Date.now() + ttlMs);
+}
+
+export function pruneMapsCache() {
+  return db.prepare('DELETE FROM maps_cache WHERE expires_at <= ?').run(Date.now()).changes;
+}
+
+export function clearMapsCache() {
+  return db.prepare('DELETE FROM maps_cache').run().changes;
+}
+
+// Cached IP lookup: undefined when not cached, null when the provider found nothing
+export function getCachedGeoIp(ip, provider) {
+  const row = db.prepare('SELECT location FROM geoip_cache WHERE ip = ? AND provider = ? AND expires_at > ?')
+    .get(ip, provider, Date.now());
+  if (!row) return undefined;
+  return row.location ? JSON.parse(row.location) : null;
+}
+
+export function setCachedGeoIp(ip, provider, location, ttlMs) {
+  db.prepare('INSERT OR REPLACE INTO geoip_cache (ip, provider, location, expires_at) VALUES (?, ?, ?, ?)')
+    .run(ip, provider, location ? JSON.stringify(location) : null, Date.now() + ttlMs);
+}
+
+export function clearGeoIpCache() {
+  return db.prepare('DELETE FROM geoip_cache').run().changes;
+}
+
+export function getMapsCacheStats() {
+  return db.prepare(`
+    SELECT endpoint, COUNT(*) AS entries FROM maps_cache WHERE expires_at > ? GROUP BY endpoint
+  `).all(Date.now());
+}
+
+// field: 'calls' | 'cache_hits' | 'blocked'
+export function recordMapsUsage(day, provider, endpoint, field) {
+  if (!['calls', 'cache_hits', 'blocked'].includes(field)) return;
+  db.prepare(`
+    INSERT INTO maps_usage (day, provider, endpoint, ${field}) VALUES (?, ?, ?, 1)
+    ON CONFLICT(day, provider, endpoint) DO UPDATE SET ${field} = ${field} + 1
+  `).run(day, provider, endpoint);
+}
+
+export function getMapsUsageCount(day, provider, endpoint) {
+  const row = db.prepare('SELECT calls FROM maps_usage WHERE day = ? AND provider = ? AND endpoint = ?').get(day, provider, endpoint);
+  return row ? row.calls : 0;
+}
+
+export function getMapsUsage(sinceDay) {
+  return db.prepare(`
+    SELECT day, provider, endpoint, calls, cache_hits AS cacheHits, blocked
+    FROM maps_usage WHERE day >= ? ORDER BY day DESC, endpoint ASC
+  `).all(sinceDay);
+}
+
 // Settings operations
 export function getSetting(key, defaultValue = null) {
   const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
@@ -1,6 +1,8 @@
 CREATE TABLE IF NOT EXISTS conversations (
   id TEXT PRIMARY KEY,
   title TEXT,
+  summary TEXT,
+  summary_message_id INTEGER,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -12,11 +14,50 @@ CREATE TABLE IF NOT EXISTS messages (
   content TEXT,
   map_data JSON,
   search_results JSON,
+  status TEXT DEFAULT 'complete',
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
 
+-- Agent trace for an assistant message: tool calls plus retry / web_search steps (kind)
+CREATE TABLE IF NOT EXISTS tool_calls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL DEFAULT 'tool_call',
+  step INTEGER,
+  call_index INTEGER,
+  name TEXT,
+  label TEXT,
+  args JSON,
+  result_summary TEXT,
+  duration_ms INTEGER,
+  error TEXT,
+  approval TEXT,
+  cancelled INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tool_calls_message ON tool_calls(message_id);
+
+-- Charts, grids and HTML views produced by generate_artifact or MCP chart data.
+-- Regenerating an artifact with the same title in a conversation bumps its version.
+CREATE TABLE IF NOT EXISTS artifacts (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE CASCADE,
+  message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+  title TEXT,
+  type TEXT NOT NULL DEFAULT 'html',
+  html TEXT,
+  payload JSON,
+  source_tool TEXT,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_artifacts_conversation ON artifacts(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_artifacts_message ON artifacts(message_id);
+
 CREATE TABLE IF NOT EXISTS documents (
   id TEXT PRIMARY KEY,
   filename TEXT NOT NULL,
@@ -55,3 +96,118 @@ CREATE TABLE IF NOT EXISTS mcp_servers (
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
+
+-- Cached map provider responses; the key is a hash of provider, endpoint and arguments
+CREATE TABLE IF NOT EXISTS maps_cache (
+  key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  response JSON NOT NULL,
+  expires_at INTEGER NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maps_cache_expires ON maps_cache(expires_at);
+
+-- IP → location lookups; location is NULL when the provider had no answer for the address
+CREATE TABLE IF NOT EXISTS geoip_cache (
+  ip TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  location JSON,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (ip, provider)
+);
+
+-- Daily map provider calls per endpoint (day is YYYY-MM-DD in UTC).
+-- calls = requests sent to the provider, cache_hits = answered from maps_cache, blocked = refused by the daily limit
+CREATE TABLE IF NOT EXISTS maps_usage (
+  day TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  calls INTEGER NOT NULL DEFAULT 0,
+  cache_hits INTEGER NOT NULL DEFAULT 0,
+  blocked INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, provider, endpoint)
+);
+
+-- Places the user bookmarked. place_id is the map provider's id (null for a spot saved by address or coordinates);
+-- tags is a JSON array of strings
+CREATE TABLE IF NOT EXISTS saved_places (
+  id TEXT PRIMARY KEY,
+  place_id TEXT,
+  name TEXT NOT NULL,
+  address TEXT,
+  lat REAL NOT NULL,
+  lng REAL NOT NULL,
+  notes TEXT,
+  tags JSON NOT NULL DEFAULT '[]',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_places_place_id ON saved_places(place_id) WHERE place_id IS NOT NULL;
+
+-- Personal names for places ("home", "office") that tools resolve before geocoding
+CREATE TABLE IF NOT EXISTS named_locations (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  address TEXT,
+  lat REAL NOT NULL,
+  lng REAL NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trip itineraries: a trip has numbered days, each day an ordered list of stops.
+-- travel is the leg from the previous stop that day ({ fromStopId, mode, distance, duration, durationSeconds, polyline })
+CREATE TABLE IF NOT EXISTS trips (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  start_date TEXT,
+  mode TEXT NOT NULL DEFAULT 'driving',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS trip_days (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trip_id TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  day_index INTEGER NOT NULL,
+  date TEXT,
+  UNIQUE (trip_id, day_index)
+);
+
+CREATE TABLE IF NOT EXISTS trip_stops (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  day_id INTEGER NOT NULL REFERENCES trip_days(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  place_id TEXT,
+  address TEXT,
+  lat REAL NOT NULL,
+  lng REAL NOT NULL,
+  arrive_time TEXT,
+  duration_minutes INTEGER NOT NULL DEFAULT 60,
+  notes TEXT,
+  travel JSON
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_stops_day ON trip_stops(day_id);
+
+CREATE TABLE IF NOT EXISTS map_overlays (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  format TEXT NOT NULL,
+  data JSON NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_map_overlays_conversation ON map_overlays(conversation_id);
+
+-- Areas from show_reachable_area, so later searches (and "load more") can refer to one by id
+CREATE TABLE IF NOT EXISTS reachable_areas (
+  id TEXT PRIMARY KEY,
+  data JSON NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
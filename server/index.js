@@ -7,6 +7,11 @@ import mapsRoutes from './routes/maps.js';
 import toolsRoutes from './routes/tools.js';
 import ragRoutes from './routes/rag.js';
 import adminRoutes from './routes/admin.js';
+import artifactsRoutes from './routes/artifacts.js';
+import llmRoutes from './routes/llm.js';
+import savedPlacesRoutes from './routes/savedPlaces.js';
+import itinerariesRoutes from './routes/itineraries.js';
+import locationRoutes from './routes/location.js';
 import { initializeMcpClients, shutdownMcpClients } from './services/mcpClient.js';
 
 const app = express();
@@ -17,7 +22,8 @@ app.use(cors({
   origin: ['http://localhost:5173', 'http://127.0.0.1:5173'],
   credentials: true
 }));
-app.use(express.json());
+// Map exports post the full mapData of a message (routes, overlays), which can exceed the 100kb default
+app.use(express.json({ limit: '5mb' }));
 
 // Routes
 app.use('/api/chat', chatRoutes);
@@ -26,6 +32,11 @@ app.use('/api/maps', mapsRoutes);
 app.use('/api/tools', toolsRoutes);
 app.use('/api/rag', ragRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/artifacts', artifactsRoutes);
+app.use('/api/llm', llmRoutes);
+app.use('/api/places/saved', savedPlacesRoutes);
+app.use('/api/itineraries', itinerariesRoutes);
+app.use('/api/location', locationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
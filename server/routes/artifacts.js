@@ -0,0 +1,47 @@
+import express from 'express';
+import { getArtifacts, getArtifact, deleteArtifact } from '../db/index.js';
+
+const router = express.Router();
+
+// List artifacts (metadata only), optionally for one conversation
+router.get('/', (req, res) => {
+  try {
+    const { conversationId } = req.query;
+    const artifacts = getArtifacts({ conversationId: conversationId || null });
+    res.json({ artifacts });
+  } catch (error) {
+    console.error('Error listing artifacts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single artifact with its html / grid / chart payload
+router.get('/:id', (req, res) => {
+  try {
+    const artifact = getArtifact(req.params.id);
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    res.json(artifact);
+  } catch (error) {
+    console.error('Error getting artifact:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an artifact
+router.delete('/:id', (req, res) => {
+  try {
+    const artifact = getArtifact(req.params.id);
+    if (!artifact) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    deleteArtifact(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting artifact:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
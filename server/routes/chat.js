@@ -1,11 +1,16 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { chat, generateTitle } from '../services/gemini.js';
-import { extractClientIP, getLocationFromIP } from '../services/geolocation.js';
+import { extractClientIP, resolveUserLocation } from '../services/geolocation.js';
+import { parseMapView } from '../services/maps/viewport.js';
+import { condenseHistory } from '../services/summarizer.js';
+import { resolveApproval } from '../services/approvals.js';
 import {
   createConversation,
   getConversation,
   addMessage,
+  addToolCalls,
+  saveArtifact,
   updateConversationTitle,
   getMessages
 } from '../db/index.js';
@@ -21,11 +26,24 @@ router.post('/', async (req, res) => {
   res.flushHeaders();
 
   const emit = (data) => {
+    if (res.writableEnded || res.destroyed) return;
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
+  // The browser closing the stream (Stop button, navigation) cancels the agent run
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[Chat] Client disconnected — cancelling run');
+      abortController.abort();
+    }
+  });
+
   try {
-    const { conversationId, message, enabledTools } = req.body;
+    // location: optional { lat, lng, accuracy, timestamp } from navigator.geolocation, sent only with the user's consent
+    // mapView: optional viewport and selected marker of the map the user last panned, zoomed or clicked
+    // timeZone: the browser's IANA time zone, so dates in the prompt and in travel-time tool arguments match the user's clock
+    const { conversationId, message, enabledTools, location, mapView, timeZone } = req.body;
 
     if (!message) {
       emit({ type: 'error', error: 'Message is required' });
@@ -41,25 +59,48 @@ router.post('/', async (req, res) => {
       isNewConversation = true;
     }
 
-    const history = getMessages(convId);
+    // Tell the client its conversation ID up front so a cancelled run stays in the same conversation,
+    // and the run ID it uses to answer approval requests
+    const runId = uuidv4();
+    emit({ type: 'conversation', conversationId: convId, isNewConversation, runId });
+
+    // Older turns beyond the token budget are folded into the conversation's rolling summary
+    const { history, summary } = await condenseHistory(convId, getMessages(convId));
     addMessage(convId, 'user', message);
 
-    const clientIP = extractClientIP(req);
-    const userLocation = await getLocationFromIP(clientIP);
+    const userLocation = await resolveUserLocation({ browserLocation: location, ip: extractClientIP(req) });
 
     const messages = [...history.map(m => ({ role: m.role, content: m.content })), { role: 'user', content: message }];
 
-    const { reply, mapData, searchResults, artifactData } = await chat(
+    const { reply, mapData, searchResults, artifactData, toolCalls, cancelled } = await chat(
       messages, history, userLocation, enabledTools,
-      (stepData) => emit({ type: 'step', ...stepData })
+      (stepData) => emit({ type: 'step', ...stepData }),
+      (delta) => emit({ type: 'delta', ...delta }),
+      abortController.signal,
+      summary,
+      runId,
+      parseMapView(mapView),
+      typeof timeZone === 'string' ? timeZone : null
     );
 
+    if (cancelled) {
+      // Nobody is listening any more — persist the partial reply and tool output, then stop
+      const partial = addMessage(convId, 'assistant', reply, mapData, searchResults, 'cancelled');
+      addToolCalls(partial.id, toolCalls);
+      if (artifactData) saveArtifact(uuidv4(), convId, partial.id, artifactData);
+      return;
+    }
+
     // Guard against empty replies (Gemini sometimes returns nothing after tool calls)
     const finalReply = reply || (artifactData
       ? 'Here is the visualization based on the data retrieved.'
       : 'I retrieved the information successfully.');
 
-    addMessage(convId, 'assistant', finalReply, mapData, searchResults);
+    const assistantMessage = addMessage(convId, 'assistant', finalReply, mapData, searchResults);
+    addToolCalls(assistantMessage.id, toolCalls);
+    const savedArtifact = artifactData
+      ? saveArtifact(uuidv4(), convId, assistantMessage.id, artifactData)
+      : null;
 
     if (isNewConversation) {
       try {
@@ -76,7 +117,8 @@ router.post('/', async (req, res) => {
       reply: finalReply,
       mapData,
       searchResults,
-      artifactData,
+      artifactData: savedArtifact,
+      summary,
       isNewConversation
     });
   } catch (error) {
@@ -87,4 +129,26 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Approve, edit or reject a tool call that is waiting in a run ({ approved, args? })
+router.post('/runs/:runId/approvals/:callId', (req, res) => {
+  try {
+    const { approved, args } = req.body;
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+    if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+      return res.status(400).json({ error: 'args must be an object' });
+    }
+
+    const found = resolveApproval(req.params.runId, req.params.callId, approved, args || null);
+    if (!found) {
+      return res.status(404).json({ error: 'No pending approval for this call' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error resolving approval:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
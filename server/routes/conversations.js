@@ -1,12 +1,32 @@
 import express from 'express';
+import multer from 'multer';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import {
+  addMessage,
+  createMapOverlay,
   createConversation,
   getConversations,
   getConversation,
   deleteConversation,
-  updateConversationTitle
+  updateConversationTitle,
+  updateConversationSummary
 } from '../db/index.js';
+import { parseGeoFile, toOverlayMapData, IMPORT_EXTENSIONS } from '../services/maps/geoFiles.js';
+
+// Map files are parsed in memory and stored as overlays; the original file is not kept
+const mapFileUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (IMPORT_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${ext} not supported. Allowed: ${IMPORT_EXTENSIONS.join(', ')}`));
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
 
 const router = express.Router();
 
@@ -56,14 +76,19 @@ router.get('/:id', (req, res) => {
   }
 });
 
-// Update conversation title
+// Update conversation title and/or rolling summary
 router.patch('/:id', (req, res) => {
   try {
-    const { title } = req.body;
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+    const { title, summary } = req.body;
+    if (!title && summary === undefined) {
+      return res.status(400).json({ error: 'Title or summary is required' });
+    }
+    if (title) {
+      updateConversationTitle(req.params.id, title);
+    }
+    if (summary !== undefined) {
+      updateConversationSummary(req.params.id, summary?.trim() || null);
     }
-    updateConversationTitle(req.params.id, title);
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating conversation:', error);
@@ -71,6 +96,43 @@ router.patch('/:id', (req, res) => {
   }
 });
 
+// Upload a GPX, KML or GeoJSON file into the conversation; it is shown as an 'overlay' map
+// in a user message, so the agent sees it (with its overlay_id) in the history
+router.post('/:id/map-files', mapFileUpload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    if (!getConversation(req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseGeoFile(req.file.originalname, req.file.buffer.toString('utf8'));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { format, markers, lines, polygons, truncated } = parsed;
+    const overlay = createMapOverlay(uuidv4(), req.params.id, req.file.originalname, format, { markers, lines, polygons });
+    const counts = [
+      markers.length && `${markers.length} point${markers.length === 1 ? '' : 's'}`,
+      lines.length && `${lines.length} line${lines.length === 1 ? '' : 's'}`,
+      polygons.length && `${polygons.length} area${polygons.length === 1 ? '' : 's'}`
+    ].filter(Boolean).join(', ');
+    const content = `Uploaded ${overlay.name} (${counts}${truncated ? ', truncated' : ''})`;
+    const mapData = toOverlayMapData(overlay);
+    const message = addMessage(req.params.id, 'user', content, mapData);
+    console.log(`[MapFiles] ${content} to ${req.params.id}`);
+
+    res.status(201).json({ message: { id: message.id, role: 'user', content, mapData } });
+  } catch (error) {
+    console.error('Error uploading map file:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete conversation
 router.delete('/:id', (req, res) => {
   try {
@@ -82,4 +144,15 @@ router.delete('/:id', (req, res) => {
   }
 });
 
+// Multer errors (wrong file type, too large) for map file uploads
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ error: 'File too large. Maximum size is 5MB.' });
+  }
+  if (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  next();
+});
+
 export default router;
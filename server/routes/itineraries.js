@@ -0,0 +1,78 @@
+import express from 'express';
+import { getTrips, getTrip, deleteTrip } from '../db/index.js';
+import { scheduleTrip, toItineraryMapData, buildIcs, buildPrintableHtml } from '../services/itinerary.js';
+
+const router = express.Router();
+
+function fileName(trip, extension) {
+  return `${trip.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'itinerary'}.${extension}`;
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json({ trips: getTrips() });
+  } catch (error) {
+    console.error('Error listing itineraries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Trip with scheduled arrival/departure times per stop, plus map data for the panel
+router.get('/:id', (req, res) => {
+  try {
+    const trip = getTrip(req.params.id);
+    if (!trip) {
+      return res.status(404).json({ error: 'Itinerary not found' });
+    }
+    res.json({ ...scheduleTrip(trip), mapData: toItineraryMapData(trip) });
+  } catch (error) {
+    console.error('Error fetching itinerary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteTrip(req.params.id)) {
+      return res.status(404).json({ error: 'Itinerary not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting itinerary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calendar file with one event per stop; needs a start date
+router.get('/:id/ics', (req, res) => {
+  try {
+    const trip = getTrip(req.params.id);
+    if (!trip) {
+      return res.status(404).json({ error: 'Itinerary not found' });
+    }
+    if (!trip.startDate) {
+      return res.status(400).json({ error: 'Set a start date on the itinerary before exporting it to a calendar' });
+    }
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName(trip, 'ics')}"`);
+    res.send(buildIcs(trip));
+  } catch (error) {
+    console.error('Error exporting itinerary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id/print', (req, res) => {
+  try {
+    const trip = getTrip(req.params.id);
+    if (!trip) {
+      return res.status(404).json({ error: 'Itinerary not found' });
+    }
+    res.type('html').send(buildPrintableHtml(trip));
+  } catch (error) {
+    console.error('Error rendering itinerary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
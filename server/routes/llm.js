@@ -0,0 +1,17 @@
+import express from 'express';
+import { listProviders, getLlm } from '../services/llm/index.js';
+
+const router = express.Router();
+
+// Available LLM providers and the one currently selected in settings
+router.get('/providers', (req, res) => {
+  try {
+    const { providerId, model } = getLlm();
+    res.json({ providers: listProviders(), active: { provider: providerId, model } });
+  } catch (error) {
+    console.error('Error listing LLM providers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import {
+  setSetting, clearGeoIpCache, getNamedLocations, getNamedLocation, getNamedLocationByName, updateNamedLocation, deleteNamedLocation
+} from '../db/index.js';
+import { geocode, reverseGeocode } from '../services/maps.js';
+import { mapsErrorStatus } from '../services/maps/accounting.js';
+import { getSavedDefaultLocation } from '../services/geolocation.js';
+import { listGeoIpProviders, getGeoIpProviderId } from '../services/geoip/index.js';
+import { saveNamedLocation, normalizeLocationName } from '../services/namedLocations.js';
+
+const router = express.Router();
+
+// The user's saved default location, used when the browser doesn't share coordinates
+router.get('/default', (req, res) => {
+  try {
+    res.json({ location: getSavedDefaultLocation() });
+  } catch (error) {
+    console.error('Error reading default location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save the default location: { address } or { lat, lng, description? }
+router.put('/default', async (req, res) => {
+  try {
+    const { address, lat, lng, description } = req.body;
+    let location;
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      const found = description ? null : await reverseGeocode(lat, lng);
+      location = { lat, lng, description: description || found?.address || `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
+    } else if (address?.trim()) {
+      const coords = await geocode(address.trim());
+      if (!coords) {
+        return res.status(404).json({ error: `Could not find "${address}"` });
+      }
+      location = { lat: coords.lat, lng: coords.lng, description: address.trim() };
+    } else {
+      return res.status(400).json({ error: 'address, or numeric lat and lng, is required' });
+    }
+    setSetting('user_default_location', JSON.stringify(location));
+    res.json({ location: getSavedDefaultLocation() });
+  } catch (error) {
+    console.error('Error saving default location:', error);
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.delete('/default', (req, res) => {
+  try {
+    setSetting('user_default_location', '');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing default location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Named locations ("home", "office") that map tools resolve before geocoding
+router.get('/named', (req, res) => {
+  try {
+    res.json({ locations: getNamedLocations() });
+  } catch (error) {
+    console.error('Error listing named locations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or replace a name: { name, address } or { name, location: { lat, lng }, address? }
+router.post('/named', async (req, res) => {
+  try {
+    const { name, address, location } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (location && (!Number.isFinite(location.lat) || !Number.isFinite(location.lng))) {
+      return res.status(400).json({ error: 'location needs numeric lat and lng' });
+    }
+    if (!location && !address?.trim()) {
+      return res.status(400).json({ error: 'address or location is required' });
+    }
+    const result = await saveNamedLocation({ name, address, location });
+    if (!result) {
+      return res.status(404).json({ error: `Could not find "${address}"` });
+    }
+    res.status(result.created ? 201 : 200).json(result.location);
+  } catch (error) {
+    console.error('Error saving named location:', error);
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Rename a location or move it to a new address
+router.patch('/named/:id', async (req, res) => {
+  try {
+    const current = getNamedLocation(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Named location not found' });
+    }
+    const { name, address } = req.body;
+    const newName = normalizeLocationName(name);
+    if (newName && newName !== current.name) {
+      const taken = getNamedLocationByName(newName);
+      if (taken) {
+        return res.status(409).json({ error: `"${newName}" is already a named location` });
+      }
+      updateNamedLocation(current.id, { name: newName });
+    }
+    if (address?.trim() && address.trim() !== current.address) {
+      const result = await saveNamedLocation({ name: newName || current.name, address });
+      if (!result) {
+        return res.status(404).json({ error: `Could not find "${address}"` });
+      }
+    }
+    res.json(getNamedLocation(current.id));
+  } catch (error) {
+    console.error('Error updating named location:', error);
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+router.delete('/named/:id', (req, res) => {
+  try {
+    if (!deleteNamedLocation(req.params.id)) {
+      return res.status(404).json({ error: 'Named location not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting named location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// IP geolocation providers and the one selected in settings
+router.get('/geoip/providers', (req, res) => {
+  try {
+    res.json({ providers: listGeoIpProviders(), active: getGeoIpProviderId() });
+  } catch (error) {
+    console.error('Error listing GeoIP providers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop every cached IP lookup (e.g. after replacing the database file)
+router.delete('/geoip/cache', (req, res) => {
+  try {
+    const removed = clearGeoIpCache();
+    console.log(`[GeoIP] Cleared ${removed} cached lookups`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error clearing GeoIP cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,8 +1,45 @@
 import express from 'express';
-import { geocode, searchPlaces, getPlaceDetails, getDirections } from '../services/maps.js';
+import { geocode, reverseGeocode, getPlaceDetails, getDirections } from '../services/maps.js';
+import { getMapProvider, listMapProviders } from '../services/maps/index.js';
+import { findPlaces, findMorePlaces, RANKINGS } from '../services/maps/placeSearch.js';
+import { getMapsUsageReport, mapsErrorStatus } from '../services/maps/accounting.js';
+import { clearMapsCache } from '../db/index.js';
+import { exportMapData, EXPORT_FORMATS } from '../services/maps/geoFiles.js';
 
 const router = express.Router();
 
+// Available map providers and the one selected in settings
+router.get('/providers', (req, res) => {
+  try {
+    res.json({ providers: listMapProviders(), active: getMapProvider().providerId });
+  } catch (error) {
+    console.error('Error listing map providers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calls per endpoint today and over the last 7 days, limits and cache hit rates (admin page)
+router.get('/usage', (req, res) => {
+  try {
+    res.json(getMapsUsageReport());
+  } catch (error) {
+    console.error('Error getting maps usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop every cached map response
+router.delete('/cache', (req, res) => {
+  try {
+    const removed = clearMapsCache();
+    console.log(`[Maps] Cleared ${removed} cached responses`);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error clearing maps cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Geocode an address
 router.get('/geocode', async (req, res) => {
   try {
@@ -17,22 +54,62 @@ router.get('/geocode', async (req, res) => {
     res.json(location);
   } catch (error) {
     console.error('Geocode error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
   }
 });
 
-// Search places
+// Reverse geocode coordinates to the nearest address
+router.get('/reverse-geocode', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ error: 'Valid lat and lng are required' });
+    }
+    const result = await reverseGeocode(lat, lng);
+    if (!result) {
+      return res.status(404).json({ error: 'No address found for this location' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Search places → { places, cursor }. Pass ?cursor= from a previous response for the next page;
+// otherwise query, lat and lng plus optional type, radius, openNow, minPrice, maxPrice, minRating, rankBy, limit.
 router.get('/places', async (req, res) => {
   try {
-    const { query, lat, lng, type } = req.query;
+    const { cursor, query, lat, lng, type, radius, openNow, minPrice, maxPrice, minRating, rankBy, limit } = req.query;
+    if (cursor) {
+      const result = await findMorePlaces(cursor);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.json(result);
+    }
+
     if (!query || !lat || !lng) {
       return res.status(400).json({ error: 'Query, lat, and lng are required' });
     }
-    const places = await searchPlaces(query, { lat: parseFloat(lat), lng: parseFloat(lng) }, type);
-    res.json(places);
+    if (rankBy && !RANKINGS.includes(rankBy)) {
+      return res.status(400).json({ error: `rankBy must be one of ${RANKINGS.join(', ')}` });
+    }
+    const result = await findPlaces(query, { lat: parseFloat(lat), lng: parseFloat(lng) }, {
+      type,
+      radius: radius ? parseInt(radius, 10) : 5000,
+      openNow: openNow === 'true',
+      minPrice: minPrice ? parseInt(minPrice, 10) : null,
+      maxPrice: maxPrice ? parseInt(maxPrice, 10) : null,
+      minRating: minRating ? parseFloat(minRating) : null,
+      rankBy: rankBy || 'relevance',
+      limit: limit ? parseInt(limit, 10) : 20
+    });
+    res.json(result);
   } catch (error) {
     console.error('Places search error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -46,24 +123,52 @@ router.get('/places/:placeId', async (req, res) => {
     res.json(details);
   } catch (error) {
     console.error('Place details error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
   }
 });
 
 // Get directions
 router.get('/directions', async (req, res) => {
   try {
-    const { origin, destination, mode } = req.query;
+    const { origin, destination, mode, alternatives, avoid, departureTime, arrivalTime } = req.query;
     if (!origin || !destination) {
       return res.status(400).json({ error: 'Origin and destination are required' });
     }
-    const directions = await getDirections(origin, destination, mode);
+    // departureTime / arrivalTime: 'now' or epoch seconds; avoid: comma-separated tolls,highways,ferries
+    const directions = await getDirections(origin, destination, mode, {
+      alternatives: alternatives === 'true',
+      avoid: avoid ? avoid.split(',').map(a => a.trim()).filter(Boolean) : [],
+      departureTime: departureTime || null,
+      arrivalTime: arrivalTime || null
+    });
     if (!directions) {
       return res.status(404).json({ error: 'Could not find directions' });
     }
     res.json(directions);
   } catch (error) {
     console.error('Directions error:', error);
+    res.status(mapsErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Download any message's mapData as a file: { mapData, format: 'gpx' | 'kml' | 'geojson', name? }
+router.post('/export', (req, res) => {
+  try {
+    const { mapData, format, name } = req.body;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const title = String(name || 'map').slice(0, 100);
+    const file = exportMapData(mapData, format, title);
+    if (!file) {
+      return res.status(400).json({ error: 'This map has no points, routes or areas to export' });
+    }
+    const fileName = title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'map';
+    res.setHeader('Content-Type', `${file.mimeType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${file.extension}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Map export error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -0,0 +1,70 @@
+import express from 'express';
+import { getSavedPlaces, updateSavedPlace, deleteSavedPlace } from '../db/index.js';
+import { savePlace, normalizeTags } from '../services/savedPlaces.js';
+
+const router = express.Router();
+
+// List saved places, optionally filtered by ?tag= and/or ?q= (name, address or notes)
+router.get('/', (req, res) => {
+  try {
+    const places = getSavedPlaces({ tag: req.query.tag || null, query: req.query.q || null });
+    res.json({ places });
+  } catch (error) {
+    console.error('Error listing saved places:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a place: { name, placeId?, address?, location?: { lat, lng }, notes?, tags? }
+router.post('/', async (req, res) => {
+  try {
+    const { name, placeId, address, location, notes, tags } = req.body;
+    if (!name && !placeId) {
+      return res.status(400).json({ error: 'name or placeId is required' });
+    }
+    if (location && (!Number.isFinite(location.lat) || !Number.isFinite(location.lng))) {
+      return res.status(400).json({ error: 'location needs numeric lat and lng' });
+    }
+    const result = await savePlace({ name, placeId, address, location, notes, tags });
+    if (!result) {
+      return res.status(404).json({ error: 'Could not locate that place' });
+    }
+    res.status(result.created ? 201 : 200).json(result.place);
+  } catch (error) {
+    console.error('Error saving place:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update name, notes and/or tags
+router.patch('/:id', (req, res) => {
+  try {
+    const { name, notes, tags } = req.body;
+    const place = updateSavedPlace(req.params.id, {
+      name: name || undefined,
+      notes,
+      tags: tags !== undefined ? normalizeTags(tags) : undefined
+    });
+    if (!place) {
+      return res.status(404).json({ error: 'Saved place not found' });
+    }
+    res.json(place);
+  } catch (error) {
+    console.error('Error updating saved place:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteSavedPlace(req.params.id)) {
+      return res.status(404).json({ error: 'Saved place not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting saved place:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,20 +1,38 @@
 import express from 'express';
 import { tools as builtinTools } from '../services/functionCalling.js';
 import { getMcpTools } from '../services/mcpClient.js';
+import { getLlm } from '../services/llm/index.js';
+import { getMapProvider } from '../services/maps/index.js';
 
 const router = express.Router();
 
-// Tools that require external config to work
+// Tools that require external config to work (map tools follow the active map provider)
 const CONFIG_CHECKS = {
   send_email: () => !!(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS),
-  show_map: () => !!process.env.GOOGLE_MAPS_API_KEY,
-  show_traffic: () => !!process.env.GOOGLE_MAPS_API_KEY,
-  search_places: () => !!process.env.GOOGLE_MAPS_API_KEY,
-  get_directions: () => !!process.env.GOOGLE_MAPS_API_KEY,
-  show_street_view: () => !!process.env.GOOGLE_MAPS_API_KEY,
+  show_map: () => getMapProvider().configured,
+  reverse_geocode: () => getMapProvider().configured,
+  show_traffic: () => getMapProvider().configured && getMapProvider().provider.supportsTraffic,
+  search_places: () => getMapProvider().configured,
+  get_directions: () => getMapProvider().configured,
+  plan_route: () => getMapProvider().configured,
+  show_reachable_area: () => getMapProvider().configured,
+  compare_travel_times: () => getMapProvider().configured,
+  show_street_view: () => getMapProvider().configured && getMapProvider().provider.supportsStreetView,
   get_user_location: () => true,
+  save_place: () => getMapProvider().configured,
+  list_saved_places: () => true,
+  remove_saved_place: () => true,
+  create_itinerary: () => true,
+  update_itinerary: () => getMapProvider().configured,
+  add_itinerary_stop: () => getMapProvider().configured,
+  update_itinerary_stop: () => getMapProvider().configured,
+  remove_itinerary_stop: () => getMapProvider().configured,
+  get_itinerary: () => true,
+  get_map_overlay: () => true,
+  show_points: () => true,
   search_documents: () => !!process.env.GEMINI_API_KEY,
-  web_search: () => !!process.env.GEMINI_API_KEY
+  // Grounded web search only exists on providers that support it (currently Gemini)
+  web_search: () => getLlm().provider.supportsGrounding && !!process.env.GEMINI_API_KEY
 };
 
 router.get('/', (req, res) => {
@@ -26,7 +44,7 @@ router.get('/', (req, res) => {
     configured: CONFIG_CHECKS[t.name] ? CONFIG_CHECKS[t.name]() : true
   }));
 
-  // Web search is a special built-in (uses Gemini grounding, not a function declaration)
+  // Web search is a special built-in (uses provider grounding, not a function declaration)
   builtin.push({
     name: 'web_search',
     description: 'Search the web for current information, news, and facts using Google Search',
@@ -0,0 +1,63 @@
+import { getSetting } from '../db/index.js';
+import { isMcpTool } from './mcpClient.js';
+
+// runId → Map(callId → { name, args, resolve })
+const pendingRuns = new Map();
+
+// Tools listed in approval_required_tools (comma-separated), plus every MCP tool unless disabled
+export function requiresApproval(name) {
+  const listed = getSetting('approval_required_tools', 'send_email')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+  if (listed.includes(name)) return true;
+  return isMcpTool(name) && getSetting('approval_mcp_tools', 'true') === 'true';
+}
+
+/**
+ * Pause until the user decides on a proposed tool call.
+ * Resolves with { decision: 'approved' | 'edited' | 'rejected', args }; rejects if the run is cancelled.
+ */
+export function waitForApproval(runId, callId, name, args, signal) {
+  return new Promise((resolve, reject) => {
+    if (!pendingRuns.has(runId)) pendingRuns.set(runId, new Map());
+    const pending = pendingRuns.get(runId);
+
+    const cleanup = () => {
+      pending.delete(callId);
+      if (pending.size === 0) pendingRuns.delete(runId);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason instanceof Error ? signal.reason : new DOMException('Aborted', 'AbortError'));
+    };
+
+    pending.set(callId, {
+      name,
+      args,
+      resolve: (decision) => {
+        cleanup();
+        resolve(decision);
+      }
+    });
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Apply the user's decision; returns false when no such call is waiting
+export function resolveApproval(runId, callId, approved, editedArgs = null) {
+  const entry = pendingRuns.get(runId)?.get(callId);
+  if (!entry) return false;
+
+  if (!approved) {
+    entry.resolve({ decision: 'rejected', args: entry.args });
+  } else if (editedArgs && JSON.stringify(editedArgs) !== JSON.stringify(entry.args)) {
+    entry.resolve({ decision: 'edited', args: editedArgs });
+  } else {
+    entry.resolve({ decision: 'approved', args: entry.args });
+  }
+  return true;
+}
@@ -1,7 +1,56 @@
-import { geocode, searchPlaces, getDirections, getPlaceDetails } from './maps.js';
+import { reverseGeocode, getDirections, getPlaceDetails, planRoute, getTravelTimes, getDistanceMatrix } from './maps.js';
+import { sampleIsochrone, rememberArea, getArea } from './maps/isochrone.js';
+import { buildTravelTimeArtifact, summarizeTravelTimes } from './maps/travelTimeTable.js';
+import { findPlaces, RANKINGS } from './maps/placeSearch.js';
+import { savePlace, findSavedPlace } from './savedPlaces.js';
+import { locate, resolveNamedLocation, toRouteEndpoint } from './namedLocations.js';
+import { summarizeOverlay, toOverlayMapData } from './maps/geoFiles.js';
+import { datasetFromRows, summarizeDataset } from './maps/pointDatasets.js';
+import { getSavedPlaces, deleteSavedPlace, getTrip, getMapOverlay } from '../db/index.js';
+import {
+  createItinerary, updateItinerary, addStop, editStop, removeStop, summarizeTrip, toItineraryMapData
+} from './itinerary.js';
 import { sendEmail } from './email.js';
 import { searchDocuments } from './rag.js';
 
+// Milliseconds the given IANA zone is ahead of UTC at the instant ms
+function zoneOffsetMs(timeZone, ms) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * 'now' or a date-time string → 'now' | epoch seconds; undefined when absent, null when unparseable.
+ * A time without an offset ("2025-05-01T08:00:00") is the user's wall-clock time in timeZone (the
+ * browser's IANA zone sent with the chat request); without a valid zone the server's zone is used.
+ */
+export function parseTravelTime(value, timeZone = null) {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  if (text.toLowerCase() === 'now') return 'now';
+
+  const local = LOCAL_DATE_TIME.exec(text);
+  if (local && timeZone) {
+    try {
+      const [year, month, day, hour, minute, second] = local.slice(1).map(v => Number(v ?? 0));
+      const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+      // Two passes settle on the right offset on either side of a DST change
+      let ms = wallClock - zoneOffsetMs(timeZone, wallClock);
+      ms = wallClock - zoneOffsetMs(timeZone, ms);
+      return Math.floor(ms / 1000);
+    } catch {
+      console.warn(`[Maps] Ignoring unknown time zone "${timeZone}"`);
+    }
+  }
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
 export const tools = [
   {
     name: "show_map",
@@ -9,19 +58,31 @@ export const tools = [
     parameters: {
       type: "object",
       properties: {
-        location: { type: "string", description: "Address or place name" },
+        location: { type: "string", description: "Address, place name, or one of the user's named locations such as \"home\"" },
         zoom: { type: "number", description: "Zoom level 1-20, default 14" }
       },
       required: ["location"]
     }
   },
+  {
+    name: "reverse_geocode",
+    description: "Look up the address and place at a latitude/longitude. Use when the user gives coordinates or asks what is at a spot they picked on the map.",
+    parameters: {
+      type: "object",
+      properties: {
+        lat: { type: "number", description: "Latitude" },
+        lng: { type: "number", description: "Longitude" }
+      },
+      required: ["lat", "lng"]
+    }
+  },
   {
     name: "show_traffic",
     description: "Show traffic conditions for an area",
     parameters: {
       type: "object",
       properties: {
-        location: { type: "string", description: "Address or place name" },
+        location: { type: "string", description: "Address, place name, or one of the user's named locations such as \"home\"" },
         radius: { type: "number", description: "Radius in miles, default 5" }
       },
       required: ["location"]
@@ -34,40 +95,269 @@ export const tools = [
       type: "object",
       properties: {
         query: { type: "string", description: "Search query like 'italian restaurants' or 'hotels'" },
-        location: { type: "string", description: "Location to search near. If omitted, uses the user's current location." },
+        location: { type: "string", description: "Location to search near (address, place name or named location). If omitted, uses the user's current location." },
         type: { type: "string", enum: ["hotel", "restaurant", "attraction", "gas_station"], description: "Type of place" },
-        minRating: { type: "number", description: "Minimum star rating 1-5" }
+        minRating: { type: "number", description: "Minimum star rating 1-5" },
+        radius: { type: "number", description: "Search radius in meters, default 5000, at most 50000" },
+        open_now: { type: "boolean", description: "Only places that are open right now" },
+        min_price: { type: "number", description: "Cheapest price level to include, 0 (free) to 4 (very expensive)" },
+        max_price: { type: "number", description: "Most expensive price level to include, 0 to 4" },
+        rank_by: {
+          type: "string",
+          enum: ["relevance", "rating", "popularity", "distance"],
+          description: "Result order: the provider's relevance (default), star rating, rating weighted by review count, or distance from the search center"
+        },
+        max_results: { type: "number", description: "How many places to return, default 10, at most 60 (dense results are clustered on the map)" },
+        area_id: { type: "string", description: "Only return places inside a reachable area from an earlier show_reachable_area call (its area_id). Location is ignored when set." }
       },
       required: ["query"]
     }
   },
   {
     name: "get_directions",
-    description: "Get directions between two locations",
+    description: "Get directions between two locations, optionally with alternative routes, avoidances and a departure or arrival time (traffic-aware when driving)",
     parameters: {
       type: "object",
       properties: {
-        origin: { type: "string", description: "Starting location" },
-        destination: { type: "string", description: "Ending location" },
-        mode: { type: "string", enum: ["driving", "walking", "transit", "bicycling"], description: "Travel mode, default driving" }
+        origin: { type: "string", description: "Starting location (address, place name or named location)" },
+        destination: { type: "string", description: "Ending location (address, place name or named location)" },
+        mode: { type: "string", enum: ["driving", "walking", "transit", "bicycling"], description: "Travel mode, default driving" },
+        alternatives: { type: "boolean", description: "Also return alternative routes when available" },
+        avoid: {
+          type: "array",
+          items: { type: "string", enum: ["tolls", "highways", "ferries"] },
+          description: "Road features to avoid"
+        },
+        departure_time: { type: "string", description: "When the user leaves: 'now' or an ISO 8601 date-time in the user's local time such as 2025-05-01T08:00:00" },
+        arrival_time: { type: "string", description: "When the user wants to arrive (transit only), as an ISO 8601 date-time in the user's local time" }
       },
       required: ["origin", "destination"]
     }
   },
+  {
+    name: "compare_travel_times",
+    description: "Compare travel times from several origins to several destinations at once (a distance matrix), e.g. which office is closest to each candidate hotel. Shows a sortable table and returns the closest origin for each destination.",
+    parameters: {
+      type: "object",
+      properties: {
+        origins: { type: "array", items: { type: "string" }, description: "Starting locations (at most 10)" },
+        destinations: { type: "array", items: { type: "string" }, description: "Destinations to compare (at most 25)" },
+        mode: { type: "string", enum: ["driving", "walking", "transit", "bicycling"], description: "Travel mode, default driving" },
+        departure_time: { type: "string", description: "When to leave: 'now' or an ISO 8601 date-time in the user's local time; traffic-aware when driving" }
+      },
+      required: ["origins", "destinations"]
+    }
+  },
+  {
+    name: "show_reachable_area",
+    description: "Show the area reachable from a location within a travel-time limit (an isochrone), e.g. 'everywhere within 15 minutes' walk'. Returns an area_id that search_places can use to only find places inside the area.",
+    parameters: {
+      type: "object",
+      properties: {
+        location: { type: "string", description: "Starting location (address, place name or named location). If omitted, uses the user's current location." },
+        mode: { type: "string", enum: ["driving", "walking", "transit", "bicycling"], description: "Travel mode, default driving" },
+        minutes: { type: "number", description: "Travel-time limit in minutes (1-120)" }
+      },
+      required: ["minutes"]
+    }
+  },
+  {
+    name: "plan_route",
+    description: "Plan a route through several stops (e.g. a road trip or errands). Returns per-leg distance and duration plus the trip total. Set optimize to find the fastest order for the stops between the first and last.",
+    parameters: {
+      type: "object",
+      properties: {
+        waypoints: {
+          type: "array",
+          items: { type: "string" },
+          description: "Stops in the order given by the user, starting with the origin and ending with the destination (at least 2, at most 25)"
+        },
+        mode: { type: "string", enum: ["driving", "walking", "transit", "bicycling"], description: "Travel mode, default driving" },
+        optimize: { type: "boolean", description: "Reorder the intermediate stops to minimize travel time" },
+        round_trip: { type: "boolean", description: "Return to the first stop at the end" }
+      },
+      required: ["waypoints"]
+    }
+  },
+  {
+    name: "save_place",
+    description: "Bookmark a place for the user (a restaurant, client site, hotel...). Pass place_id when the place came from search_places results. Saving an already saved place adds the notes and tags to it.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Place name" },
+        place_id: { type: "string", description: "Map provider place ID from search results, if known" },
+        address: { type: "string", description: "Address, when there is no place_id" },
+        notes: { type: "string", description: "Free-text notes, e.g. 'ask for the back room'" },
+        tags: { type: "array", items: { type: "string" }, description: "Tags such as 'client', 'lunch', 'nyc'" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "list_saved_places",
+    description: "List the user's saved places, optionally filtered by tag or text. Use when the user refers to 'my places', 'my favorites', or a place they saved before.",
+    parameters: {
+      type: "object",
+      properties: {
+        tag: { type: "string", description: "Only places with this tag" },
+        query: { type: "string", description: "Text to match in the name, address or notes" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "remove_saved_place",
+    description: "Remove a place from the user's saved places. A name that is not unique or not exact removes nothing and returns the matches to choose from.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Saved place id from list_saved_places, or its exact name" }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "create_itinerary",
+    description: "Start a multi-day trip itinerary. Returns a trip_id; then add stops day by day with add_itinerary_stop.",
+    parameters: {
+      type: "object",
+      properties: {
+        title: { type: "string", description: "Trip name, e.g. 'Lisbon long weekend'" },
+        start_date: { type: "string", description: "First day as YYYY-MM-DD, if known (needed for calendar export)" },
+        days: { type: "number", description: "Number of days (1-14)" },
+        mode: { type: "string", enum: ["driving", "walking", "bicycling", "transit"], description: "How the traveller gets between stops (default driving)" }
+      },
+      required: ["title", "days"]
+    }
+  },
+  {
+    name: "update_itinerary",
+    description: "Rename an itinerary, set its start date, add days, or change the travel mode between stops",
+    parameters: {
+      type: "object",
+      properties: {
+        trip_id: { type: "string", description: "Itinerary id from create_itinerary" },
+        title: { type: "string", description: "New trip name" },
+        start_date: { type: "string", description: "First day as YYYY-MM-DD" },
+        days: { type: "number", description: "New total number of days (can only grow)" },
+        mode: { type: "string", enum: ["driving", "walking", "bicycling", "transit"], description: "Travel mode between stops" }
+      },
+      required: ["trip_id"]
+    }
+  },
+  {
+    name: "add_itinerary_stop",
+    description: "Add a place to a day of an itinerary. Pass place_id when the place came from search_places results. Travel time from the previous stop is filled in automatically.",
+    parameters: {
+      type: "object",
+      properties: {
+        trip_id: { type: "string", description: "Itinerary id" },
+        day: { type: "number", description: "Day number, starting at 1" },
+        name: { type: "string", description: "Place name" },
+        place_id: { type: "string", description: "Map provider place ID from search results, if known" },
+        address: { type: "string", description: "Address, when there is no place_id" },
+        arrive_time: { type: "string", description: "Fixed arrival time as HH:MM (24-hour), e.g. a reservation; otherwise the stop follows the previous one" },
+        duration_minutes: { type: "number", description: "Time spent at the stop, default 60" },
+        notes: { type: "string", description: "Notes such as 'book tickets online'" },
+        position: { type: "number", description: "1-based position within the day; default is the end of the day" }
+      },
+      required: ["trip_id", "day", "name"]
+    }
+  },
+  {
+    name: "update_itinerary_stop",
+    description: "Change a stop's arrival time, visit length or notes, or move it to another day or position",
+    parameters: {
+      type: "object",
+      properties: {
+        trip_id: { type: "string", description: "Itinerary id" },
+        stop_id: { type: "number", description: "Stop id from get_itinerary or add_itinerary_stop" },
+        day: { type: "number", description: "Move to this day" },
+        position: { type: "number", description: "Move to this 1-based position within the day" },
+        arrive_time: { type: "string", description: "Fixed arrival time as HH:MM, or an empty string to clear it" },
+        duration_minutes: { type: "number", description: "Time spent at the stop" },
+        notes: { type: "string", description: "Replacement notes" }
+      },
+      required: ["trip_id", "stop_id"]
+    }
+  },
+  {
+    name: "remove_itinerary_stop",
+    description: "Remove a stop from an itinerary",
+    parameters: {
+      type: "object",
+      properties: {
+        trip_id: { type: "string", description: "Itinerary id" },
+        stop_id: { type: "number", description: "Stop id from get_itinerary" }
+      },
+      required: ["trip_id", "stop_id"]
+    }
+  },
+  {
+    name: "get_itinerary",
+    description: "Show an itinerary day by day with stop ids, scheduled times and travel between stops",
+    parameters: {
+      type: "object",
+      properties: {
+        trip_id: { type: "string", description: "Itinerary id" }
+      },
+      required: ["trip_id"]
+    }
+  },
+  {
+    name: "get_map_overlay",
+    description: "Read a GPX, KML or GeoJSON file the user uploaded: its named points with coordinates, lines (tracks, routes) with their length and endpoints, and areas. Coordinates can be passed as 'lat,lng' to other map tools.",
+    parameters: {
+      type: "object",
+      properties: {
+        overlay_id: { type: "string", description: "overlay_id shown with the uploaded file" }
+      },
+      required: ["overlay_id"]
+    }
+  },
+  {
+    name: "show_points",
+    description: "Plot a dataset of coordinates on one map: store locations, incidents, sensor readings, rows with lat/lng returned by another tool. Dense sets are clustered, points can be colored by category and shown as a heatmap weighted by value, and each point opens its details.",
+    parameters: {
+      type: "object",
+      properties: {
+        title: { type: "string", description: "Short title for the map legend, e.g. \"Stores by region\"" },
+        points: {
+          type: "array",
+          description: "The points; extra fields are shown in each point's info window",
+          items: {
+            type: "object",
+            properties: {
+              lat: { type: "number" },
+              lng: { type: "number" },
+              label: { type: "string", description: "Name shown on hover and in the info window" },
+              category: { type: "string", description: "Group used for the marker color and legend" },
+              value: { type: "number", description: "Numeric measure used as heatmap weight" }
+            },
+            required: ["lat", "lng"]
+          }
+        },
+        display: { type: "string", enum: ["markers", "heatmap"], description: "Initial display, default markers (the user can switch)" },
+        value_label: { type: "string", description: "What value measures, e.g. \"Revenue (USD)\"" }
+      },
+      required: ["points"]
+    }
+  },
   {
     name: "show_street_view",
     description: "Show street view panorama for a location",
     parameters: {
       type: "object",
       properties: {
-        location: { type: "string", description: "Address or place name" }
+        location: { type: "string", description: "Address, place name, or one of the user's named locations such as \"home\"" }
       },
       required: ["location"]
     }
   },
   {
     name: "get_user_location",
-    description: "Get the user's approximate location based on their IP address. Use this when the user asks about things 'near me', 'nearby', 'closest to me', etc.",
+    description: "Get the user's location: precise browser coordinates when they allowed it, otherwise their saved default or an IP-based approximation. Use this when the user asks about things 'near me', 'nearby', 'closest to me', etc.",
     parameters: {
       type: "object",
       properties: {},
@@ -112,11 +402,17 @@ export const tools = [
   }
 ];
 
-export async function executeFunctionCall(name, args, userLocation = null) {
+// timeZone is the user's IANA zone from the chat request, for date-times given without an offset
+export async function executeFunctionCall(name, args, userLocation = null, signal = null, timeZone = null) {
+  // Never start a tool (e.g. send_email) once the run has been cancelled
+  if (signal?.aborted) {
+    return { error: 'Cancelled by user' };
+  }
+
   try {
     switch (name) {
       case 'show_map': {
-        const coords = await geocode(args.location);
+        const coords = await locate(args.location);
         if (!coords) {
           return { error: `Could not find location: ${args.location}` };
         }
@@ -135,8 +431,35 @@ export async function executeFunctionCall(name, args, userLocation = null) {
         };
       }
 
+      case 'reverse_geocode': {
+        const lat = Number(args.lat);
+        const lng = Number(args.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+          return { error: 'reverse_geocode needs a valid lat and lng' };
+        }
+        const result = await reverseGeocode(lat, lng);
+        if (!result) {
+          return { error: `No address found at ${lat}, ${lng}` };
+        }
+        return {
+          success: true,
+          message: `${lat.toFixed(5)}, ${lng.toFixed(5)} is ${result.address}`,
+          address: result.address,
+          placeId: result.placeId,
+          mapData: {
+            type: 'map',
+            center: result.location,
+            zoom: 17,
+            markers: [{
+              position: result.location,
+              title: result.address
+            }]
+          }
+        };
+      }
+
       case 'show_traffic': {
-        const coords = await geocode(args.location);
+        const coords = await locate(args.location);
         if (!coords) {
           return { error: `Could not find location: ${args.location}` };
         }
@@ -153,29 +476,56 @@ export async function executeFunctionCall(name, args, userLocation = null) {
       }
 
       case 'search_places': {
+        // An area from show_reachable_area replaces the location: search from its origin, keep what falls inside
+        let area = null;
+        if (args.area_id) {
+          area = getArea(args.area_id);
+          if (!area) {
+            return { error: `Unknown or expired area_id: ${args.area_id}. Call show_reachable_area again.` };
+          }
+        }
+
         // Default to user's location if no location specified
         let coords;
-        if (args.location) {
-          coords = await geocode(args.location);
+        let locationName = args.location;
+        if (area) {
+          coords = area.center;
+          locationName = area.description;
+        } else if (args.location) {
+          coords = await locate(args.location);
           if (!coords) {
             return { error: `Could not find location: ${args.location}` };
           }
         } else if (userLocation) {
           coords = { lat: userLocation.lat, lng: userLocation.lng };
-          args.location = userLocation.description;
+          locationName = userLocation.description;
         } else {
           return { error: 'No location specified and user location unavailable. Please provide a location.' };
         }
 
-        const places = await searchPlaces(args.query, coords, args.type);
-
-        // Filter by rating if specified
-        let filteredPlaces = places;
-        if (args.minRating) {
-          filteredPlaces = places.filter(p => p.rating >= args.minRating);
+        const rankBy = args.rank_by || 'relevance';
+        if (!RANKINGS.includes(rankBy)) {
+          return { error: `rank_by must be one of ${RANKINGS.join(', ')}` };
         }
+        const minPrice = args.min_price ?? null;
+        const maxPrice = args.max_price ?? null;
+        if ([minPrice, maxPrice].some(p => p !== null && !(Number.isInteger(p) && p >= 0 && p <= 4))) {
+          return { error: 'min_price and max_price must be whole numbers from 0 to 4' };
+        }
+        const maxResults = Math.min(Math.max(Math.round(args.max_results) || 10, 1), 60);
 
-        const markers = filteredPlaces.slice(0, 10).map((place, idx) => ({
+        const { places, cursor } = await findPlaces(args.query, coords, {
+          type: args.type,
+          radius: area ? area.maxRadiusMeters : Math.min(Math.max(args.radius || 5000, 100), 50000),
+          openNow: !!args.open_now,
+          minPrice,
+          maxPrice,
+          minRating: args.minRating || null,
+          rankBy,
+          limit: maxResults,
+          areaId: area?.id || null
+        });
+        const markers = places.map((place, idx) => ({
           position: place.location,
           title: place.name,
           label: String(idx + 1),
@@ -193,40 +543,72 @@ export async function executeFunctionCall(name, args, userLocation = null) {
 
         return {
           success: true,
-          places: filteredPlaces.slice(0, 10).map(p => ({
+          places: places.map(p => ({
+            placeId: p.placeId,
             name: p.name,
             rating: p.rating,
+            reviews: p.userRatingsTotal,
             address: p.address,
+            distance: p.distance,
             priceLevel: p.priceLevel ? '$'.repeat(p.priceLevel) : 'N/A',
             openNow: p.openNow
           })),
-          message: `Found ${filteredPlaces.length} places matching "${args.query}" near ${args.location}`,
+          rankedBy: rankBy,
+          moreResultsAvailable: !!cursor,
+          message: area
+            ? `Found ${places.length} places matching "${args.query}" within ${area.minutes} min ${area.mode} of ${locationName}`
+            : `Found ${places.length} places matching "${args.query}" near ${locationName}`,
           mapData: {
             type: 'places',
             center: coords,
             zoom: 14,
             markers,
-            places: filteredPlaces.slice(0, 10)
+            places,
+            cursor,
+            ...(area && { polygon: area.polygon, areaId: area.id })
           }
         };
       }
 
       case 'get_directions': {
-        const directions = await getDirections(
-          args.origin,
-          args.destination,
-          args.mode || 'driving'
-        );
+        const departureTime = parseTravelTime(args.departure_time, timeZone);
+        const arrivalTime = parseTravelTime(args.arrival_time, timeZone);
+        if (departureTime === null || arrivalTime === null) {
+          return { error: 'departure_time and arrival_time must be "now" or an ISO 8601 date-time' };
+        }
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        if ([departureTime, arrivalTime].some(t => typeof t === 'number' && t < nowSeconds - 60)) {
+          return { error: 'departure_time and arrival_time must be in the future' };
+        }
+
+        const avoid = (args.avoid || []).filter(a => ['tolls', 'highways', 'ferries'].includes(a));
+        const directions = await getDirections(toRouteEndpoint(args.origin), toRouteEndpoint(args.destination), args.mode || 'driving', {
+          alternatives: !!args.alternatives,
+          avoid,
+          departureTime,
+          arrivalTime
+        });
 
         if (!directions) {
           return { error: `Could not get directions from ${args.origin} to ${args.destination}` };
         }
 
+        const traffic = directions.durationInTraffic ? ` (${directions.durationInTraffic} in traffic)` : '';
+        const avoiding = avoid.length > 0 ? `, avoiding ${avoid.join(' and ')}` : '';
+        const others = directions.routes.length > 1
+          ? ` ${directions.routes.length - 1} alternative route(s): ${directions.routes.slice(1).map(r => `via ${r.summary || 'another road'} ${r.distance}, ${r.durationInTraffic || r.duration}`).join('; ')}.`
+          : '';
+
         return {
           success: true,
-          message: `Directions from ${args.origin} to ${args.destination}: ${directions.distance}, ${directions.duration}`,
+          message: `Directions from ${args.origin} to ${args.destination}${avoiding}: ${directions.distance}, ${directions.duration}${traffic}.${others}`,
           distance: directions.distance,
           duration: directions.duration,
+          durationInTraffic: directions.durationInTraffic,
+          departureTime: directions.departureTime,
+          arrivalTime: directions.arrivalTime,
+          routes: directions.routes.map(({ polyline, ...r }) => r),
+          notes: directions.notes,
           steps: directions.steps,
           mapData: {
             type: 'directions',
@@ -238,6 +620,9 @@ export async function executeFunctionCall(name, args, userLocation = null) {
             },
             zoom: 12,
             polyline: directions.polyline,
+            // Alternatives are drawn in secondary colours; the user can pick one to make it primary
+            routes: directions.routes,
+            notes: directions.notes,
             markers: [
               { position: directions.startLocation, title: args.origin, label: 'A' },
               { position: directions.endLocation, title: args.destination, label: 'B' }
@@ -246,8 +631,351 @@ export async function executeFunctionCall(name, args, userLocation = null) {
         };
       }
 
+      case 'compare_travel_times': {
+        const origins = (args.origins || []).filter(o => typeof o === 'string' && o.trim());
+        const destinations = (args.destinations || []).filter(d => typeof d === 'string' && d.trim());
+        if (origins.length === 0 || destinations.length === 0) {
+          return { error: 'compare_travel_times needs at least one origin and one destination' };
+        }
+        if (origins.length > 10 || destinations.length > 25 || origins.length * destinations.length > 100) {
+          return { error: 'compare_travel_times supports at most 10 origins, 25 destinations and 100 pairs' };
+        }
+        const departureTime = parseTravelTime(args.departure_time, timeZone);
+        if (departureTime === null) {
+          return { error: 'departure_time must be "now" or an ISO 8601 date-time' };
+        }
+        if (typeof departureTime === 'number' && departureTime < Math.floor(Date.now() / 1000) - 60) {
+          return { error: 'departure_time must be in the future' };
+        }
+
+        const mode = args.mode || 'driving';
+        const matrix = await getDistanceMatrix(origins.map(toRouteEndpoint), destinations.map(toRouteEndpoint), mode, { departureTime });
+        if (!matrix) {
+          return { error: `Could not compare ${mode} travel times for these locations` };
+        }
+        // Named locations keep their names rather than the coordinates they were sent as
+        matrix.origins = matrix.origins.map((label, i) => (resolveNamedLocation(origins[i]) ? origins[i] : label));
+        matrix.destinations = matrix.destinations.map((label, i) => (resolveNamedLocation(destinations[i]) ? destinations[i] : label));
+
+        const summary = summarizeTravelTimes(matrix);
+        return {
+          success: true,
+          message: `Compared ${mode} travel times from ${origins.length} origins to ${destinations.length} destinations`,
+          closestByDestination: summary.byDestination,
+          origins: summary.byOrigin,
+          notes: matrix.notes,
+          artifactData: buildTravelTimeArtifact(matrix, mode)
+        };
+      }
+
+      case 'show_reachable_area': {
+        const minutes = Number(args.minutes);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > 120) {
+          return { error: 'minutes must be between 1 and 120' };
+        }
+        const mode = args.mode || 'driving';
+
+        let center;
+        let description;
+        if (args.location) {
+          center = await locate(args.location);
+          if (!center) {
+            return { error: `Could not find location: ${args.location}` };
+          }
+          description = args.location;
+        } else if (userLocation) {
+          center = { lat: userLocation.lat, lng: userLocation.lng };
+          description = userLocation.description;
+        } else {
+          return { error: 'No location specified and user location unavailable. Please provide a location.' };
+        }
+
+        const isochrone = await sampleIsochrone(center, mode, minutes, getTravelTimes);
+        if (!isochrone) {
+          return { error: `Could not compute ${mode} travel times around ${description}` };
+        }
+
+        const areaId = rememberArea({
+          center,
+          description,
+          mode,
+          minutes,
+          polygon: isochrone.polygon,
+          maxRadiusMeters: isochrone.maxRadiusMeters
+        });
+
+        return {
+          success: true,
+          message: `Showing the area reachable within ${minutes} min ${mode} of ${description} (area_id ${areaId})`,
+          area_id: areaId,
+          maxDistanceKm: Math.round(isochrone.maxRadiusMeters / 100) / 10,
+          mapData: {
+            type: 'isochrone',
+            center,
+            zoom: 12,
+            polygon: isochrone.polygon,
+            areaId,
+            minutes,
+            mode,
+            markers: [{
+              position: center,
+              title: description
+            }]
+          }
+        };
+      }
+
+      case 'plan_route': {
+        const waypoints = (args.waypoints || []).filter(w => typeof w === 'string' && w.trim());
+        if (waypoints.length < 2) {
+          return { error: 'plan_route needs at least two waypoints' };
+        }
+        if (waypoints.length > 25) {
+          return { error: 'plan_route supports at most 25 waypoints' };
+        }
+
+        // Named locations are routed by coordinates but still labelled by name
+        const endpoints = waypoints.map(toRouteEndpoint);
+        const labels = new Map(endpoints.map((endpoint, i) => [endpoint, waypoints[i]]));
+        const route = await planRoute(endpoints, args.mode || 'driving', !!args.optimize, !!args.round_trip);
+        if (!route) {
+          return { error: `Could not plan a route through ${waypoints.join(' → ')}` };
+        }
+        route.legs = route.legs.map(l => ({ ...l, from: labels.get(l.from) ?? l.from, to: labels.get(l.to) ?? l.to }));
+
+        const stops = [route.legs[0].startLocation, ...route.legs.map(l => l.endLocation)];
+        const stopNames = [route.legs[0].from, ...route.legs.map(l => l.to)];
+        // A round trip ends where it started, so the final stop is not numbered again
+        const markerCount = args.round_trip ? stops.length - 1 : stops.length;
+
+        return {
+          success: true,
+          message: `Route through ${markerCount} stops: ${route.totalDistance}, ${route.totalDuration}${route.optimized ? ' (stop order optimized)' : ''}`,
+          stopOrder: stopNames,
+          legs: route.legs.map(l => ({ from: l.from, to: l.to, distance: l.distance, duration: l.duration })),
+          totalDistance: route.totalDistance,
+          totalDuration: route.totalDuration,
+          mapData: {
+            type: 'route',
+            center: {
+              lat: (route.bounds.northeast.lat + route.bounds.southwest.lat) / 2,
+              lng: (route.bounds.northeast.lng + route.bounds.southwest.lng) / 2
+            },
+            zoom: 10,
+            legs: route.legs.map(l => ({
+              from: l.from,
+              to: l.to,
+              startAddress: l.startAddress,
+              endAddress: l.endAddress,
+              distance: l.distance,
+              duration: l.duration,
+              polylines: l.polylines
+            })),
+            markers: stops.slice(0, markerCount).map((position, idx) => ({
+              position,
+              title: stopNames[idx],
+              label: String(idx + 1)
+            })),
+            totalDistance: route.totalDistance,
+            totalDuration: route.totalDuration,
+            optimized: route.optimized,
+            mode: args.mode || 'driving'
+          }
+        };
+      }
+
+      case 'save_place': {
+        const result = await savePlace({
+          placeId: args.place_id || null,
+          name: args.name,
+          address: args.address || null,
+          notes: args.notes || null,
+          tags: args.tags || []
+        });
+        if (!result) {
+          return { error: `Could not locate "${args.name}" to save it` };
+        }
+        const { place, created } = result;
+        return {
+          success: true,
+          message: created ? `Saved ${place.name}` : `${place.name} was already saved; updated its notes and tags`,
+          savedPlace: { id: place.id, name: place.name, address: place.address, notes: place.notes, tags: place.tags },
+          mapData: {
+            type: 'map',
+            center: place.location,
+            zoom: 15,
+            markers: [{ position: place.location, title: place.name }]
+          }
+        };
+      }
+
+      case 'list_saved_places': {
+        const saved = getSavedPlaces({ tag: args.tag || null, query: args.query || null });
+        if (saved.length === 0) {
+          return { success: true, message: 'No saved places match', places: [] };
+        }
+        return {
+          success: true,
+          message: `Found ${saved.length} saved places`,
+          places: saved.map(p => ({ id: p.id, name: p.name, address: p.address, notes: p.notes, tags: p.tags })),
+          mapData: {
+            type: 'places',
+            center: saved[0].location,
+            zoom: 12,
+            markers: saved.map((p, idx) => ({
+              position: p.location,
+              title: p.name,
+              label: String(idx + 1),
+              info: { name: p.name, address: p.address, placeId: p.placeId, savedId: p.id }
+            })),
+            // id / savedId let the bookmark buttons recognise saved places that have no placeId
+            places: saved.map(p => ({
+              id: p.id,
+              savedId: p.id,
+              placeId: p.placeId,
+              name: p.name,
+              location: p.location,
+              address: p.address,
+              rating: 0
+            }))
+          }
+        };
+      }
+
+      case 'remove_saved_place': {
+        // Only an id or a unique exact name removes anything; otherwise the user picks from the matches
+        const { place, candidates, sameName } = findSavedPlace(args.id);
+        if (!place) {
+          const matches = candidates.map(p => ({ id: p.id, name: p.name, address: p.address }));
+          if (sameName) {
+            return { error: `${matches.length} saved places are named "${args.id}". Ask the user which one to remove, then pass its id.`, matches };
+          }
+          if (matches.length > 0) {
+            return { error: `No saved place is named exactly "${args.id}". Confirm with the user which of the matches they mean, then pass its id.`, matches };
+          }
+          return { error: `No saved place matches "${args.id}". Call list_saved_places to get its id.` };
+        }
+        deleteSavedPlace(place.id);
+        return { success: true, message: `Removed ${place.name} from saved places` };
+      }
+
+      case 'create_itinerary': {
+        const trip = createItinerary(args.title, args.start_date || null, args.days, args.mode || 'driving');
+        return {
+          success: true,
+          message: `Created "${trip.title}" with ${trip.days.length} days`,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'update_itinerary': {
+        const trip = await updateItinerary(args.trip_id, {
+          title: args.title,
+          startDate: args.start_date,
+          dayCount: args.days,
+          mode: args.mode
+        });
+        return {
+          success: true,
+          message: `Updated "${trip.title}"`,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'add_itinerary_stop': {
+        const { trip, stopId } = await addStop(args.trip_id, args.day, {
+          name: args.name,
+          placeId: args.place_id || null,
+          address: args.address || null,
+          arriveTime: args.arrive_time || null,
+          durationMinutes: args.duration_minutes,
+          notes: args.notes || null
+        }, args.position || null);
+        return {
+          success: true,
+          message: `Added ${args.name} to day ${args.day} of "${trip.title}"`,
+          stopId,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'update_itinerary_stop': {
+        const trip = await editStop(args.trip_id, args.stop_id, {
+          dayIndex: args.day,
+          position: args.position,
+          arriveTime: args.arrive_time,
+          durationMinutes: args.duration_minutes,
+          notes: args.notes
+        });
+        return {
+          success: true,
+          message: `Updated stop ${args.stop_id}`,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'remove_itinerary_stop': {
+        const { trip, removed } = await removeStop(args.trip_id, args.stop_id);
+        return {
+          success: true,
+          message: `Removed ${removed.name} from day ${removed.dayIndex}`,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'get_itinerary': {
+        const trip = getTrip(args.trip_id);
+        if (!trip) {
+          return { error: `Unknown itinerary: ${args.trip_id}` };
+        }
+        return {
+          success: true,
+          message: `"${trip.title}": ${trip.days.length} days`,
+          itinerary: summarizeTrip(trip),
+          mapData: toItineraryMapData(trip)
+        };
+      }
+
+      case 'get_map_overlay': {
+        const overlay = getMapOverlay(args.overlay_id);
+        if (!overlay) {
+          return { error: `No uploaded map file with overlay_id ${args.overlay_id}` };
+        }
+        return {
+          success: true,
+          message: `${overlay.name}: ${overlay.markers.length} points, ${overlay.lines.length} lines, ${overlay.polygons.length} areas`,
+          overlay: summarizeOverlay(overlay),
+          mapData: toOverlayMapData(overlay)
+        };
+      }
+
+      case 'show_points': {
+        const mapData = datasetFromRows(args.points, {
+          title: args.title,
+          labelField: 'label',
+          categoryField: 'category',
+          valueField: 'value',
+          valueLabel: args.value_label,
+          display: args.display
+        });
+        if (!mapData) {
+          return { error: 'show_points needs at least one point with a valid lat and lng' };
+        }
+        return {
+          success: true,
+          message: `Showing ${mapData.points.length} points${mapData.legend.length ? ` in ${mapData.legend.length} categories` : ''}${mapData.truncated ? ' (truncated)' : ''}`,
+          dataset: summarizeDataset(mapData),
+          mapData
+        };
+      }
+
       case 'show_street_view': {
-        const coords = await geocode(args.location);
+        const coords = await locate(args.location);
         if (!coords) {
           return { error: `Could not find location: ${args.location}` };
         }
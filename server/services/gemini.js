@@ -1,19 +1,29 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { tools, executeFunctionCall } from './functionCalling.js';
 import { getMcpTools, isMcpTool, callMcpTool } from './mcpClient.js';
+import { getLlm } from './llm/index.js';
+import { requiresApproval, waitForApproval } from './approvals.js';
 import { getDocuments, getSetting } from '../db/index.js';
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-const MAX_HISTORY_MESSAGES = 20;
+import { describeNamedLocations } from './namedLocations.js';
+import { describeMapView, viewportRadiusMeters } from './maps/viewport.js';
+import { datasetFromRows, summarizeDataset } from './maps/pointDatasets.js';
 
 function formatMapDataContext(mapData) {
   if (!mapData) return '';
   switch (mapData.type) {
     case 'places':
-      return `[Map: Showing ${mapData.markers?.length || 0} places${mapData.markers?.[0]?.title ? ` including "${mapData.markers[0].title}"` : ''}]`;
+      return `[Map: Showing ${mapData.markers?.length || 0} places${mapData.markers?.[0]?.title ? ` including "${mapData.markers[0].title}"` : ''}${mapData.areaId ? ` inside area_id ${mapData.areaId}` : ''}]`;
     case 'directions':
       return `[Map: Directions from "${mapData.markers?.[0]?.title || 'A'}" to "${mapData.markers?.[1]?.title || 'B'}"]`;
+    case 'route':
+      return `[Map: Route through ${(mapData.markers || []).map(m => `"${m.title}"`).join(' → ')}, ${mapData.totalDistance}, ${mapData.totalDuration}]`;
+    case 'isochrone':
+      return `[Map: Area reachable within ${mapData.minutes} min ${mapData.mode} of "${mapData.markers?.[0]?.title || 'location'}", area_id ${mapData.areaId}]`;
+    case 'itinerary':
+      return `[Map: Itinerary "${mapData.title}", ${mapData.days?.length || 0} days, ${mapData.markers?.length || 0} stops, trip_id ${mapData.tripId}]`;
+    case 'overlay':
+      return `[Map: Uploaded file "${mapData.name}" with ${mapData.markers?.length || 0} points, ${mapData.lines?.length || 0} lines, ${mapData.polygons?.length || 0} areas, overlay_id ${mapData.overlayId}]`;
+    case 'points':
+      return `[Map: "${mapData.title}" with ${mapData.points?.length || 0} data points${mapData.legend?.length ? ` in categories ${mapData.legend.map(l => l.label).join(', ')}` : ''}]`;
     case 'traffic':
       return `[Map: Traffic conditions around ${mapData.center ? `${mapData.center.lat.toFixed(2)}, ${mapData.center.lng.toFixed(2)}` : 'area'}]`;
     case 'streetview':
@@ -27,7 +37,34 @@ function formatMapDataContext(mapData) {
   }
 }
 
-function buildSystemPrompt(userLocation, kbDocuments = []) {
+// How the user's location was obtained and how far to trust it
+function describeLocationSource(location) {
+  switch (location.source) {
+    case 'browser':
+      return `Source: the browser's geolocation${location.accuracyMeters ? `, accurate to about ${location.accuracyMeters} m` : ''}.`;
+    case 'saved':
+      return 'Source: the default location the user saved; they may not be there right now.';
+    case 'ip':
+      return `Source: IP address lookup, accurate to the city at best${location.accuracyMeters ? ` (within about ${Math.round(location.accuracyMeters / 1000)} km)` : ''} — ask for a street address before giving turn-by-turn directions from it.`;
+    default:
+      return 'Source: server default — the user\'s real location is unknown, so ask where they are before relying on it.';
+  }
+}
+
+// Current date and time in the user's IANA time zone; the server's own zone when it is missing or unknown
+function describeNow(timeZone) {
+  const now = new Date();
+  if (timeZone) {
+    try {
+      return `${now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' })} (${timeZone})`;
+    } catch {
+      console.warn(`[LLM] Ignoring unknown time zone "${timeZone}"`);
+    }
+  }
+  return now.toString();
+}
+
+function buildSystemPrompt(userLocation, kbDocuments = [], conversationSummary = null, namedLocations = [], mapView = null, timeZone = null) {
   let prompt = `You are a helpful AI assistant with access to Google Maps.
 When users ask about locations, traffic, places, or directions,
 use the available functions to provide accurate, real-time information.
@@ -38,9 +75,16 @@ Available capabilities:
 - Display real-time traffic conditions
 - Search for hotels, restaurants, attractions, gas stations with ratings
 - Get directions between locations (driving, walking, transit, bicycling)
+- Show the area reachable within a travel time and search for places inside it
+- Compare travel times between several origins and destinations
+- Save places the user wants to remember, with notes and tags, and list or remove them later
+- Plan multi-day trip itineraries with travel times between stops, exportable to a calendar
+- Read GPX, KML and GeoJSON files the user uploads (tracks, routes, site lists)
+- Plot datasets of coordinates (hundreds of points) as clustered markers or a heatmap, colored by category
 - Show street view panoramas
 - Search the web for current information, news, facts, or general knowledge questions
-- Get the user's approximate location based on their IP address
+- Resolve the user's named locations ("home", "office") without geocoding them
+- Get the user's location (from their browser when they allow it, their saved default, or their IP address)
 - Search through uploaded knowledge base documents for relevant information
 - Generate HTML artifacts for charts, tables, dashboards, and visualizations
 
@@ -76,7 +120,7 @@ Include the source document name when citing information from the knowledge base
   prompt += `
 
 When showing places, include helpful details like ratings, price levels, and addresses.
-When giving directions, mention estimated time and distance.
+When giving directions, mention estimated time and distance, and the traffic-aware time when one is returned.
 Be conversational and helpful in your responses.
 
 IMPORTANT: For complex requests that require multiple steps, chain function calls as needed.
@@ -88,6 +132,26 @@ Keep calling tools until the user's complete request is answered.
 IMPORTANT: Whenever a user asks for directions, routes, or how to get to a place, you MUST call get_directions.
 NEVER just describe directions in text — always use the get_directions function so the route is displayed on the map.
 This applies even if the destination came from a previous search_places result — use get_directions with the place name or address as the destination.
+When the trip has more than one stop (errands, road trips, "via", "then"), call plan_route with every stop in order instead;
+set optimize to true when the user wants the best or fastest order.
+For "within 15 minutes' walk" or "how far can I drive in half an hour", call show_reachable_area;
+to find places inside that area afterwards, pass its area_id to search_places.
+To compare several origins against several destinations ("which office is closest to each hotel"), call compare_travel_times
+once with all of them instead of calling get_directions for every pair; the table is shown to the user automatically.
+For "leave at 8am", "arrive by 6pm", "avoid tolls" or "other ways to get there", pass departure_time / arrival_time,
+avoid, or alternatives: true to get_directions.
+
+When the user refers to "my places", favorites, or a place they saved, call list_saved_places;
+when they ask to remember, bookmark or save a place, call save_place (with place_id when it came from search results).
+For trips of a day or more ("plan my weekend in Lisbon"), call create_itinerary, then search_places for each kind of stop
+and add_itinerary_stop for the ones you pick (with their place_id), keeping each day's stops geographically close.
+To change a plan, call get_itinerary for the stop ids, then update_itinerary_stop or remove_itinerary_stop.
+The itinerary panel shows the map and calendar export, so summarize the plan briefly instead of repeating every time.
+When the user refers to a file they uploaded (a track, a list of sites), call get_map_overlay with its overlay_id to read
+its points and lines; pass their coordinates as "lat,lng" to get_directions, plan_route or compare_travel_times.
+To put a list of locations on a map (stores, incidents, "plot these on a map"), call show_points once with all of them,
+setting category for color groups and value (with display: "heatmap") for densities or amounts. Rows with latitude and
+longitude columns returned by MCP tools are plotted automatically, so only call show_points for them to recolor or filter.
 
 When the user says "near me", "nearby", "closest", or similar location-relative phrases,
 use the get_user_location function first to determine their location, then proceed with the request.
@@ -102,16 +166,39 @@ Do NOT stop prematurely after a partial answer.
 
 When the user asks for data to be shown in a grid, set needChartData: true in ask_agent so the structured grid data is returned for rendering.`;
 
+  if (conversationSummary) {
+    prompt += `\n\nEARLIER IN THIS CONVERSATION - Older turns are no longer shown verbatim. Summary of what was discussed and decided:
+${conversationSummary}
+
+Treat these decisions and facts as established unless the user changes them.`;
+  }
+
+  prompt += `\n\nThe current date and time for the user is ${describeNow(timeZone)}.`;
+
+  if (namedLocations.length > 0) {
+    prompt += `\n\nNAMED LOCATIONS - The user has named these places:
+${namedLocations.join('\n')}
+When the user mentions one of them ("from home", "near the office"), pass the name exactly as listed (e.g. "home") as the
+location, origin or destination; the tools resolve it to the saved address. Never replace a name with a guessed address.`;
+  }
+
+  if (mapView) {
+    prompt += `\n\nCURRENT MAP VIEW - ${describeMapView(mapView)}
+"This area", "here" or "on the map" mean this view: call search_places with location "${mapView.center.lat},${mapView.center.lng}" and radius ${viewportRadiusMeters(mapView)} instead of the user's location.${mapView.selectedMarker ? `
+"The one I clicked", "this place" or "that one" mean the selected marker. For get_directions and other location or address arguments pass its coordinates as "lat,lng" (or its name followed by them), never its place_id; a place_id only goes in a place_id parameter (save_place, add_itinerary_stop).` : ''}`;
+  }
+
   if (userLocation) {
-    prompt += `\n\nThe user's approximate location is: ${userLocation.description} (lat: ${userLocation.lat}, lng: ${userLocation.lng}). You can use this as a default location when the user asks about things "near me" or "nearby" without calling get_user_location.`;
+    prompt += `\n\nThe user's location is: ${userLocation.description} (lat: ${userLocation.lat}, lng: ${userLocation.lng}). ${describeLocationSource(userLocation)}
+You can use this as a default location when the user asks about things "near me" or "nearby" without calling get_user_location.`;
   }
 
   return prompt;
 }
 
+// conversationHistory is already limited to the turns not folded into the rolling summary
 function buildHistory(conversationHistory) {
-  const trimmedHistory = conversationHistory.slice(-MAX_HISTORY_MESSAGES);
-  return trimmedHistory.map(msg => {
+  return conversationHistory.map(msg => {
     let text = msg.content;
     if (msg.map_data) {
       const mapContext = formatMapDataContext(
@@ -121,44 +208,16 @@ function buildHistory(conversationHistory) {
         text += '\n' + mapContext;
       }
     }
+    if (msg.status === 'cancelled') {
+      text += '\n[Response cancelled by the user before it finished]';
+    }
     return {
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text }]
+      role: msg.role === 'assistant' ? 'assistant' : 'user',
+      content: text
     };
   });
 }
 
-function extractFunctionCalls(resp) {
-  const calls = resp.functionCalls?.();
-  if (calls && calls.length > 0) return calls;
-  const parts = resp.candidates?.[0]?.content?.parts;
-  if (!parts) return null;
-  const fcParts = parts.filter(p => p.functionCall);
-  if (fcParts.length === 0) return null;
-  return fcParts.map(p => ({
-    name: p.functionCall.name,
-    args: p.functionCall.args
-  }));
-}
-
-function extractGroundingResults(resp) {
-  const metadata = resp.candidates?.[0]?.groundingMetadata;
-  if (!metadata?.groundingChunks) return null;
-  const chunks = metadata.groundingChunks
-    .filter(c => c.web)
-    .map(c => ({
-      title: c.web.title,
-      link: c.web.uri,
-      snippet: '',
-      displayLink: c.web.title
-    }));
-  if (chunks.length > 0) {
-    console.log(`[Grounding] Found ${chunks.length} web sources`);
-    return chunks;
-  }
-  return null;
-}
-
 // Build a self-contained HTML artifact from MCP chart/grid data
 function buildMcpDataArtifact(toolName, chartData) {
   const parts = toolName.split('__');
@@ -268,10 +327,25 @@ function describeStep(name, args, result) {
   }
   switch (name) {
     case 'show_map': return `Showing map of ${args.location}`;
+    case 'reverse_geocode': return `Looking up the address at ${args.lat}, ${args.lng}`;
     case 'show_traffic': return `Showing traffic around ${args.location}`;
     case 'search_places': return `Searching for "${args.query}"${args.location ? ` near ${args.location}` : ''}`;
     case 'get_directions': return `Getting directions from ${args.origin} to ${args.destination}`;
+    case 'plan_route': return `Planning a route through ${args.waypoints?.length || 0} stops`;
+    case 'compare_travel_times': return `Comparing travel times from ${args.origins?.length || 0} origins to ${args.destinations?.length || 0} destinations`;
+    case 'show_reachable_area': return `Finding everywhere within ${args.minutes} min ${args.mode || 'driving'}${args.location ? ` of ${args.location}` : ''}`;
     case 'show_street_view': return `Showing street view of ${args.location}`;
+    case 'save_place': return `Saving ${args.name}`;
+    case 'list_saved_places': return `Listing saved places${args.tag ? ` tagged "${args.tag}"` : ''}`;
+    case 'remove_saved_place': return `Removing saved place ${args.id}`;
+    case 'create_itinerary': return `Creating itinerary "${args.title}"`;
+    case 'update_itinerary': return 'Updating itinerary';
+    case 'add_itinerary_stop': return `Adding ${args.name} to day ${args.day}`;
+    case 'update_itinerary_stop': return `Updating itinerary stop ${args.stop_id}`;
+    case 'remove_itinerary_stop': return `Removing itinerary stop ${args.stop_id}`;
+    case 'get_itinerary': return 'Loading itinerary';
+    case 'get_map_overlay': return 'Reading uploaded map file';
+    case 'show_points': return `Plotting ${args.points?.length || 0} points${args.title ? `: ${args.title}` : ''}`;
     case 'get_user_location': return 'Getting your location';
     case 'send_email': return `Sending email to ${args.to}`;
     case 'search_documents': return `Searching knowledge base for "${args.query}"`;
@@ -293,11 +367,87 @@ function isUnsatisfactoryResponse(text) {
   return lowConf.some(p => lower.includes(p));
 }
 
-// Run one full ReAct loop; returns { response, totalSteps, successfulCalls }
-async function runReActLoop(chatSession, initialMessage, maxSteps, onStep, allMapData, artifactDataRef, stepOffset = 0) {
-  let result = await chatSession.sendMessage(initialMessage);
-  let response = result.response;
-  let functionCalls = extractFunctionCalls(response);
+// Reject as soon as the run is cancelled, even if the underlying work can't be interrupted
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order.
+// Every item is still visited after a failure; the first error is rethrown once all have settled
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const errors = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      try {
+        results[idx] = await fn(items[idx], idx);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  };
+  const workerCount = Math.min(Math.max(limit || 1, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  if (errors.length > 0) throw errors[0];
+  return results;
+}
+
+// Timeout for a single tool call: per-tool override (tool_timeout_seconds.<name>) or the global setting
+function getToolTimeoutMs(name) {
+  const seconds = getSetting(`tool_timeout_seconds.${name}`) ?? getSetting('tool_timeout_seconds', '120');
+  return (parseFloat(seconds) || 120) * 1000;
+}
+
+// Execute one function call under its timeout; a timeout becomes an error result, a cancelled run rethrows.
+// userLocation is the location resolved for this request (browser → saved default → IP), used by location-aware tools;
+// timeZone is the user's IANA zone, for date-times the model gives without an offset
+async function executeToolCall(call, signal, userLocation = null, timeZone = null, stubToolCall = null) {
+  // Offline runs: the fake provider can answer tool calls from its fixture
+  const stubbed = stubToolCall?.(call.name, call.args);
+  if (stubbed !== undefined) return stubbed;
+
+  const timeoutMs = getToolTimeoutMs(call.name);
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const callSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    return await abortable(
+      isMcpTool(call.name)
+        ? callMcpTool(call.name, call.args, callSignal)
+        : executeFunctionCall(call.name, call.args, userLocation, callSignal, timeZone),
+      callSignal
+    );
+  } catch (error) {
+    if (signal?.aborted || !timeoutSignal.aborted) throw error;
+    console.warn(`[ReAct] Tool ${call.name} timed out after ${timeoutMs}ms`);
+    return { error: `${call.name} timed out after ${timeoutMs / 1000} seconds` };
+  }
+}
+
+// Combine the map outputs of every tool call into a single mapData payload
+function mergeMapData(allMapData) {
+  if (allMapData.length === 1) return allMapData[0].mapData;
+  if (allMapData.length > 1) return { type: 'multi', steps: allMapData };
+  return null;
+}
+
+// Run one full ReAct loop; returns { text, totalSteps, successfulCalls }
+// `run` carries state shared across loops:
+// { maxSteps, toolConcurrency, onStep, onDelta, signal, runId, userLocation, timeZone, allMapData, artifactDataRef, toolCalls, stubToolCall, recordToolResult }
+// toolCalls collects the agent trace that is persisted alongside the assistant message
+async function runReActLoop(session, initialMessage, run, stepOffset = 0) {
+  const {
+    maxSteps, toolConcurrency, onStep, onDelta, signal, runId, userLocation, timeZone, allMapData, artifactDataRef, toolCalls, stubToolCall, recordToolResult
+  } = run;
+  let { text, functionCalls } = await session.send(initialMessage, { signal, onDelta });
   let stepCount = 0;
   let successfulCalls = 0;
 
@@ -306,16 +456,73 @@ async function runReActLoop(chatSession, initialMessage, maxSteps, onStep, allMa
     const globalStep = stepOffset + stepCount;
     console.log(`[ReAct] Step ${globalStep}: executing ${functionCalls.map(c => c.name).join(', ')}`);
 
-    const functionResponses = [];
-
-    for (const call of functionCalls) {
-      onStep?.({ type: 'tool_call', name: call.name, args: call.args, step: globalStep, label: describeStep(call.name, call.args, null) });
+    // Execute this turn's calls concurrently; tool_call/tool_result events fire as each one starts/finishes.
+    // Each trace record is pushed as soon as its call settles, so a cancelled run still keeps the calls
+    // that finished and marks the interrupted or never-started ones as cancelled
+    const functionResults = await mapWithConcurrency(functionCalls, toolConcurrency, async (call, callIndex) => {
+      const callId = `${globalStep}.${callIndex}`;
+      const label = describeStep(call.name, call.args, null);
+      const record = { kind: 'tool_call', step: globalStep, callIndex, name: call.name, label };
+      if (signal?.aborted) {
+        toolCalls.push({ ...record, args: call.args, summary: 'Cancelled', durationMs: 0, error: null, approval: null, cancelled: true });
+        throw signal.reason;
+      }
+      onStep?.({ type: 'tool_call', name: call.name, args: call.args, step: globalStep, callId, label });
+
+      let approval = null;
+      let startedAt = Date.now();
+      try {
+        // Side-effecting tools pause here until the user approves, edits or rejects the proposed arguments
+        if (requiresApproval(call.name)) {
+          if (runId) {
+            console.log(`[Approval] Waiting for the user to approve ${call.name} (${callId})`);
+            onStep?.({ type: 'approval_required', runId, name: call.name, args: call.args, step: globalStep, callId, label });
+            const decision = await waitForApproval(runId, callId, call.name, call.args, signal);
+            approval = decision.decision;
+            call.args = decision.args;
+            onStep?.({ type: 'approval_resolved', name: call.name, args: call.args, step: globalStep, callId, decision: approval });
+          } else {
+            approval = 'rejected';
+          }
+        }
+
+        startedAt = Date.now();
+        let functionResult = approval === 'rejected'
+          ? { error: runId ? `The user rejected this ${call.name} call` : `${call.name} requires user approval` }
+          : await executeToolCall(call, signal, userLocation, timeZone, stubToolCall);
+        const durationMs = Date.now() - startedAt;
+        // Tell the model the call ran with the user's arguments rather than the ones it proposed
+        if (approval === 'edited') functionResult = { ...functionResult, argsEditedByUser: call.args };
+
+        console.log(`[ReAct] Function ${call.name} result:`, functionResult.error ? `ERROR: ${functionResult.error}` : 'SUCCESS');
+
+        const summary = functionResult.error
+          ? `Error: ${functionResult.error}`
+          : (functionResult.message || functionResult.result || describeStep(call.name, call.args, functionResult));
+
+        onStep?.({ type: 'tool_result', name: call.name, step: globalStep, callId, summary: String(summary).slice(0, 200) });
+        toolCalls.push({
+          ...record, args: call.args, summary: String(summary).slice(0, 200), durationMs,
+          error: functionResult.error || null, approval
+        });
+        return functionResult;
+      } catch (error) {
+        if (signal?.aborted) {
+          toolCalls.push({
+            ...record, args: call.args, summary: 'Cancelled', durationMs: Date.now() - startedAt,
+            error: null, approval, cancelled: true
+          });
+        }
+        throw error;
+      }
+    });
 
-      const functionResult = isMcpTool(call.name)
-        ? await callMcpTool(call.name, call.args)
-        : await executeFunctionCall(call.name, call.args, null);
+    // Collect outputs in call order so maps, artifacts and functionResponses are deterministic
+    const functionResponses = [];
 
-      console.log(`[ReAct] Function ${call.name} result:`, functionResult.error ? `ERROR: ${functionResult.error}` : 'SUCCESS');
+    functionCalls.forEach((call, callIndex) => {
+      const functionResult = functionResults[callIndex];
+      recordToolResult?.(call.name, functionResult);
       if (!functionResult.error) {
         successfulCalls++;
         console.log(`[ReAct] successfulCalls incremented to ${successfulCalls}`);
@@ -324,14 +531,22 @@ async function runReActLoop(chatSession, initialMessage, maxSteps, onStep, allMa
       if (functionResult.mapData) {
         allMapData.push({ label: getLabelForFunction(call.name, call.args), mapData: functionResult.mapData });
       }
+      // MCP rows with coordinate columns (store lists, query results) are also plotted as a point dataset
+      const mcpDataset = functionResult.mcpChartData
+        ? datasetFromRows(functionResult.mcpChartData, { title: `${call.name.split('__').pop()} results` })
+        : null;
+      if (mcpDataset) {
+        allMapData.push({ label: mcpDataset.title, mapData: mcpDataset });
+      }
       if (functionResult.artifactData) {
+        functionResult.artifactData.sourceTool = call.name;
         artifactDataRef.value = functionResult.artifactData;
       }
       // Auto-render chart/grid data returned by MCP tools (e.g. ask_agent with needChartData:true)
       console.log(`[ReAct] Tool ${call.name} returned mcpChartData:`, functionResult.mcpChartData ? 'YES' : 'NO', functionResult.mcpChartData ? `(${JSON.stringify(functionResult.mcpChartData).substring(0, 150)}...)` : '');
       if (functionResult.mcpChartData && !artifactDataRef.value) {
         console.log(`[ReAct] Building artifact from mcpChartData...`);
-        const artifact = buildMcpDataArtifact(call.name, functionResult.mcpChartData);
+        const artifact = { ...buildMcpDataArtifact(call.name, functionResult.mcpChartData), sourceTool: call.name };
         console.log(`[ReAct] Artifact built:`, artifact ? `type=${artifact.type}, title=${artifact.title}` : 'NULL');
         artifactDataRef.value = artifact;
         onStep?.({ type: 'artifact', artifactData: artifact });
@@ -343,39 +558,35 @@ async function runReActLoop(chatSession, initialMessage, maxSteps, onStep, allMa
         onStep?.({ type: 'artifact', artifactData: functionResult.artifactData });
       }
 
-      const summary = functionResult.error
-        ? `Error: ${functionResult.error}`
-        : (functionResult.message || functionResult.result || describeStep(call.name, call.args, functionResult));
-
-      onStep?.({ type: 'tool_result', name: call.name, step: globalStep, summary: String(summary).slice(0, 200) });
-
-      // Strip internal-only fields (mcpChartData is for server rendering, not for Gemini)
-      const { mcpChartData: _mcp, ...geminiResult } = functionResult;
-      functionResponses.push({ functionResponse: { name: call.name, response: geminiResult } });
-    }
+      // Strip internal-only fields (mcpChartData and artifact HTML are for rendering, not for the model)
+      const { mcpChartData: _mcp, artifactData: _artifact, ...modelResult } = functionResult;
+      // Point datasets can hold thousands of rows; the model gets a summary instead
+      if (modelResult.mapData?.type === 'points') delete modelResult.mapData;
+      if (mcpDataset) modelResult.plottedOnMap = summarizeDataset(mcpDataset);
+      functionResponses.push({ id: call.id, name: call.name, response: modelResult });
+    });
 
-    result = await chatSession.sendMessage(functionResponses);
-    response = result.response;
-    functionCalls = extractFunctionCalls(response);
+    ({ text, functionCalls } = await session.send(functionResponses, { signal, onDelta }));
   }
 
   if (stepCount >= maxSteps) {
     console.warn('[ReAct] Hit maximum step limit');
   }
 
-  return { response, totalSteps: stepCount, successfulCalls };
+  return { text, totalSteps: stepCount, successfulCalls };
 }
 
-export async function chat(messages, conversationHistory = [], userLocation = null, enabledTools = null, onStep = null) {
-  const modelName = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+export async function chat(messages, conversationHistory = [], userLocation = null, enabledTools = null, onStep = null, onDelta = null, signal = null, conversationSummary = null, runId = null, mapView = null, timeZone = null) {
+  const { provider, model } = getLlm();
   const kbDocuments = getDocuments().filter(d => d.status === 'ready');
-  const systemPrompt = buildSystemPrompt(userLocation, kbDocuments);
+  const systemPrompt = buildSystemPrompt(userLocation, kbDocuments, conversationSummary, describeNamedLocations(), mapView, timeZone);
   const history = buildHistory(conversationHistory);
   const userMessage = messages[messages.length - 1].content;
 
   // Read configurable limits from DB
   const maxSteps = parseInt(getSetting('max_steps', '10'));
   const maxRetries = parseInt(getSetting('max_retries', '2'));
+  const toolConcurrency = parseInt(getSetting('tool_concurrency', '4'));
 
   // Merge built-in + MCP tools, then filter by enabledTools if provided
   let allTools = [...tools, ...getMcpTools()];
@@ -383,112 +594,162 @@ export async function chat(messages, conversationHistory = [], userLocation = nu
     allTools = allTools.filter(t => enabledTools.includes(t.name));
   }
 
-  const fcModel = genAI.getGenerativeModel({
-    model: modelName,
+  // The provider adapter translates the tool declarations into its own schema format
+  const session = provider.startChat({
+    model,
     systemInstruction: systemPrompt,
-    tools: allTools.length > 0 ? [{ functionDeclarations: allTools }] : undefined
+    tools: allTools,
+    history
   });
 
-  const chatSession = fcModel.startChat({ history });
+  // Track the streamed reply so a cancelled run can still persist what the user saw
+  let streamedText = '';
+  const trackDelta = (delta) => {
+    streamedText = delta.reset ? delta.text : streamedText + delta.text;
+    onDelta?.(delta);
+  };
 
-  const allMapData = [];
-  const artifactDataRef = { value: null };
+  const run = {
+    maxSteps,
+    toolConcurrency,
+    onStep,
+    onDelta: trackDelta,
+    signal,
+    runId,
+    userLocation,
+    timeZone,
+    allMapData: [],
+    artifactDataRef: { value: null },
+    toolCalls: [],
+    stubToolCall: provider.stubToolCall || null,
+    recordToolResult: provider.recordToolResult || null
+  };
   let totalSteps = 0;
+  let searchResults = null;
 
-  // Initial ReAct loop
-  const { response: initialResponse, totalSteps: steps1, successfulCalls: success1 } = await runReActLoop(
-    chatSession, userMessage, maxSteps, onStep, allMapData, artifactDataRef, 0
-  );
-  totalSteps += steps1;
-  let response = initialResponse;
-
-  // Reflexion: only retry when NO tools succeeded (pure text response that's low-confidence).
-  // If tools ran and returned data, trust the result — retrying causes confusion.
-  let retriesLeft = maxRetries;
-  while (retriesLeft > 0 && success1 === 0 && isUnsatisfactoryResponse(response.text())) {
-    const attemptNum = maxRetries - retriesLeft + 1;
-    console.log(`[Reflexion] Retry ${attemptNum}/${maxRetries} — no tools used, answer unsatisfactory`);
-    onStep?.({ type: 'retry', attempt: attemptNum, reason: 'Searching for more information' });
-
-    const retryMsg = `Please search more thoroughly using the available tools to find a complete answer to the user's original question.`;
-    const { response: retryResponse, totalSteps: retrySteps } = await runReActLoop(
-      chatSession, retryMsg, maxSteps, onStep, allMapData, artifactDataRef, totalSteps
+  try {
+    // Initial ReAct loop
+    const { text: initialText, totalSteps: steps1, successfulCalls: success1 } = await runReActLoop(
+      session, userMessage, run, 0
     );
-    totalSteps += retrySteps;
-    response = retryResponse;
-    retriesLeft--;
-  }
+    totalSteps += steps1;
+    let replyText = initialText;
+
+    // Reflexion: only retry when NO tools succeeded (pure text response that's low-confidence).
+    // If tools ran and returned data, trust the result — retrying causes confusion.
+    let retriesLeft = maxRetries;
+    while (retriesLeft > 0 && success1 === 0 && isUnsatisfactoryResponse(replyText)) {
+      const attemptNum = maxRetries - retriesLeft + 1;
+      console.log(`[Reflexion] Retry ${attemptNum}/${maxRetries} — no tools used, answer unsatisfactory`);
+      onStep?.({ type: 'retry', attempt: attemptNum, reason: 'Searching for more information' });
+      run.toolCalls.push({ kind: 'retry', name: 'retry', args: { attempt: attemptNum, reason: 'Searching for more information' } });
+      // Discard the streamed low-confidence answer before the retry streams its own
+      trackDelta({ text: '', reset: true });
+
+      const retryMsg = `Please search more thoroughly using the available tools to find a complete answer to the user's original question.`;
+      const { text: retryText, totalSteps: retrySteps } = await runReActLoop(
+        session, retryMsg, run, totalSteps
+      );
+      totalSteps += retrySteps;
+      replyText = retryText;
+      retriesLeft--;
+    }
 
-  // If no function calls at all, try Google Search grounding
-  const webSearchEnabled = !Array.isArray(enabledTools) || enabledTools.includes('web_search');
-  let searchResults = null;
-  if (totalSteps === 0 && webSearchEnabled) {
-    try {
-      console.log('[Grounding] No function calls — trying Google Search grounding');
-      onStep?.({ type: 'web_search', step: 1, label: 'Searching the web for current information' });
-      const groundedModel = genAI.getGenerativeModel({
-        model: modelName,
-        systemInstruction: 'You are a helpful assistant. Answer questions using information from Google Search.',
-        tools: [{ googleSearch: {} }]
-      });
-      const groundedResult = await groundedModel.generateContent(userMessage);
-      response = groundedResult.response;
-      searchResults = extractGroundingResults(response);
-      if (searchResults) {
-        onStep?.({ type: 'tool_result', name: 'web_search', step: 1, summary: `Found ${searchResults.length} web sources` });
+    // If no function calls at all, try Google Search grounding (only providers that support it)
+    const webSearchEnabled = !Array.isArray(enabledTools) || enabledTools.includes('web_search');
+    if (totalSteps === 0 && webSearchEnabled && provider.supportsGrounding) {
+      const webSearchRecord = { kind: 'web_search', step: 1, name: 'web_search', label: 'Searching the web for current information' };
+      run.toolCalls.push(webSearchRecord);
+      const startedAt = Date.now();
+      try {
+        console.log('[Grounding] No function calls — trying Google Search grounding');
+        onStep?.({ type: 'web_search', step: 1, label: webSearchRecord.label });
+        trackDelta({ text: '', reset: true });
+        const grounded = await provider.generate({
+          model,
+          prompt: userMessage,
+          systemInstruction: 'You are a helpful assistant. Answer questions using information from Google Search.',
+          grounding: true,
+          signal,
+          onDelta: trackDelta
+        });
+        replyText = grounded.text;
+        searchResults = grounded.searchResults;
+        webSearchRecord.durationMs = Date.now() - startedAt;
+        if (searchResults) {
+          webSearchRecord.summary = `Found ${searchResults.length} web sources`;
+          onStep?.({ type: 'tool_result', name: 'web_search', step: 1, summary: webSearchRecord.summary });
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.error('[Grounding] Error:', e.message);
+        webSearchRecord.error = e.message;
       }
-    } catch (e) {
-      console.error('[Grounding] Error:', e.message);
     }
-  }
 
-  // Build final mapData
-  let mapData = null;
-  if (allMapData.length === 1) {
-    mapData = allMapData[0].mapData;
-  } else if (allMapData.length > 1) {
-    mapData = { type: 'multi', steps: allMapData };
-  }
-
-  let replyText = response.text() || '';
-
-  // Fallback: if Gemini returned empty text but tools ran, request a summary
-  if (!replyText && totalSteps > 0) {
-    console.log('[Gemini] Empty reply after tool calls — requesting summary');
-    try {
-      const summaryResult = await chatSession.sendMessage(
-        'Please provide a comprehensive answer to the user\'s question based on the information you just retrieved.'
-      );
-      replyText = summaryResult.response.text() || '';
-    } catch (e) {
-      console.error('[Gemini] Summary fallback error:', e.message);
+    // Fallback: if the model returned empty text but tools ran, request a summary
+    if (!replyText && totalSteps > 0) {
+      console.log('[LLM] Empty reply after tool calls — requesting summary');
+      try {
+        const summaryResult = await session.send(
+          'Please provide a comprehensive answer to the user\'s question based on the information you just retrieved.',
+          { signal, onDelta: trackDelta }
+        );
+        replyText = summaryResult.text;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.error('[LLM] Summary fallback error:', e.message);
+      }
     }
-  }
 
-  return {
-    reply: replyText,
-    mapData,
-    searchResults,
-    artifactData: artifactDataRef.value
-  };
+    return {
+      reply: replyText,
+      mapData: mergeMapData(run.allMapData),
+      searchResults,
+      artifactData: run.artifactDataRef.value,
+      toolCalls: run.toolCalls
+    };
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+    // Cancelled by the client: hand back whatever was produced before the abort
+    console.log('[ReAct] Run cancelled by client');
+    return {
+      reply: streamedText,
+      mapData: mergeMapData(run.allMapData),
+      searchResults,
+      artifactData: run.artifactDataRef.value,
+      toolCalls: run.toolCalls,
+      cancelled: true
+    };
+  }
 }
 
 function getLabelForFunction(name, args) {
   switch (name) {
     case 'search_places': return `Search: ${args.query || 'Places'}`;
     case 'get_directions': return `Directions: ${args.origin || ''} → ${args.destination || ''}`;
+    case 'plan_route': return `Route: ${(args.waypoints || []).join(' → ')}`;
+    case 'show_reachable_area': return `Reachable: ${args.minutes} min ${args.mode || 'driving'}`;
     case 'show_map': return `Map: ${args.location || ''}`;
+    case 'reverse_geocode': return `Location: ${args.lat}, ${args.lng}`;
     case 'show_traffic': return `Traffic: ${args.location || ''}`;
     case 'show_street_view': return `Street View: ${args.location || ''}`;
+    case 'save_place': return `Saved: ${args.name || ''}`;
+    case 'list_saved_places': return 'Saved Places';
+    case 'add_itinerary_stop': return `Itinerary: ${args.name || ''}`;
+    case 'update_itinerary':
+    case 'update_itinerary_stop':
+    case 'remove_itinerary_stop':
+    case 'get_itinerary': return 'Itinerary';
+    case 'get_map_overlay': return 'Uploaded Map';
+    case 'show_points': return args.title || 'Data Points';
     case 'get_user_location': return 'Your Location';
     default: return name;
   }
 }
 
 export async function generateTitle(firstMessage, firstResponse) {
-  const model = genAI.getGenerativeModel({
-    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
-  });
+  const { provider, model } = getLlm();
 
   const prompt = `Generate a very short title (3-5 words max) for a conversation that starts with:
 User: ${firstMessage}
@@ -496,6 +757,26 @@ Assistant: ${firstResponse}
 
 Return only the title, nothing else.`;
 
-  const result = await model.generateContent(prompt);
-  return result.response.text().trim();
+  const { text } = await provider.generate({ model, prompt });
+  return text.trim();
+}
+
+export async function summarizeConversation(existingSummary, messages) {
+  const { provider, model } = getLlm();
+
+  const transcript = messages
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n\n');
+
+  const prompt = `You maintain a running summary of a conversation between a user and a maps/data assistant.
+${existingSummary ? `\nCurrent summary:\n${existingSummary}\n` : ''}
+New turns to fold into the summary:
+${transcript}
+
+Write the updated summary as concise bullet points. Keep every decision, preference, constraint,
+place name, address, date and number the user may refer back to. Drop greetings and filler.
+Return only the summary.`;
+
+  const { text } = await provider.generate({ model, prompt });
+  return text.trim();
 }
@@ -0,0 +1,76 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSetting, getCachedGeoIp, setCachedGeoIp } from '../../db/index.js';
+import { createMmdbProvider } from './mmdb.js';
+import { createIpApiProvider } from './ipApi.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MMDB_PATH = process.env.GEOIP_MMDB_PATH || path.join(__dirname, '..', '..', 'data', 'GeoLite2-City.mmdb');
+
+/*
+ * Every provider exposes lookup(ip) → { lat, lng, city, region, country, description, accuracyMeters } | null.
+ * Results (including misses) are cached in SQLite for geoip_cache_ttl_hours.
+ */
+export const GEOIP_PROVIDERS = {
+  mmdb: {
+    label: 'Local MaxMind-format database',
+    configured: () => getProviderInstance('mmdb').available(),
+    create: () => createMmdbProvider({ path: MMDB_PATH })
+  },
+  'ip-api': {
+    label: 'ip-api.com (online)',
+    configured: () => true,
+    create: () => createIpApiProvider({ apiKey: process.env.IP_API_KEY })
+  }
+};
+
+// providerId → provider instance
+const instances = new Map();
+
+function getProviderInstance(id) {
+  if (!instances.has(id)) {
+    instances.set(id, GEOIP_PROVIDERS[id].create());
+  }
+  return instances.get(id);
+}
+
+let warnedMissingDatabase = false;
+
+// Provider selected in settings (geoip_provider). Without a local database, mmdb falls back to ip-api.
+export function getGeoIpProviderId() {
+  let providerId = getSetting('geoip_provider', 'mmdb');
+  if (!GEOIP_PROVIDERS[providerId]) {
+    console.warn(`[GeoIP] Unknown provider "${providerId}" in settings — falling back to mmdb`);
+    providerId = 'mmdb';
+  }
+  if (!GEOIP_PROVIDERS[providerId].configured()) {
+    if (!warnedMissingDatabase) {
+      console.warn(`[GeoIP] No database at ${MMDB_PATH} — using ip-api.com until one is added`);
+      warnedMissingDatabase = true;
+    }
+    return 'ip-api';
+  }
+  return providerId;
+}
+
+export function listGeoIpProviders() {
+  return Object.entries(GEOIP_PROVIDERS).map(([id, p]) => ({ id, label: p.label, configured: p.configured() }));
+}
+
+// Location for a public IP address, or null when unknown or the provider is unavailable
+export async function lookupIp(ip) {
+  const providerId = getGeoIpProviderId();
+  const cached = getCachedGeoIp(ip, providerId);
+  if (cached !== undefined) return cached;
+
+  try {
+    const location = await getProviderInstance(providerId).lookup(ip);
+    const ttlHours = parseFloat(getSetting('geoip_cache_ttl_hours', '168')) || 0;
+    if (ttlHours > 0) setCachedGeoIp(ip, providerId, location, ttlHours * 3600 * 1000);
+    return location;
+  } catch (error) {
+    // Not cached, so a transient failure is retried on the next request
+    console.error(`[GeoIP] ${providerId} lookup failed:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,29 @@
+import axios from 'axios';
+
+// ip-api.com: the free tier is HTTP-only and rate limited; with IP_API_KEY the pro endpoint is used over HTTPS
+export function createIpApiProvider({ apiKey }) {
+  const baseUrl = apiKey ? 'https://pro.ip-api.com/json' : 'http://ip-api.com/json';
+
+  async function lookup(ip) {
+    const { data } = await axios.get(`${baseUrl}/${ip}`, {
+      params: apiKey ? { key: apiKey } : undefined,
+      timeout: 3000
+    });
+
+    if (data.status !== 'success') {
+      return null;
+    }
+
+    return {
+      lat: data.lat,
+      lng: data.lon,
+      city: data.city,
+      region: data.regionName,
+      country: data.country,
+      description: `${data.city}, ${data.regionName}, ${data.country}`,
+      accuracyMeters: null
+    };
+  }
+
+  return { lookup };
+}
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import { Reader } from 'mmdb-lib';
+
+// How often the database file is polled for changes
+const WATCH_INTERVAL_MS = 60 * 1000;
+
+// Local lookups against a MaxMind-format database (GeoLite2-City, DB-IP City Lite, ...).
+// The file is read into memory once and re-read when it is replaced on disk; lookups never touch the file.
+export function createMmdbProvider({ path }) {
+  let reader = null;
+
+  function load() {
+    try {
+      reader = new Reader(fs.readFileSync(path));
+      console.log(`[GeoIP] Loaded ${reader.metadata.databaseType} from ${path}`);
+    } catch (error) {
+      reader = null;
+      if (error.code !== 'ENOENT') console.error(`[GeoIP] Could not load ${path}:`, error.message);
+    }
+  }
+
+  load();
+  // Not persistent, so the watcher never keeps the process alive on its own
+  fs.watchFile(path, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) load();
+  });
+
+  async function lookup(ip) {
+    if (!reader) return null;
+    const record = reader.get(ip);
+    if (!record?.location) return null;
+
+    const city = record.city?.names?.en;
+    const region = record.subdivisions?.[0]?.names?.en;
+    const country = record.country?.names?.en;
+    return {
+      lat: record.location.latitude,
+      lng: record.location.longitude,
+      city,
+      region,
+      country,
+      description: [city, region, country].filter(Boolean).join(', ') || 'Unknown place',
+      // accuracy_radius is in kilometers
+      accuracyMeters: record.location.accuracy_radius ? record.location.accuracy_radius * 1000 : null
+    };
+  }
+
+  // Whether a database is loaded
+  const available = () => !!reader;
+
+  return { lookup, available, reload: load };
+}
@@ -1,7 +1,8 @@
-import axios from 'axios';
+import { getSetting } from '../db/index.js';
+import { reverseGeocode } from './maps.js';
+import { lookupIp } from './geoip/index.js';
 
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
-const locationCache = new Map();
 
 const PRIVATE_IP_PATTERNS = [
   /^127\./,
@@ -27,48 +28,92 @@ export function extractClientIP(req) {
   return req.headers['x-real-ip'] || req.ip;
 }
 
-const DEFAULT_LOCATION = {
-  lat: 38.9187,
-  lng: -77.2311,
-  city: 'Tysons',
-  region: 'Virginia',
-  country: 'United States',
-  description: '1850 Towers Crescent Plaza, Tysons, VA 22182'
-};
+// Location assumed for private IPs and failed lookups (default_location_* settings, editable in admin)
+export function getDefaultLocation() {
+  return {
+    lat: parseFloat(getSetting('default_location_lat', '38.9187')),
+    lng: parseFloat(getSetting('default_location_lng', '-77.2311')),
+    description: getSetting('default_location_description', ''),
+    source: 'default'
+  };
+}
 
 export async function getLocationFromIP(ip) {
   if (!ip || isPrivateIP(ip)) {
-    return DEFAULT_LOCATION;
+    return getDefaultLocation();
   }
 
-  // Check cache
-  const cached = locationCache.get(ip);
+  const location = await lookupIp(ip);
+  return location ? { ...location, source: 'ip' } : getDefaultLocation();
+}
+
+// Browser fixes older than this are ignored (the user may have moved since)
+const MAX_BROWSER_FIX_AGE = 10 * 60 * 1000;
+// Reverse-geocoded addresses per ~100 m cell, least recently used first
+const addressCache = new Map();
+const ADDRESS_CACHE_MAX = 500;
+
+// Coordinates sent by the client from navigator.geolocation: { lat, lng, accuracy, timestamp }
+export function parseBrowserLocation(value) {
+  if (!value || typeof value !== 'object') return null;
+  const lat = Number(value.lat);
+  const lng = Number(value.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  if (value.timestamp && Date.now() - Number(value.timestamp) > MAX_BROWSER_FIX_AGE) return null;
+  const accuracy = Number(value.accuracy);
+  return { lat, lng, accuracyMeters: Number.isFinite(accuracy) && accuracy > 0 ? Math.round(accuracy) : null };
+}
+
+// Street address for a browser fix, cached per ~100 m cell so every message doesn't cost a lookup
+async function describeCoordinates(lat, lng) {
+  const key = `${lat.toFixed(3)},${lng.toFixed(3)}`;
+  const cached = addressCache.get(key);
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    // Move to the back so busy cells outlive one-off ones
+    addressCache.delete(key);
+    addressCache.set(key, cached);
     return cached.data;
   }
-
+  let description = `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
   try {
-    const { data } = await axios.get(`http://ip-api.com/json/${ip}`, {
-      timeout: 3000
-    });
+    const result = await reverseGeocode(lat, lng);
+    if (result?.address) description = result.address;
+  } catch (error) {
+    console.error('Reverse geocoding of browser location failed:', error.message);
+  }
+  addressCache.delete(key);
+  addressCache.set(key, { data: description, timestamp: Date.now() });
+  if (addressCache.size > ADDRESS_CACHE_MAX) {
+    addressCache.delete(addressCache.keys().next().value);
+  }
+  return description;
+}
 
-    if (data.status !== 'success') {
-      return null;
-    }
+// Default the user saved for themselves (user_default_location setting: { lat, lng, description })
+export function getSavedDefaultLocation() {
+  try {
+    const saved = JSON.parse(getSetting('user_default_location', '') || 'null');
+    return saved ? { ...saved, source: 'saved' } : null;
+  } catch {
+    return null;
+  }
+}
 
-    const location = {
-      lat: data.lat,
-      lng: data.lon,
-      city: data.city,
-      region: data.regionName,
-      country: data.country,
-      description: `${data.city}, ${data.regionName}, ${data.country}`
+/**
+ * Best available location for a chat request, in order: browser coordinates (when the user
+ * allowed them), the user's saved default, then IP lookup (which falls back to the configured default location).
+ * Every result carries source: 'browser' | 'saved' | 'ip' | 'default', and browser fixes their accuracyMeters.
+ */
+export async function resolveUserLocation({ browserLocation = null, ip = null } = {}) {
+  const coords = parseBrowserLocation(browserLocation);
+  if (coords) {
+    return {
+      lat: coords.lat,
+      lng: coords.lng,
+      description: await describeCoordinates(coords.lat, coords.lng),
+      source: 'browser',
+      accuracyMeters: coords.accuracyMeters
     };
-
-    locationCache.set(ip, { data: location, timestamp: Date.now() });
-    return location;
-  } catch (error) {
-    console.error('Geolocation error:', error.message);
-    return null;
   }
+  return getSavedDefaultLocation() || getLocationFromIP(ip);
 }
@@ -0,0 +1,321 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createTrip, getTrip, updateTrip, touchTrip, createTripStop, getTripStop, updateTripStop, deleteTripStop, setTripDayStops
+} from '../db/index.js';
+import { getDirections } from './maps.js';
+import { resolvePlace } from './maps/resolvePlace.js';
+
+// Multi-day trip itineraries: days of ordered stops, with the travel leg between consecutive
+// stops filled in from the map provider and a schedule derived from arrival times and visit lengths.
+
+const DAY_START = '09:00';
+const MAX_DAYS = 14;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [, h, m] = TIME_PATTERN.exec(time);
+  return Number(h) * 60 + Number(m);
+}
+
+function toClock(minutes) {
+  const m = Math.round(minutes) % (24 * 60);
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+export function isValidTime(time) {
+  return TIME_PATTERN.test(time || '');
+}
+
+function requireTrip(tripId) {
+  const trip = getTrip(tripId);
+  if (!trip) throw new Error(`Unknown itinerary: ${tripId}`);
+  return trip;
+}
+
+function requireDay(trip, dayIndex) {
+  const day = trip.days.find(d => d.dayIndex === dayIndex);
+  if (!day) throw new Error(`"${trip.title}" has days 1-${trip.days.length}; there is no day ${dayIndex}`);
+  return day;
+}
+
+export function createItinerary(title, startDate, dayCount, mode = 'driving') {
+  if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    throw new Error('start_date must be YYYY-MM-DD');
+  }
+  const days = Math.min(Math.max(Math.round(dayCount) || 1, 1), MAX_DAYS);
+  const trip = createTrip(uuidv4(), title, startDate, mode, days);
+  console.log(`[Itinerary] Created "${title}" (${days} days)`);
+  return trip;
+}
+
+// Rename, re-date, add days or change the travel mode (which recomputes every leg)
+export async function updateItinerary(tripId, { title, startDate, dayCount, mode }) {
+  const trip = requireTrip(tripId);
+  if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    throw new Error('start_date must be YYYY-MM-DD');
+  }
+  if (dayCount !== undefined && dayCount < trip.days.length) {
+    throw new Error(`"${trip.title}" already has ${trip.days.length} days; remove stops instead of shrinking it`);
+  }
+  updateTrip(tripId, { title, startDate, mode, dayCount: dayCount !== undefined ? Math.min(dayCount, MAX_DAYS) : undefined });
+  return refreshTravel(tripId);
+}
+
+// Fill in the travel leg for every stop whose previous stop or travel mode changed
+async function refreshTravel(tripId) {
+  const trip = getTrip(tripId);
+  for (const day of trip.days) {
+    for (let i = 0; i < day.stops.length; i++) {
+      const stop = day.stops[i];
+      const prev = day.stops[i - 1];
+      if (!prev) {
+        if (stop.travel) updateTripStop(stop.id, { travel: null });
+        continue;
+      }
+      if (stop.travel?.fromStopId === prev.id && stop.travel.mode === trip.mode) continue;
+
+      const directions = await getDirections(
+        `${prev.location.lat},${prev.location.lng}`,
+        `${stop.location.lat},${stop.location.lng}`,
+        trip.mode
+      );
+      updateTripStop(stop.id, {
+        travel: directions
+          ? {
+              fromStopId: prev.id,
+              mode: trip.mode,
+              distance: directions.distance,
+              duration: directions.duration,
+              durationSeconds: directions.durationSeconds ?? null,
+              polyline: directions.polyline
+            }
+          : { fromStopId: prev.id, mode: trip.mode, distance: null, duration: null, durationSeconds: null, polyline: null }
+      });
+    }
+  }
+  touchTrip(tripId);
+  return getTrip(tripId);
+}
+
+/**
+ * Add a stop to a day. stop: { name, placeId, address, arriveTime, durationMinutes, notes };
+ * position is 1-based (default: end of the day).
+ */
+export async function addStop(tripId, dayIndex, stop, position = null) {
+  const trip = requireTrip(tripId);
+  const day = requireDay(trip, dayIndex);
+  if (stop.arriveTime && !isValidTime(stop.arriveTime)) {
+    throw new Error('arrive_time must be HH:MM (24-hour)');
+  }
+
+  const resolved = await resolvePlace({ placeId: stop.placeId, name: stop.name, address: stop.address });
+  if (!resolved) throw new Error(`Could not locate "${stop.name}"`);
+
+  const stopId = createTripStop(day.id, day.stops.length + 1, {
+    name: resolved.name,
+    placeId: stop.placeId,
+    address: resolved.address,
+    lat: resolved.location.lat,
+    lng: resolved.location.lng,
+    arriveTime: stop.arriveTime,
+    durationMinutes: stop.durationMinutes,
+    notes: stop.notes
+  });
+
+  const order = day.stops.map(s => s.id);
+  const at = position ? Math.min(Math.max(position, 1), order.length + 1) - 1 : order.length;
+  order.splice(at, 0, stopId);
+  setTripDayStops(day.id, order);
+
+  return { trip: await refreshTravel(tripId), stopId };
+}
+
+// Change a stop's timing or notes, and/or move it to another day or position
+export async function editStop(tripId, stopId, { dayIndex, position, arriveTime, durationMinutes, notes }) {
+  const stop = getTripStop(stopId);
+  if (!stop || stop.tripId !== tripId) throw new Error(`Stop ${stopId} is not part of this itinerary`);
+  if (arriveTime && !isValidTime(arriveTime)) {
+    throw new Error('arrive_time must be HH:MM (24-hour)');
+  }
+
+  updateTripStop(stopId, { arriveTime, durationMinutes, notes });
+
+  if (dayIndex !== undefined || position !== undefined) {
+    const trip = requireTrip(tripId);
+    const target = requireDay(trip, dayIndex ?? stop.dayIndex);
+    const source = trip.days.find(d => d.id === stop.dayId);
+    if (source.id !== target.id) {
+      setTripDayStops(source.id, source.stops.map(s => s.id).filter(id => id !== stopId));
+    }
+    const order = target.stops.map(s => s.id).filter(id => id !== stopId);
+    const at = position ? Math.min(Math.max(position, 1), order.length + 1) - 1 : order.length;
+    order.splice(at, 0, stopId);
+    setTripDayStops(target.id, order);
+  }
+
+  return refreshTravel(tripId);
+}
+
+export async function removeStop(tripId, stopId) {
+  const stop = getTripStop(stopId);
+  if (!stop || stop.tripId !== tripId) throw new Error(`Stop ${stopId} is not part of this itinerary`);
+  deleteTripStop(stopId);
+  const trip = requireTrip(tripId);
+  const day = trip.days.find(d => d.id === stop.dayId);
+  setTripDayStops(day.id, day.stops.map(s => s.id));
+  return { trip: await refreshTravel(tripId), removed: stop };
+}
+
+// Arrival / departure clock times: a fixed arriveTime is kept unless travel makes it impossible
+export function scheduleTrip(trip) {
+  return {
+    ...trip,
+    days: trip.days.map(day => {
+      let clock = null;
+      const stops = day.stops.map(stop => {
+        const travelMinutes = stop.travel?.durationSeconds ? stop.travel.durationSeconds / 60 : 0;
+        const earliest = clock === null ? null : clock + travelMinutes;
+        let arrival;
+        if (stop.arriveTime) {
+          arrival = earliest === null ? toMinutes(stop.arriveTime) : Math.max(earliest, toMinutes(stop.arriveTime));
+        } else {
+          arrival = earliest ?? toMinutes(DAY_START);
+        }
+        clock = arrival + stop.durationMinutes;
+        // Minutes from the day's midnight can pass 24h; the clock strings wrap, arrivalMinutes does not
+        return { ...stop, scheduledArrival: toClock(arrival), scheduledDeparture: toClock(clock), arrivalMinutes: arrival };
+      });
+      return { ...day, stops };
+    })
+  };
+}
+
+// Compact plan for the model: enough to answer questions and reference stop ids in later edits
+export function summarizeTrip(trip) {
+  const scheduled = scheduleTrip(trip);
+  return {
+    tripId: trip.id,
+    title: trip.title,
+    startDate: trip.startDate,
+    mode: trip.mode,
+    days: scheduled.days.map(day => ({
+      day: day.dayIndex,
+      date: day.date,
+      stops: day.stops.map(s => ({
+        stopId: s.id,
+        name: s.name,
+        arrive: s.scheduledArrival,
+        leave: s.scheduledDeparture,
+        travelFromPrevious: s.travel?.duration ? `${s.travel.duration} (${s.travel.distance})` : null,
+        notes: s.notes || undefined
+      }))
+    }))
+  };
+}
+
+// Map for chat messages and the itinerary panel: stops numbered per day, one colored leg per day
+export function toItineraryMapData(trip) {
+  const stops = trip.days.flatMap(day => day.stops.map((stop, idx) => ({ day, stop, idx })));
+  const legs = trip.days.map(day => ({
+    from: day.stops[0]?.name,
+    to: day.stops[day.stops.length - 1]?.name,
+    polylines: day.stops.map(s => s.travel?.polyline).filter(Boolean)
+  }));
+  const hasLegs = legs.some(l => l.polylines.length > 0);
+
+  return {
+    type: 'itinerary',
+    tripId: trip.id,
+    title: trip.title,
+    center: stops[0]?.stop.location || null,
+    zoom: 12,
+    markers: stops.map(({ day, stop, idx }) => ({
+      position: stop.location,
+      title: `Day ${day.dayIndex}: ${stop.name}`,
+      label: String(idx + 1),
+      day: day.dayIndex,
+      info: stop.placeId ? { name: stop.name, address: stop.address, placeId: stop.placeId } : undefined
+    })),
+    legs: hasLegs ? legs : undefined,
+    days: trip.days.map(day => ({ dayIndex: day.dayIndex, date: day.date, stopCount: day.stops.length }))
+  };
+}
+
+// Local date-time `minutes` after midnight of `date` (YYYY-MM-DD), rolling into the next day past 24h
+function icsDateTime(date, minutes) {
+  const moment = new Date(`${date}T00:00:00Z`);
+  moment.setUTCMinutes(Math.round(minutes));
+  return `${moment.toISOString().slice(0, 16).replace(/[-:]/g, '')}00`;
+}
+
+function escapeIcs(text) {
+  return String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 calendar with one event per stop, in floating local time (no time zone)
+export function buildIcs(trip) {
+  if (!trip.startDate) throw new Error('Set a start date on the itinerary before exporting it to a calendar');
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//jevehome-agent//itinerary//EN', `X-WR-CALNAME:${escapeIcs(trip.title)}`];
+
+  for (const day of scheduleTrip(trip).days) {
+    for (const stop of day.stops) {
+      const description = [
+        stop.travel?.duration ? `Travel from previous stop: ${stop.travel.duration} (${stop.travel.distance})` : null,
+        stop.notes
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${trip.id}-${stop.id}@jevehome-agent`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(day.date, stop.arrivalMinutes)}`,
+        `DURATION:PT${stop.durationMinutes}M`,
+        `SUMMARY:${escapeIcs(stop.name)}`,
+        `LOCATION:${escapeIcs(stop.address || stop.name)}`,
+        `GEO:${stop.location.lat};${stop.location.lng}`
+      );
+      if (description) lines.push(`DESCRIPTION:${escapeIcs(description)}`);
+      lines.push('END:VEVENT');
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Standalone page for printing or saving as PDF
+export function buildPrintableHtml(trip) {
+  const days = scheduleTrip(trip).days.map(day => {
+    const heading = `Day ${day.dayIndex}${day.date ? ` — ${new Date(`${day.date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' })}` : ''}`;
+    const stops = day.stops.length === 0
+      ? '<p class="empty">Nothing planned</p>'
+      : day.stops.map(stop => `
+        ${stop.travel?.duration ? `<div class="travel">${escapeHtml(stop.travel.duration)} · ${escapeHtml(stop.travel.distance)} by ${escapeHtml(stop.travel.mode)}</div>` : ''}
+        <div class="stop">
+          <div class="time">${stop.scheduledArrival}–${stop.scheduledDeparture}</div>
+          <div>
+            <div class="name">${escapeHtml(stop.name)}</div>
+            ${stop.address ? `<div class="address">${escapeHtml(stop.address)}</div>` : ''}
+            ${stop.notes ? `<div class="notes">${escapeHtml(stop.notes)}</div>` : ''}
+          </div>
+        </div>`).join('');
+    return `<section><h2>${escapeHtml(heading)}</h2>${stops}</section>`;
+  }).join('');
+
+  return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(trip.title)}</title>
+<style>body{font-family:system-ui,sans-serif;color:#222;max-width:760px;margin:32px auto;padding:0 20px}h1{font-size:24px;margin-bottom:4px}.meta{color:#666;margin-bottom:24px}section{margin-bottom:28px;page-break-inside:avoid}h2{font-size:17px;border-bottom:2px solid #4285F4;padding-bottom:4px}.stop{display:flex;gap:16px;padding:8px 0}.time{width:110px;flex-shrink:0;font-weight:600;color:#4285F4}.name{font-weight:600}.address,.notes,.empty{font-size:13px;color:#666}.notes{font-style:italic}.travel{font-size:12px;color:#888;padding-left:126px}.print{float:right;padding:6px 14px}@media print{.print{display:none}}</style>
+</head><body>
+<button class="print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(trip.title)}</h1>
+<div class="meta">${trip.days.length} day${trip.days.length === 1 ? '' : 's'} · travel by ${escapeHtml(trip.mode)}</div>
+${days}
+</body></html>`;
+}
@@ -0,0 +1,104 @@
+import fs from 'fs';
+
+/*
+ * Scripted provider for offline runs. Replays a JSON fixture (hand-written or
+ * captured by the recorder):
+ *
+ *   {
+ *     "chat":     [{ "text": "...", "functionCalls": [{ "name": "...", "args": {} }] }, ...],
+ *     "generate": [{ "text": "...", "searchResults": null }, ...],
+ *     "tools":    { "<tool name>": [<result>, ...] }
+ *   }
+ *
+ * chat entries answer session.send() calls in order across the whole fixture and generate
+ * entries answer generate() calls (titles, summaries, grounding). Both wrap around to the
+ * start when exhausted, so repeated /api/chat runs replay the same script. Tool results stub
+ * the real built-in / MCP tool; a list is consumed in order and its last entry repeats.
+ */
+
+// Split text into word-sized deltas so streaming behaves like a real model
+function streamText(text, onDelta) {
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+    onDelta?.({ text: piece });
+  }
+}
+
+export function createFakeProvider({ fixturePath }) {
+  let fixture = null;
+  const cursors = { chat: 0, generate: 0 };
+  const toolCursors = new Map();
+
+  // Loaded lazily so listing providers never fails on a missing fixture
+  function load() {
+    if (!fixture) {
+      if (!fixturePath) throw new Error('FAKE_LLM_FIXTURE is not set');
+      fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+      console.log(`[LLM] Replaying fixture ${fixturePath}`);
+    }
+    return fixture;
+  }
+
+  function next(kind) {
+    const entries = load()[kind] || [];
+    if (entries.length === 0) return { text: '' };
+    if (cursors[kind] >= entries.length) {
+      console.warn(`[LLM] Fixture ${kind} entries exhausted — starting over`);
+      cursors[kind] = 0;
+    }
+    return entries[cursors[kind]++];
+  }
+
+  function checkSignal(signal) {
+    if (signal?.aborted) {
+      throw signal.reason instanceof Error ? signal.reason : new DOMException('Aborted', 'AbortError');
+    }
+  }
+
+  return {
+    name: 'fake',
+    // Grounded web search is only offered when the fixture scripts search results
+    get supportsGrounding() {
+      try {
+        return (load().generate || []).some(e => e.searchResults);
+      } catch {
+        return false;
+      }
+    },
+
+    startChat() {
+      return {
+        async send(message, { signal, onDelta } = {}) {
+          checkSignal(signal);
+          const entry = next('chat');
+          const text = entry.text || '';
+          streamText(text, onDelta);
+          const functionCalls = (entry.functionCalls || []).map((c, i) => ({
+            id: c.id || `fake_${cursors.chat}_${i}`,
+            name: c.name,
+            args: c.args || {}
+          }));
+          return { text, functionCalls };
+        }
+      };
+    },
+
+    async generate({ signal, onDelta } = {}) {
+      checkSignal(signal);
+      const entry = next('generate');
+      const text = entry.text || '';
+      streamText(text, onDelta);
+      return { text, searchResults: entry.searchResults || null };
+    },
+
+    // Canned result for a tool, or undefined to run the real one
+    stubToolCall(name) {
+      const stub = load().tools?.[name];
+      if (stub === undefined) return undefined;
+      if (!Array.isArray(stub)) return stub;
+      if (stub.length === 0) return undefined;
+      const i = Math.min(toolCursors.get(name) || 0, stub.length - 1);
+      toolCursors.set(name, i + 1);
+      return stub[i];
+    }
+  };
+}
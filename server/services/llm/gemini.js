@@ -0,0 +1,100 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Text of a single streamed chunk; blocked or function-call-only chunks yield ''
+function chunkText(chunk) {
+  try {
+    return chunk.text() || '';
+  } catch {
+    return '';
+  }
+}
+
+// Consume a streaming result, forwarding text deltas; resolves with the aggregated response
+async function consumeStream(streamResult, onDelta) {
+  for await (const chunk of streamResult.stream) {
+    const text = chunkText(chunk);
+    if (text) onDelta?.({ text });
+  }
+  return streamResult.response;
+}
+
+function extractFunctionCalls(resp) {
+  const calls = resp.functionCalls?.();
+  if (calls && calls.length > 0) return calls;
+  const parts = resp.candidates?.[0]?.content?.parts;
+  if (!parts) return [];
+  return parts
+    .filter(p => p.functionCall)
+    .map(p => ({
+      name: p.functionCall.name,
+      args: p.functionCall.args
+    }));
+}
+
+function extractGroundingResults(resp) {
+  const metadata = resp.candidates?.[0]?.groundingMetadata;
+  if (!metadata?.groundingChunks) return null;
+  const chunks = metadata.groundingChunks
+    .filter(c => c.web)
+    .map(c => ({
+      title: c.web.title,
+      link: c.web.uri,
+      snippet: '',
+      displayLink: c.web.title
+    }));
+  if (chunks.length > 0) {
+    console.log(`[Grounding] Found ${chunks.length} web sources`);
+    return chunks;
+  }
+  return null;
+}
+
+// Provider-neutral history ({ role: 'user' | 'assistant', content }) → Gemini contents
+function toGeminiContent(msg) {
+  return {
+    role: msg.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: msg.content }]
+  };
+}
+
+export function createGeminiProvider({ apiKey }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    supportsGrounding: true,
+
+    startChat({ model, systemInstruction, tools = [], history = [] }) {
+      // Tool declarations are kept in Gemini's functionDeclarations format natively
+      const fcModel = genAI.getGenerativeModel({
+        model,
+        systemInstruction,
+        tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined
+      });
+      const chatSession = fcModel.startChat({ history: history.map(toGeminiContent) });
+
+      return {
+        async send(message, { signal, onDelta } = {}) {
+          const request = typeof message === 'string'
+            ? message
+            : message.map(r => ({ functionResponse: { name: r.name, response: r.response } }));
+          const response = await consumeStream(await chatSession.sendMessageStream(request, { signal }), onDelta);
+          return { text: response.text() || '', functionCalls: extractFunctionCalls(response) };
+        }
+      };
+    },
+
+    async generate({ model, prompt, systemInstruction, grounding = false, signal, onDelta }) {
+      const genModel = genAI.getGenerativeModel({
+        model,
+        systemInstruction,
+        tools: grounding ? [{ googleSearch: {} }] : undefined
+      });
+      const response = await consumeStream(await genModel.generateContentStream(prompt, { signal }), onDelta);
+      return {
+        text: response.text() || '',
+        searchResults: grounding ? extractGroundingResults(response) : null
+      };
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import { getSetting } from '../../db/index.js';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFakeProvider } from './fake.js';
+import { createRecordingProvider } from './recorder.js';
+
+/*
+ * Every provider exposes the same small surface used by the agent loop:
+ *
+ *   startChat({ model, systemInstruction, tools, history }) → session
+ *     tools:   function declarations in Gemini format (translated by the adapter)
+ *     history: [{ role: 'user' | 'assistant', content }]
+ *   session.send(message, { signal, onDelta }) → { text, functionCalls: [{ id?, name, args }] }
+ *     message: a user string, or [{ id, name, response }] results for the previous function calls
+ *   generate({ model, prompt, systemInstruction, grounding, signal, onDelta }) → { text, searchResults }
+ *   supportsGrounding: whether generate({ grounding: true }) can search the web
+ *   stubToolCall(name, args) → result | undefined   (optional; canned tool results for offline runs)
+ *   recordToolResult(name, result)                   (optional; sees each raw tool result, e.g. for fixtures)
+ */
+export const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    configured: () => !!process.env.GEMINI_API_KEY,
+    defaultModel: () => process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    create: () => createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY })
+  },
+  openai: {
+    label: 'OpenAI-compatible API',
+    configured: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    create: () => createOpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY
+    })
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    configured: () => true,
+    defaultModel: () => process.env.OLLAMA_MODEL || 'llama3.1',
+    create: () => createOpenAICompatibleProvider({
+      name: 'ollama',
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1'
+    })
+  },
+  llamacpp: {
+    label: 'llama.cpp server (local)',
+    configured: () => true,
+    defaultModel: () => process.env.LLAMACPP_MODEL || 'local-model',
+    create: () => createOpenAICompatibleProvider({
+      name: 'llamacpp',
+      baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+      apiKey: process.env.LLAMACPP_API_KEY
+    })
+  },
+  fake: {
+    label: 'Scripted fixture (offline testing)',
+    configured: () => !!process.env.FAKE_LLM_FIXTURE,
+    defaultModel: () => 'fake',
+    create: () => createFakeProvider({ fixturePath: process.env.FAKE_LLM_FIXTURE })
+  }
+};
+
+// providerId → adapter instance
+const instances = new Map();
+
+// LLM_RECORD_FIXTURE captures the real exchanges of the active provider for later replay
+function getProviderInstance(id) {
+  if (!instances.has(id)) {
+    const provider = PROVIDERS[id].create();
+    const recordPath = process.env.LLM_RECORD_FIXTURE;
+    instances.set(id, recordPath && id !== 'fake' ? createRecordingProvider(provider, recordPath) : provider);
+  }
+  return instances.get(id);
+}
+
+// Active provider and its model from settings (llm_provider / llm_model.<provider>); an empty model uses the provider default.
+// LLM_PROVIDER in the environment overrides the setting, e.g. LLM_PROVIDER=fake for offline runs.
+export function getLlm() {
+  let providerId = process.env.LLM_PROVIDER || getSetting('llm_provider', 'gemini');
+  if (!PROVIDERS[providerId]) {
+    console.warn(`[LLM] Unknown provider "${providerId}" in settings — falling back to gemini`);
+    providerId = 'gemini';
+  }
+  const model = getSetting(`llm_model.${providerId}`, '') || PROVIDERS[providerId].defaultModel();
+  return { providerId, provider: getProviderInstance(providerId), model };
+}
+
+export function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, p]) => ({
+    id,
+    label: p.label,
+    configured: p.configured(),
+    defaultModel: p.defaultModel(),
+    supportsGrounding: getProviderInstance(id).supportsGrounding
+  }));
+}
@@ -0,0 +1,167 @@
+// Adapter for any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style gateways,
+// vLLM, Ollama's /v1, llama.cpp server). Streams with SSE and supports tool calls.
+
+// Gemini-style declarations → OpenAI JSON Schema: lowercase types, nullable as a type union
+function toOpenAISchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === 'nullable') continue;
+    if (k === 'type' && typeof v === 'string') {
+      out.type = schema.nullable ? [v.toLowerCase(), 'null'] : v.toLowerCase();
+    } else if (k === 'properties' && v && typeof v === 'object') {
+      out.properties = {};
+      for (const [pk, pv] of Object.entries(v)) {
+        out.properties[pk] = toOpenAISchema(pv);
+      }
+    } else if (k === 'items') {
+      out.items = toOpenAISchema(v);
+    } else {
+      out[k] = v;
+    }
+  }
+  if (out.type === 'object' && !out.properties) out.properties = {};
+  return out;
+}
+
+function toOpenAITool(declaration) {
+  return {
+    type: 'function',
+    function: {
+      name: declaration.name,
+      description: declaration.description || '',
+      parameters: toOpenAISchema(declaration.parameters || { type: 'object', properties: {} })
+    }
+  };
+}
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn('[LLM] Could not parse tool call arguments:', raw.slice(0, 200));
+    return {};
+  }
+}
+
+// Read an SSE completion stream, forwarding text deltas and assembling streamed tool calls
+async function readCompletionStream(body, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const toolCalls = []; // indexed by the delta's tool_call index
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+
+    let event;
+    try { event = JSON.parse(data); } catch { return; }
+    if (event.error) throw new Error(event.error.message || JSON.stringify(event.error));
+
+    const delta = event.choices?.[0]?.delta;
+    if (!delta) return;
+    if (delta.content) {
+      text += delta.content;
+      onDelta?.({ text: delta.content });
+    }
+    for (const tc of delta.tool_calls || []) {
+      const idx = tc.index ?? toolCalls.length;
+      if (!toolCalls[idx]) toolCalls[idx] = { id: tc.id, name: '', arguments: '' };
+      if (tc.id) toolCalls[idx].id = tc.id;
+      if (tc.function?.name) toolCalls[idx].name += tc.function.name;
+      if (tc.function?.arguments) toolCalls[idx].arguments += tc.function.arguments;
+    }
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // keep incomplete last line
+    lines.forEach(l => handleLine(l.trim()));
+  }
+  handleLine(buffer.trim());
+
+  const calls = toolCalls.filter(Boolean).map((tc, i) => ({ ...tc, id: tc.id || `call_${i}` }));
+  return { text, toolCalls: calls };
+}
+
+export function createOpenAICompatibleProvider({ name, baseUrl, apiKey }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function complete({ model, messages, tools, signal, onDelta }) {
+    const body = { model, messages, stream: true };
+    if (tools?.length) body.tools = tools;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${name} request failed (${response.status}): ${detail.slice(0, 300)}`);
+    }
+
+    return readCompletionStream(response.body, onDelta);
+  }
+
+  return {
+    name,
+    supportsGrounding: false,
+
+    startChat({ model, systemInstruction, tools = [], history = [] }) {
+      const openAITools = tools.map(toOpenAITool);
+      const messages = [];
+      if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+      for (const msg of history) {
+        messages.push({ role: msg.role === 'assistant' ? 'assistant' : 'user', content: msg.content });
+      }
+
+      return {
+        async send(message, { signal, onDelta } = {}) {
+          if (typeof message === 'string') {
+            messages.push({ role: 'user', content: message });
+          } else {
+            for (const r of message) {
+              messages.push({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.response) });
+            }
+          }
+
+          const { text, toolCalls } = await complete({ model, messages, tools: openAITools, signal, onDelta });
+
+          const assistantMessage = { role: 'assistant', content: text || null };
+          if (toolCalls.length > 0) {
+            assistantMessage.tool_calls = toolCalls.map(tc => ({
+              id: tc.id,
+              type: 'function',
+              function: { name: tc.name, arguments: tc.arguments || '{}' }
+            }));
+          }
+          messages.push(assistantMessage);
+
+          return {
+            text,
+            functionCalls: toolCalls.map(tc => ({ id: tc.id, name: tc.name, args: parseArguments(tc.arguments) }))
+          };
+        }
+      };
+    },
+
+    async generate({ model, prompt, systemInstruction, signal, onDelta }) {
+      const messages = [];
+      if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+      messages.push({ role: 'user', content: prompt });
+      const { text } = await complete({ model, messages, signal, onDelta });
+      return { text, searchResults: null };
+    }
+  };
+}
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+
+/*
+ * Wraps a real provider and captures every exchange to a JSON fixture in the format
+ * the fake provider replays: model turns (text + function calls), generate() results,
+ * and the raw tool results (including mcpChartData, artifacts and point datasets that
+ * never reach the model). The file is rewritten after each exchange so an interrupted
+ * run still leaves a usable fixture.
+ */
+export function createRecordingProvider(provider, fixturePath) {
+  const fixture = { provider: provider.name, recordedAt: new Date().toISOString(), chat: [], generate: [], tools: {} };
+
+  function save() {
+    if (fixture.chat.length + fixture.generate.length === 1) {
+      console.log(`[LLM] Recording ${provider.name} exchanges to ${fixturePath}`);
+    }
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+  }
+
+  return {
+    name: provider.name,
+    supportsGrounding: provider.supportsGrounding,
+
+    startChat(options) {
+      const session = provider.startChat(options);
+      return {
+        async send(message, sendOptions) {
+          const result = await session.send(message, sendOptions);
+          fixture.chat.push({
+            input: typeof message === 'string' ? message : message.map(r => `[${r.name} result]`).join(' '),
+            text: result.text,
+            functionCalls: result.functionCalls.map(c => ({ name: c.name, args: c.args }))
+          });
+          save();
+          return result;
+        }
+      };
+    },
+
+    // Tool results are captured before the loop strips the render-only fields for the model
+    recordToolResult(name, result) {
+      if (!fixture.tools[name]) fixture.tools[name] = [];
+      fixture.tools[name].push(result);
+    },
+
+    async generate(options) {
+      const result = await provider.generate(options);
+      fixture.generate.push({
+        prompt: options.prompt,
+        text: result.text,
+        searchResults: result.searchResults || null
+      });
+      save();
+      return result;
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import {
+  getSetting, getCachedMapResponse, setCachedMapResponse, recordMapsUsage, getMapsUsageCount,
+  getMapsUsage, getMapsCacheStats
+} from '../../db/index.js';
+import { getMapProvider } from './index.js';
+
+// Every map lookup goes through trackedCall: answered from the SQLite cache when possible,
+// otherwise checked against the endpoint's daily limit and sent to the active provider.
+// Providers report each HTTP request they make through countMapsRequest, so one lookup that
+// needs several requests (matrix chunks, page-token retries, a geocode per route stop) counts each.
+
+// endpoint → whether its responses are cached (lifetime from the maps_cache_ttl_<endpoint> setting)
+export const MAPS_ENDPOINTS = {
+  geocode: { cached: true },
+  reverse_geocode: { cached: false },
+  places: { cached: false },
+  place_details: { cached: true },
+  directions: { cached: true },
+  distance_matrix: { cached: false }
+};
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function cacheKey(providerId, endpoint, args) {
+  return crypto.createHash('sha256').update(JSON.stringify([providerId, endpoint, args])).digest('hex');
+}
+
+function ttlMs(endpoint) {
+  if (!MAPS_ENDPOINTS[endpoint]?.cached) return 0;
+  const hours = parseFloat(getSetting(`maps_cache_ttl_${endpoint}`, '0'));
+  return Number.isFinite(hours) && hours > 0 ? hours * 3600 * 1000 : 0;
+}
+
+function dailyLimit(endpoint) {
+  return parseInt(getSetting(`maps_daily_limit_${endpoint}`, '0'), 10) || 0;
+}
+
+// Thrown when an endpoint's daily limit is used up; routes answer it with 429
+export class MapsLimitError extends Error {}
+
+// HTTP status for an error from a map lookup
+export function mapsErrorStatus(error) {
+  return error instanceof MapsLimitError ? 429 : 500;
+}
+
+export function countMapsRequest(providerId, endpoint) {
+  recordMapsUsage(today(), providerId, endpoint, 'calls');
+}
+
+/**
+ * Run `call(provider)` for `endpoint` with `args` identifying the request.
+ * Options: { cache: false } skips the cache for requests whose answer changes by the minute
+ * (e.g. directions leaving "now"). Throws MapsLimitError when the endpoint's daily limit is
+ * already used up; a call that starts under the limit may finish a few requests past it.
+ * Empty (null) responses are never cached so a transient failure is retried next time.
+ */
+export async function trackedCall(endpoint, args, call, { cache = true } = {}) {
+  const { providerId, provider } = getMapProvider();
+  const day = today();
+  const ttl = cache ? ttlMs(endpoint) : 0;
+  const key = ttl > 0 ? cacheKey(providerId, endpoint, args) : null;
+
+  if (key) {
+    const cached = getCachedMapResponse(key);
+    if (cached !== undefined) {
+      recordMapsUsage(day, providerId, endpoint, 'cache_hits');
+      return cached;
+    }
+  }
+
+  const limit = dailyLimit(endpoint);
+  if (limit > 0 && getMapsUsageCount(day, providerId, endpoint) >= limit) {
+    recordMapsUsage(day, providerId, endpoint, 'blocked');
+    console.warn(`[Maps] Daily ${endpoint} limit of ${limit} reached`);
+    throw new MapsLimitError(`Daily limit of ${limit} ${endpoint.replace(/_/g, ' ')} requests reached for the map provider. Try again tomorrow or raise the limit under Agent Settings.`);
+  }
+
+  const result = await call(provider);
+
+  if (key && result != null) {
+    setCachedMapResponse(key, providerId, endpoint, result, ttl);
+  }
+  return result;
+}
+
+// Usage for the admin page: today's counters per endpoint, 7-day totals and cache sizes
+export function getMapsUsageReport() {
+  const { providerId } = getMapProvider();
+  const day = today();
+  const weekStart = new Date(Date.now() - 6 * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  const rows = getMapsUsage(weekStart);
+  const cacheEntries = Object.fromEntries(getMapsCacheStats().map(r => [r.endpoint, r.entries]));
+
+  const endpoints = Object.entries(MAPS_ENDPOINTS).map(([endpoint, { cached }]) => {
+    const sum = (filter) => rows
+      .filter(r => r.endpoint === endpoint && filter(r))
+      .reduce((acc, r) => ({
+        calls: acc.calls + r.calls,
+        cacheHits: acc.cacheHits + r.cacheHits,
+        blocked: acc.blocked + r.blocked
+      }), { calls: 0, cacheHits: 0, blocked: 0 });
+    const todayTotals = sum(r => r.day === day && r.provider === providerId);
+    const weekTotals = sum(r => r.provider === providerId);
+    const lookups = weekTotals.calls + weekTotals.cacheHits;
+
+    return {
+      endpoint,
+      cached,
+      today: todayTotals,
+      week: weekTotals,
+      hitRate: cached && lookups > 0 ? weekTotals.cacheHits / lookups : null,
+      limit: dailyLimit(endpoint),
+      ttlHours: cached ? parseFloat(getSetting(`maps_cache_ttl_${endpoint}`, '0')) : null,
+      cacheEntries: cacheEntries[endpoint] || 0
+    };
+  });
+
+  return { day, provider: providerId, endpoints };
+}
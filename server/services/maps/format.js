@@ -0,0 +1,12 @@
+// Human-readable distance / duration, used where the backend only returns raw meters and seconds
+export function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+export function formatDuration(seconds) {
+  const totalMins = Math.round(seconds / 60);
+  const hours = Math.floor(totalMins / 60);
+  const mins = totalMins % 60;
+  if (hours === 0) return `${mins} min${mins === 1 ? '' : 's'}`;
+  return `${hours} hr${hours === 1 ? '' : 's'}${mins ? ` ${mins} min${mins === 1 ? '' : 's'}` : ''}`;
+}
@@ -0,0 +1,399 @@
+import { decodePolyline, pathLengthMeters, framePoints } from './geometry.js';
+import { formatDistance } from './format.js';
+
+// GPX, KML and GeoJSON files ⇄ map features: { markers: [{ title, position }], lines: [{ name, path }],
+// polygons: [{ name, path }] }, with paths as [{ lat, lng }]. Uploaded files become 'overlay' mapData;
+// any mapData the tools produce can be exported back to one of the three formats.
+
+const MAX_FEATURES = 500;
+// Long GPS tracks are thinned to this many points so they stay light in messages and on the map
+const MAX_PATH_POINTS = 1000;
+
+export const IMPORT_EXTENSIONS = ['.gpx', '.kml', '.geojson', '.json'];
+
+// --- Parsing ---
+
+// CDATA sections unwrapped in one pass; an unterminated section is left as is
+function unwrapCdata(text) {
+  let out = '';
+  let pos = 0;
+  for (;;) {
+    const start = text.indexOf('<![CDATA[', pos);
+    if (start === -1) break;
+    const end = text.indexOf(']]>', start + 9);
+    if (end === -1) break;
+    out += text.slice(pos, start) + text.slice(start + 9, end);
+    pos = end + 3;
+  }
+  return out + text.slice(pos);
+}
+
+function decodeXml(text) {
+  return unwrapCdata(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Every <tag ...>...</tag> (or self-closing <tag .../>) in xml, ignoring namespace prefixes.
+// One forward scan: an open tag without a closing tag ends the scan, so a malformed upload costs
+// a single pass instead of re-reading the rest of the file for every later open tag.
+function elements(xml, tag) {
+  const open = new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^<>]*?)(/?)>`, 'g');
+  const close = new RegExp(`</(?:[\\w-]+:)?${tag}\\s*>`, 'g');
+  const found = [];
+  let match;
+  while ((match = open.exec(xml))) {
+    if (match[2]) {
+      found.push({ attrs: match[1], inner: '' });
+      continue;
+    }
+    close.lastIndex = open.lastIndex;
+    const end = close.exec(xml);
+    if (!end) break;
+    found.push({ attrs: match[1], inner: xml.slice(open.lastIndex, end.index) });
+    open.lastIndex = close.lastIndex;
+  }
+  return found;
+}
+
+function childText(xml, tag) {
+  const el = elements(xml, tag)[0];
+  return el ? decodeXml(el.inner) : null;
+}
+
+function attr(attrs, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(attrs);
+  return match ? match[1] : null;
+}
+
+function validPoint(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+function simplifyPath(path) {
+  if (path.length <= MAX_PATH_POINTS) return path;
+  const step = Math.ceil(path.length / MAX_PATH_POINTS);
+  const thinned = path.filter((_, idx) => idx % step === 0);
+  if (thinned[thinned.length - 1] !== path[path.length - 1]) thinned.push(path[path.length - 1]);
+  return thinned;
+}
+
+function gpxPoints(xml, tag) {
+  return elements(xml, tag)
+    .map(el => ({ lat: parseFloat(attr(el.attrs, 'lat')), lng: parseFloat(attr(el.attrs, 'lon')) }))
+    .filter(p => validPoint(p.lat, p.lng));
+}
+
+function parseGpx(xml) {
+  const features = { markers: [], lines: [], polygons: [] };
+
+  for (const wpt of elements(xml, 'wpt')) {
+    const lat = parseFloat(attr(wpt.attrs, 'lat'));
+    const lng = parseFloat(attr(wpt.attrs, 'lon'));
+    if (validPoint(lat, lng)) {
+      features.markers.push({ title: childText(wpt.inner, 'name') || 'Waypoint', position: { lat, lng } });
+    }
+  }
+  for (const rte of elements(xml, 'rte')) {
+    const path = gpxPoints(rte.inner, 'rtept');
+    if (path.length > 1) features.lines.push({ name: childText(rte.inner.replace(/<rtept[\s\S]*/, ''), 'name') || 'Route', path });
+  }
+  for (const trk of elements(xml, 'trk')) {
+    const name = childText(trk.inner.replace(/<trkseg[\s\S]*/, ''), 'name') || 'Track';
+    const segments = elements(trk.inner, 'trkseg').map(seg => gpxPoints(seg.inner, 'trkpt')).filter(p => p.length > 1);
+    segments.forEach((path, idx) => {
+      features.lines.push({ name: segments.length > 1 ? `${name} (${idx + 1})` : name, path });
+    });
+  }
+  return features;
+}
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+function kmlPath(text) {
+  return (text || '').trim().split(/\s+/).map(tuple => {
+    const [lng, lat] = tuple.split(',').map(Number);
+    return { lat, lng };
+  }).filter(p => validPoint(p.lat, p.lng));
+}
+
+function parseKml(xml) {
+  const features = { markers: [], lines: [], polygons: [] };
+
+  for (const placemark of elements(xml, 'Placemark')) {
+    const name = childText(placemark.inner.replace(/<(?:[\w-]+:)?(?:Point|LineString|Polygon|MultiGeometry)\b[\s\S]*/, ''), 'name') || 'Placemark';
+    for (const point of elements(placemark.inner, 'Point')) {
+      const [position] = kmlPath(childText(point.inner, 'coordinates'));
+      if (position) features.markers.push({ title: name, position });
+    }
+    for (const line of elements(placemark.inner, 'LineString')) {
+      const path = kmlPath(childText(line.inner, 'coordinates'));
+      if (path.length > 1) features.lines.push({ name, path });
+    }
+    for (const polygon of elements(placemark.inner, 'Polygon')) {
+      const outer = elements(polygon.inner, 'outerBoundaryIs')[0]?.inner || polygon.inner;
+      const path = kmlPath(childText(outer, 'coordinates'));
+      if (path.length > 2) features.polygons.push({ name, path });
+    }
+  }
+  return features;
+}
+
+function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid GeoJSON');
+  }
+  const features = { markers: [], lines: [], polygons: [] };
+  const toPoint = ([lng, lat]) => ({ lat, lng });
+  const toPath = (coords) => coords.map(toPoint).filter(p => validPoint(p.lat, p.lng));
+
+  const addGeometry = (geometry, name) => {
+    if (!geometry) return;
+    switch (geometry.type) {
+      case 'Point': {
+        const position = toPoint(geometry.coordinates);
+        if (validPoint(position.lat, position.lng)) features.markers.push({ title: name, position });
+        break;
+      }
+      case 'MultiPoint':
+        toPath(geometry.coordinates).forEach(position => features.markers.push({ title: name, position }));
+        break;
+      case 'LineString':
+        features.lines.push({ name, path: toPath(geometry.coordinates) });
+        break;
+      case 'MultiLineString':
+        geometry.coordinates.forEach(line => features.lines.push({ name, path: toPath(line) }));
+        break;
+      case 'Polygon':
+        features.polygons.push({ name, path: toPath(geometry.coordinates[0] || []) });
+        break;
+      case 'MultiPolygon':
+        geometry.coordinates.forEach(rings => features.polygons.push({ name, path: toPath(rings[0] || []) }));
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(g => addGeometry(g, name));
+        break;
+    }
+  };
+
+  const featureName = (feature, fallback) => {
+    const props = feature.properties || {};
+    return String(props.name || props.title || props.Name || fallback);
+  };
+
+  if (data.type === 'FeatureCollection') {
+    (data.features || []).forEach((f, idx) => addGeometry(f.geometry, featureName(f, `Feature ${idx + 1}`)));
+  } else if (data.type === 'Feature') {
+    addGeometry(data.geometry, featureName(data, 'Feature'));
+  } else {
+    addGeometry(data, data.type || 'Geometry');
+  }
+
+  features.lines = features.lines.filter(l => l.path.length > 1);
+  features.polygons = features.polygons.filter(p => p.path.length > 2);
+  return features;
+}
+
+/**
+ * Parse an uploaded GPX, KML or GeoJSON file. The format comes from the extension, or from
+ * the content when the extension is ambiguous. Throws when nothing mappable is found.
+ */
+export function parseGeoFile(fileName, text) {
+  const ext = (fileName.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  const head = text.slice(0, 1000);
+  let format;
+  if (ext === '.gpx' || /<gpx\b/.test(head)) format = 'gpx';
+  else if (ext === '.kml' || /<kml\b/.test(head)) format = 'kml';
+  else if (ext === '.geojson' || ext === '.json' || head.trim().startsWith('{')) format = 'geojson';
+  else throw new Error(`Unsupported map file. Upload one of: ${IMPORT_EXTENSIONS.join(', ')}`);
+
+  const features = format === 'gpx' ? parseGpx(text) : format === 'kml' ? parseKml(text) : parseGeoJson(text);
+  const total = features.markers.length + features.lines.length + features.polygons.length;
+  if (total === 0) {
+    throw new Error(`No points, lines or areas found in ${fileName}`);
+  }
+
+  return {
+    format,
+    markers: features.markers.slice(0, MAX_FEATURES),
+    lines: features.lines.slice(0, MAX_FEATURES).map(l => ({ ...l, path: simplifyPath(l.path) })),
+    polygons: features.polygons.slice(0, MAX_FEATURES).map(p => ({ ...p, path: simplifyPath(p.path) })),
+    truncated: [features.markers, features.lines, features.polygons].some(list => list.length > MAX_FEATURES)
+  };
+}
+
+function allPoints(features) {
+  return [
+    ...features.markers.map(m => m.position),
+    ...features.lines.flatMap(l => l.path),
+    ...features.polygons.flatMap(p => p.path)
+  ];
+}
+
+// mapData for a stored overlay ({ id, name, markers, lines, polygons })
+export function toOverlayMapData(overlay) {
+  return {
+    type: 'overlay',
+    overlayId: overlay.id,
+    name: overlay.name,
+    ...framePoints(allPoints(overlay)),
+    markers: overlay.markers.map(m => ({ position: m.position, title: m.title })),
+    lines: overlay.lines,
+    polygons: overlay.polygons
+  };
+}
+
+// What the model sees of an overlay: names and coordinates it can pass to other map tools
+export function summarizeOverlay(overlay, maxItems = 50) {
+  const round = (p) => ({ lat: Number(p.lat.toFixed(5)), lng: Number(p.lng.toFixed(5)) });
+  return {
+    overlayId: overlay.id,
+    name: overlay.name,
+    format: overlay.format,
+    markers: overlay.markers.slice(0, maxItems).map(m => ({ name: m.title, ...round(m.position) })),
+    lines: overlay.lines.slice(0, maxItems).map(l => ({
+      name: l.name,
+      length: formatDistance(pathLengthMeters(l.path)),
+      start: round(l.path[0]),
+      end: round(l.path[l.path.length - 1])
+    })),
+    areas: overlay.polygons.slice(0, maxItems).map(p => ({ name: p.name, points: p.path.length })),
+    omitted: Math.max(overlay.markers.length - maxItems, 0) + Math.max(overlay.lines.length - maxItems, 0)
+      + Math.max(overlay.polygons.length - maxItems, 0) || undefined
+  };
+}
+
+// --- Export ---
+
+// Map features of any tool's mapData (markers, route polylines, areas, overlays, multi-step results)
+export function featuresFromMapData(mapData) {
+  const features = { markers: [], lines: [], polygons: [] };
+  if (!mapData) return features;
+
+  if (mapData.type === 'multi') {
+    for (const step of mapData.steps || []) {
+      const part = featuresFromMapData(step.mapData);
+      features.markers.push(...part.markers);
+      features.lines.push(...part.lines);
+      features.polygons.push(...part.polygons);
+    }
+    return features;
+  }
+
+  for (const marker of mapData.markers || []) {
+    if (marker.position) features.markers.push({ title: marker.title || 'Marker', position: marker.position });
+  }
+  for (const point of mapData.points || []) {
+    features.markers.push({ title: point.title || point.category || 'Point', position: point.position });
+  }
+  if (mapData.type === 'streetview' && mapData.position) {
+    features.markers.push({ title: 'Street view', position: mapData.position });
+  }
+
+  if (mapData.routes?.length > 1) {
+    mapData.routes.forEach((route, idx) => features.lines.push({
+      name: `Route ${idx + 1}${route.summary ? `: ${route.summary}` : ''}`,
+      path: decodePolyline(route.polyline)
+    }));
+  } else if (mapData.legs?.length) {
+    mapData.legs.forEach((leg, idx) => {
+      const path = (leg.polylines || []).flatMap(decodePolyline);
+      if (path.length > 1) features.lines.push({ name: leg.from && leg.to ? `${leg.from} → ${leg.to}` : `Leg ${idx + 1}`, path });
+    });
+  } else if (mapData.polyline) {
+    const from = mapData.markers?.[0]?.title;
+    const to = mapData.markers?.[mapData.markers.length - 1]?.title;
+    features.lines.push({ name: from && to ? `${from} → ${to}` : 'Route', path: decodePolyline(mapData.polyline) });
+  }
+  features.lines.push(...(mapData.lines || []));
+
+  if (mapData.polygon?.length) {
+    features.polygons.push({
+      name: mapData.minutes ? `Within ${mapData.minutes} min ${mapData.mode || ''}`.trim() : 'Area',
+      path: mapData.polygon
+    });
+  }
+  features.polygons.push(...(mapData.polygons || []));
+
+  return features;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const closeRing = (path) => {
+  const first = path[0];
+  const last = path[path.length - 1];
+  return first.lat === last.lat && first.lng === last.lng ? path : [...path, first];
+};
+
+function toGeoJson(features, name) {
+  const feature = (geometry, featureName) => ({ type: 'Feature', properties: { name: featureName }, geometry });
+  const coords = (path) => path.map(p => [p.lng, p.lat]);
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name,
+    features: [
+      ...features.markers.map(m => feature({ type: 'Point', coordinates: [m.position.lng, m.position.lat] }, m.title)),
+      ...features.lines.map(l => feature({ type: 'LineString', coordinates: coords(l.path) }, l.name)),
+      ...features.polygons.map(p => feature({ type: 'Polygon', coordinates: [coords(closeRing(p.path))] }, p.name))
+    ]
+  }, null, 2);
+}
+
+// GPX has no areas, so polygons are written as closed tracks
+function toGpx(features, name) {
+  const trkpts = (path) => path.map(p => `      <trkpt lat="${p.lat}" lon="${p.lng}"/>`).join('\n');
+  const track = (trackName, path) => `  <trk>\n    <name>${escapeXml(trackName)}</name>\n    <trkseg>\n${trkpts(path)}\n    </trkseg>\n  </trk>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="jevehome-agent" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...features.markers.map(m => `  <wpt lat="${m.position.lat}" lon="${m.position.lng}"><name>${escapeXml(m.title)}</name></wpt>`),
+    ...features.lines.map(l => track(l.name, l.path)),
+    ...features.polygons.map(p => track(p.name, closeRing(p.path))),
+    '</gpx>'
+  ].join('\n') + '\n';
+}
+
+function toKml(features, name) {
+  const coords = (path) => path.map(p => `${p.lng},${p.lat}`).join(' ');
+  const placemark = (placemarkName, geometry) => `    <Placemark>\n      <name>${escapeXml(placemarkName)}</name>\n      ${geometry}\n    </Placemark>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...features.markers.map(m => placemark(m.title, `<Point><coordinates>${m.position.lng},${m.position.lat}</coordinates></Point>`)),
+    ...features.lines.map(l => placemark(l.name, `<LineString><tessellate>1</tessellate><coordinates>${coords(l.path)}</coordinates></LineString>`)),
+    ...features.polygons.map(p => placemark(p.name, `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords(closeRing(p.path))}</coordinates></LinearRing></outerBoundaryIs></Polygon>`)),
+    '  </Document>',
+    '</kml>'
+  ].join('\n') + '\n';
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { mimeType: 'application/gpx+xml', extension: 'gpx', write: toGpx },
+  kml: { mimeType: 'application/vnd.google-earth.kml+xml', extension: 'kml', write: toKml },
+  geojson: { mimeType: 'application/geo+json', extension: 'geojson', write: toGeoJson }
+};
+
+// → { content, mimeType, extension } | null when the mapData has nothing to export
+export function exportMapData(mapData, format, name = 'map') {
+  const features = featuresFromMapData(mapData);
+  if (features.markers.length + features.lines.length + features.polygons.length === 0) return null;
+  const { mimeType, extension, write } = EXPORT_FORMATS[format];
+  return { content: write(features, name), mimeType, extension };
+}
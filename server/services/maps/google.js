@@ -0,0 +1,377 @@
+import axios from 'axios';
+import { formatDistance, formatDuration } from './format.js';
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const PLACES_URL = 'https://maps.googleapis.com/maps/api/place/nearbysearch/json';
+const PLACE_DETAILS_URL = 'https://maps.googleapis.com/maps/api/place/details/json';
+const DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+const PLACE_PHOTO_URL = 'https://maps.googleapis.com/maps/api/place/photo';
+const DISTANCE_MATRIX_URL = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+
+const PAGE_TOKEN_DELAY_MS = 2000;
+
+// Distance Matrix allows at most 25 destinations per request
+const MATRIX_BATCH_SIZE = 25;
+
+const typeMapping = {
+  hotel: 'lodging',
+  restaurant: 'restaurant',
+  attraction: 'tourist_attraction',
+  gas_station: 'gas_station'
+};
+
+// onRequest(endpoint) is told about every HTTP request (page-token retries and matrix chunks
+// included), so usage counts match what Google bills
+export function createGoogleMapsProvider({ apiKey, onRequest = () => {} }) {
+  function get(endpoint, url, config) {
+    onRequest(endpoint);
+    return axios.get(url, config);
+  }
+
+  async function geocode(address) {
+    try {
+      const response = await get('geocode', GEOCODE_URL, {
+        params: {
+          address,
+          key: apiKey
+        }
+      });
+
+      if (response.data.status === 'OK' && response.data.results.length > 0) {
+        const location = response.data.results[0].geometry.location;
+        return { lat: location.lat, lng: location.lng };
+      }
+      return null;
+    } catch (error) {
+      console.error('Geocoding error:', error);
+      return null;
+    }
+  }
+
+  async function reverseGeocode(lat, lng) {
+    try {
+      const response = await get('reverse_geocode', GEOCODE_URL, {
+        params: {
+          latlng: `${lat},${lng}`,
+          key: apiKey
+        }
+      });
+
+      if (response.data.status === 'OK' && response.data.results.length > 0) {
+        const result = response.data.results[0];
+        return {
+          address: result.formatted_address,
+          placeId: result.place_id,
+          location: { lat, lng }
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('Reverse geocoding error:', error);
+      return null;
+    }
+  }
+
+  // options: { openNow, minPrice, maxPrice (0-4), pageToken }. Returns one page of up to 20
+  // places plus the token for the next one (Google stops after 60 results).
+  async function searchPlaces(query, location, type, radius = 5000, options = {}) {
+    try {
+      const params = {
+        location: `${location.lat},${location.lng}`,
+        radius: Math.min(Math.round(radius), 50000),
+        keyword: query,
+        key: apiKey
+      };
+
+      if (type && typeMapping[type]) {
+        params.type = typeMapping[type];
+      }
+      if (options.openNow) params.opennow = true;
+      if (options.minPrice != null) params.minprice = options.minPrice;
+      if (options.maxPrice != null) params.maxprice = options.maxPrice;
+      if (options.pageToken) params.pagetoken = options.pageToken;
+
+      let response = await get('places', PLACES_URL, { params });
+      // A fresh next_page_token takes a moment to become valid
+      for (let attempt = 0; options.pageToken && response.data.status === 'INVALID_REQUEST' && attempt < 3; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, PAGE_TOKEN_DELAY_MS));
+        response = await get('places', PLACES_URL, { params });
+      }
+
+      if (response.data.status === 'OK' || response.data.status === 'ZERO_RESULTS') {
+        const places = (response.data.results || []).map(place => ({
+          placeId: place.place_id,
+          name: place.name,
+          location: {
+            lat: place.geometry.location.lat,
+            lng: place.geometry.location.lng
+          },
+          rating: place.rating || 0,
+          userRatingsTotal: place.user_ratings_total || 0,
+          address: place.vicinity,
+          priceLevel: place.price_level,
+          openNow: place.opening_hours?.open_now,
+          photo: place.photos?.[0]?.photo_reference
+            ? `${PLACE_PHOTO_URL}?maxwidth=400&photoreference=${place.photos[0].photo_reference}&key=${apiKey}`
+            : null,
+          types: place.types
+        }));
+        return { places, nextPageToken: response.data.next_page_token || null };
+      }
+      return { places: [], nextPageToken: null };
+    } catch (error) {
+      console.error('Places search error:', error);
+      return { places: [], nextPageToken: null };
+    }
+  }
+
+  async function getPlaceDetails(placeId) {
+    try {
+      const response = await get('place_details', PLACE_DETAILS_URL, {
+        params: {
+          place_id: placeId,
+          fields: 'name,formatted_address,formatted_phone_number,website,rating,reviews,photos,opening_hours,price_level,url,geometry',
+          key: apiKey
+        }
+      });
+
+      if (response.data.status === 'OK') {
+        const place = response.data.result;
+        return {
+          name: place.name,
+          address: place.formatted_address,
+          location: place.geometry?.location
+            ? { lat: place.geometry.location.lat, lng: place.geometry.location.lng }
+            : null,
+          phone: place.formatted_phone_number,
+          website: place.website,
+          rating: place.rating,
+          reviews: place.reviews?.slice(0, 3),
+          photos: place.photos?.slice(0, 5).map(p =>
+            `${PLACE_PHOTO_URL}?maxwidth=400&photoreference=${p.photo_reference}&key=${apiKey}`
+          ),
+          openingHours: place.opening_hours?.weekday_text,
+          priceLevel: place.price_level,
+          googleMapsUrl: place.url
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('Place details error:', error);
+      return null;
+    }
+  }
+
+  // options: { alternatives, avoid: ['tolls' | 'highways' | 'ferries'], departureTime, arrivalTime }
+  // Times are 'now' or epoch seconds. Google only honours arrival_time for transit.
+  async function getDirections(origin, destination, mode = 'driving', options = {}) {
+    try {
+      const { alternatives = false, avoid = [], departureTime = null, arrivalTime = null } = options;
+      const notes = [];
+      const params = {
+        origin,
+        destination,
+        mode,
+        key: apiKey
+      };
+
+      if (alternatives) params.alternatives = true;
+      if (avoid.length > 0) params.avoid = avoid.join('|');
+      if (arrivalTime && mode === 'transit') {
+        params.arrival_time = arrivalTime;
+      } else {
+        if (arrivalTime) notes.push('Arrival times only apply to transit, so this route assumes leaving now.');
+        if (departureTime || arrivalTime) params.departure_time = departureTime || 'now';
+      }
+
+      const response = await get('directions', DIRECTIONS_URL, { params });
+
+      if (response.data.status === 'OK' && response.data.routes.length > 0) {
+        const routes = response.data.routes.map(route => {
+          const leg = route.legs[0];
+          return {
+            summary: route.summary,
+            distance: leg.distance.text,
+            duration: leg.duration.text,
+            durationSeconds: leg.duration_in_traffic?.value ?? leg.duration.value,
+            // Only present for driving with a departure time
+            durationInTraffic: leg.duration_in_traffic?.text || null,
+            departureTime: leg.departure_time?.text || null,
+            arrivalTime: leg.arrival_time?.text || null,
+            polyline: route.overview_polyline.points,
+            warnings: route.warnings || []
+          };
+        });
+        const route = response.data.routes[0];
+        const leg = route.legs[0];
+
+        return {
+          ...routes[0],
+          startLocation: {
+            lat: leg.start_location.lat,
+            lng: leg.start_location.lng
+          },
+          endLocation: {
+            lat: leg.end_location.lat,
+            lng: leg.end_location.lng
+          },
+          startAddress: leg.start_address,
+          endAddress: leg.end_address,
+          steps: leg.steps.map(step => ({
+            instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
+            distance: step.distance.text,
+            duration: step.duration.text
+          })),
+          routes,
+          notes
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('Directions error:', error);
+      return null;
+    }
+  }
+
+  // Multi-stop route through every waypoint. With optimize, the intermediate stops are
+  // reordered by the Directions API (origin and destination stay fixed).
+  async function planRoute(waypoints, mode = 'driving', optimize = false, roundTrip = false) {
+    try {
+      const origin = waypoints[0];
+      const destination = roundTrip ? origin : waypoints[waypoints.length - 1];
+      const intermediate = roundTrip ? waypoints.slice(1) : waypoints.slice(1, -1);
+
+      const params = { origin, destination, mode, key: apiKey };
+      if (intermediate.length > 0) {
+        params.waypoints = `${optimize ? 'optimize:true|' : ''}${intermediate.join('|')}`;
+      }
+
+      const response = await get('directions', DIRECTIONS_URL, { params });
+
+      if (response.data.status === 'OK' && response.data.routes.length > 0) {
+        const route = response.data.routes[0];
+        // waypoint_order maps visiting order → index into the intermediate stops
+        const order = route.waypoint_order?.length === intermediate.length
+          ? route.waypoint_order
+          : intermediate.map((_, i) => i);
+        const orderedInputs = [origin, ...order.map(i => intermediate[i]), destination];
+
+        const legs = route.legs.map((leg, idx) => ({
+          from: orderedInputs[idx],
+          to: orderedInputs[idx + 1],
+          startAddress: leg.start_address,
+          endAddress: leg.end_address,
+          startLocation: { lat: leg.start_location.lat, lng: leg.start_location.lng },
+          endLocation: { lat: leg.end_location.lat, lng: leg.end_location.lng },
+          distance: leg.distance.text,
+          duration: leg.duration.text,
+          distanceMeters: leg.distance.value,
+          durationSeconds: leg.duration.value,
+          // Per-step polylines; decoded and joined client-side to draw the leg
+          polylines: leg.steps.map(step => step.polyline.points)
+        }));
+
+        const totalMeters = legs.reduce((sum, l) => sum + l.distanceMeters, 0);
+        const totalSeconds = legs.reduce((sum, l) => sum + l.durationSeconds, 0);
+
+        return {
+          legs,
+          order,
+          optimized: optimize && intermediate.length > 1,
+          totalDistance: formatDistance(totalMeters),
+          totalDuration: formatDuration(totalSeconds),
+          totalDistanceMeters: totalMeters,
+          totalDurationSeconds: totalSeconds,
+          bounds: route.bounds
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('Route planning error:', error);
+      return null;
+    }
+  }
+
+  // Every origin against every destination (addresses). Returns resolved addresses and
+  // rows[originIdx][destinationIdx] = { distance, duration, durationInTraffic, ... } or null.
+  // options: { departureTime } — 'now' or epoch seconds; traffic-aware for driving
+  async function getDistanceMatrix(origins, destinations, mode = 'driving', options = {}) {
+    try {
+      const params = {
+        origins: origins.join('|'),
+        destinations: destinations.join('|'),
+        mode,
+        key: apiKey
+      };
+      if (options.departureTime) params.departure_time = options.departureTime;
+
+      const response = await get('distance_matrix', DISTANCE_MATRIX_URL, { params });
+
+      if (response.data.status === 'OK') {
+        return {
+          origins: response.data.origin_addresses.map((address, i) => address || origins[i]),
+          destinations: response.data.destination_addresses.map((address, i) => address || destinations[i]),
+          rows: response.data.rows.map(row => row.elements.map(element => element.status === 'OK'
+            ? {
+                distance: element.distance.text,
+                duration: element.duration.text,
+                durationInTraffic: element.duration_in_traffic?.text || null,
+                distanceMeters: element.distance.value,
+                durationSeconds: element.duration_in_traffic?.value ?? element.duration.value
+              }
+            : null)),
+          notes: []
+        };
+      }
+      console.error('Distance matrix error:', response.data.status, response.data.error_message || '');
+      return null;
+    } catch (error) {
+      console.error('Distance matrix error:', error);
+      return null;
+    }
+  }
+
+  // Travel time in seconds from origin to each destination ({ lat, lng }); null where unreachable
+  async function getTravelTimes(origin, destinations, mode = 'driving') {
+    const times = [];
+    try {
+      for (let i = 0; i < destinations.length; i += MATRIX_BATCH_SIZE) {
+        const batch = destinations.slice(i, i + MATRIX_BATCH_SIZE);
+        const response = await get('distance_matrix', DISTANCE_MATRIX_URL, {
+          params: {
+            origins: `${origin.lat},${origin.lng}`,
+            destinations: batch.map(d => `${d.lat},${d.lng}`).join('|'),
+            mode,
+            key: apiKey
+          }
+        });
+
+        if (response.data.status !== 'OK') {
+          console.error('Distance matrix error:', response.data.status, response.data.error_message || '');
+          return null;
+        }
+        for (const element of response.data.rows[0].elements) {
+          times.push(element.status === 'OK' ? element.duration.value : null);
+        }
+      }
+      return times;
+    } catch (error) {
+      console.error('Distance matrix error:', error);
+      return null;
+    }
+  }
+
+  return {
+    name: 'google',
+    supportsTraffic: true,
+    supportsStreetView: true,
+    geocode,
+    reverseGeocode,
+    searchPlaces,
+    getPlaceDetails,
+    getDirections,
+    planRoute,
+    getDistanceMatrix,
+    getTravelTimes
+  };
+}
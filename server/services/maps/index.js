@@ -0,0 +1,76 @@
+import { getSetting } from '../../db/index.js';
+import { countMapsRequest } from './accounting.js';
+import { createGoogleMapsProvider } from './google.js';
+import { createOsmProvider } from './osm.js';
+
+/*
+ * Every map provider exposes the functions the map tools and /api/maps use:
+ *
+ *   geocode(address) → { lat, lng } | null
+ *   reverseGeocode(lat, lng) → { address, placeId, location } | null
+ *   searchPlaces(query, { lat, lng }, type, radius, { openNow, minPrice, maxPrice, pageToken })
+ *     → { places: [place], nextPageToken } — one page of up to 20
+ *   getPlaceDetails(placeId) → details | null
+ *   getDirections(origin, destination, mode, { alternatives, avoid, departureTime, arrivalTime })
+ *     → directions (primary route fields incl. durationSeconds, plus routes[] and notes[]) | null
+ *   planRoute(waypoints, mode, optimize, roundTrip) → route | null
+ *   getDistanceMatrix(origins, destinations, mode, { departureTime }) → { origins, destinations, rows, notes } | null
+ *   getTravelTimes(origin, [{ lat, lng }], mode) → [seconds | null] | null
+ *   supportsTraffic / supportsStreetView: whether show_traffic / show_street_view make sense
+ */
+export const MAP_PROVIDERS = {
+  google: {
+    label: 'Google Maps Platform',
+    configured: () => !!process.env.GOOGLE_MAPS_API_KEY,
+    create: () => createGoogleMapsProvider({
+      apiKey: process.env.GOOGLE_MAPS_API_KEY,
+      onRequest: endpoint => countMapsRequest('google', endpoint)
+    })
+  },
+  osm: {
+    label: 'OpenStreetMap (Nominatim, OSRM, Overpass)',
+    configured: () => true,
+    create: () => createOsmProvider({
+      nominatimUrl: (process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, ''),
+      osrmUrl: (process.env.OSRM_URL || 'https://router.project-osrm.org').replace(/\/+$/, ''),
+      overpassUrl: process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter',
+      userAgent: process.env.OSM_USER_AGENT || 'jevehome-agent/1.0',
+      nominatimIntervalMs: parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS || '1000', 10),
+      onRequest: endpoint => countMapsRequest('osm', endpoint)
+    })
+  }
+};
+
+// providerId → provider instance
+const instances = new Map();
+
+function getProviderInstance(id) {
+  if (!instances.has(id)) {
+    instances.set(id, MAP_PROVIDERS[id].create());
+  }
+  return instances.get(id);
+}
+
+// Active map provider from the map_provider setting
+export function getMapProvider() {
+  let providerId = getSetting('map_provider', 'google');
+  if (!MAP_PROVIDERS[providerId]) {
+    console.warn(`[Maps] Unknown provider "${providerId}" in settings — falling back to google`);
+    providerId = 'google';
+  }
+  return {
+    providerId,
+    provider: getProviderInstance(providerId),
+    configured: MAP_PROVIDERS[providerId].configured()
+  };
+}
+
+export function listMapProviders() {
+  return Object.entries(MAP_PROVIDERS).map(([id, p]) => ({
+    id,
+    label: p.label,
+    configured: p.configured(),
+    supportsTraffic: getProviderInstance(id).supportsTraffic,
+    supportsStreetView: getProviderInstance(id).supportsStreetView
+  }));
+}
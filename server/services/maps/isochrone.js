@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { createReachableArea, getReachableArea } from '../../db/index.js';
+import { destinationPoint, distanceMeters } from './geometry.js';
+
+// Travel-time sampling: probe points along evenly spaced bearings at increasing distances,
+// ask the provider for travel times, and place the boundary where each ray crosses the limit.
+
+const BEARINGS = 16;
+const RADIUS_FRACTIONS = [0.15, 0.3, 0.45, 0.6, 0.8, 1];
+
+// Generous upper bounds on average speed, so the outermost ring is normally unreachable
+const MAX_SPEED_KMH = {
+  driving: 90,
+  transit: 50,
+  bicycling: 22,
+  walking: 6
+};
+
+/**
+ * Approximate the area reachable from `origin` within `minutes`.
+ * getTravelTimes(origin, destinations, mode) → seconds per destination (null when unreachable),
+ * or null when the provider could not answer.
+ * Returns { polygon: [{ lat, lng }], maxRadiusMeters, samples }, or null.
+ */
+export async function sampleIsochrone(origin, mode, minutes, getTravelTimes) {
+  const limitSeconds = minutes * 60;
+  const maxRadius = (MAX_SPEED_KMH[mode] || MAX_SPEED_KMH.driving) * 1000 * (minutes / 60);
+  const radii = RADIUS_FRACTIONS.map(f => f * maxRadius);
+
+  const probes = [];
+  for (let b = 0; b < BEARINGS; b++) {
+    const bearing = (360 / BEARINGS) * b;
+    for (const radius of radii) {
+      probes.push({ bearing, radius, point: destinationPoint(origin, bearing, radius) });
+    }
+  }
+
+  const times = await getTravelTimes(origin, probes.map(p => p.point), mode);
+  if (!times || times.length !== probes.length) return null;
+
+  const polygon = [];
+  for (let b = 0; b < BEARINGS; b++) {
+    const ray = probes.slice(b * radii.length, (b + 1) * radii.length)
+      .map((probe, i) => ({ ...probe, seconds: times[b * radii.length + i] }));
+
+    // Walk outwards until the first probe that is over the limit or unreachable
+    let boundary = 0;
+    for (let i = 0; i < ray.length; i++) {
+      const { radius, seconds } = ray[i];
+      if (seconds == null || seconds > limitSeconds) {
+        const prev = i > 0 ? ray[i - 1] : { radius: 0, seconds: 0 };
+        if (seconds != null && seconds > prev.seconds) {
+          // Interpolate between the last reachable probe and this one
+          const t = (limitSeconds - prev.seconds) / (seconds - prev.seconds);
+          boundary = prev.radius + t * (radius - prev.radius);
+        } else {
+          boundary = prev.radius;
+        }
+        break;
+      }
+      boundary = radius;
+    }
+
+    polygon.push(destinationPoint(origin, ray[0].bearing, Math.max(boundary, radii[0] * 0.25)));
+  }
+
+  return {
+    polygon,
+    maxRadiusMeters: Math.max(...polygon.map(p => distanceMeters(origin, p))),
+    samples: probes.length
+  };
+}
+
+// Computed areas are stored so follow-up searches can refer to one by id. Random ids keep a
+// restarted server or another conversation from resolving an old id to a different area.
+export function rememberArea(area) {
+  const id = `area_${crypto.randomUUID()}`;
+  createReachableArea(id, area);
+  return id;
+}
+
+export function getArea(id) {
+  return getReachableArea(id);
+}
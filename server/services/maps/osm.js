@@ -0,0 +1,441 @@
+import axios from 'axios';
+import { formatDistance, formatDuration } from './format.js';
+import { distanceMeters, parseLatLng } from './geometry.js';
+
+// OpenStreetMap backend: Nominatim for geocoding and place lookups, Overpass for nearby
+// search and OSRM for routing. All three can point at self-hosted instances.
+
+// Overpass tag filters matching Google's place types
+const typeTags = {
+  hotel: '["tourism"="hotel"]',
+  restaurant: '["amenity"="restaurant"]',
+  attraction: '["tourism"="attraction"]',
+  gas_station: '["amenity"="fuel"]'
+};
+
+// Directions avoidances → OSRM exclude classes (the car profile defines all three)
+const excludeClasses = {
+  tolls: 'toll',
+  highways: 'motorway',
+  ferries: 'ferry'
+};
+
+// Same paging as Google's Nearby Search: 20 per page, 60 in total
+const PLACES_PAGE_SIZE = 20;
+const MAX_PLACE_RESULTS = 60;
+
+// OSRM ships car, foot and bike profiles; there is no transit routing
+const osrmProfiles = {
+  driving: 'driving',
+  walking: 'foot',
+  bicycling: 'bike'
+};
+
+function formatAddress(tags) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  return [street, tags['addr:city']].filter(Boolean).join(', ') || null;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// OSRM maneuver → a Google-style instruction ("Turn left onto Main Street")
+function describeManeuver(step) {
+  const { type, modifier, exit } = step.maneuver;
+  const road = step.name ? ` onto ${step.name}` : '';
+  switch (type) {
+    case 'depart': return `Head out${step.name ? ` on ${step.name}` : ''}`;
+    case 'arrive': return 'Arrive at your destination';
+    case 'roundabout':
+    case 'rotary': return `Enter the roundabout and take exit ${exit || 1}${road}`;
+    case 'new name':
+    case 'continue': return `Continue${modifier && modifier !== 'straight' ? ` ${modifier}` : ''}${road}`;
+    default: return `${capitalize(type)}${modifier ? ` ${modifier}` : ''}${road}`;
+  }
+}
+
+function boundsOf(points) {
+  return {
+    northeast: { lat: Math.max(...points.map(p => p.lat)), lng: Math.max(...points.map(p => p.lng)) },
+    southwest: { lat: Math.min(...points.map(p => p.lat)), lng: Math.min(...points.map(p => p.lng)) }
+  };
+}
+
+// onRequest(endpoint) is told about every HTTP request, e.g. one geocode per route stop
+export function createOsmProvider({ nominatimUrl, osrmUrl, overpassUrl, userAgent, nominatimIntervalMs = 1000, onRequest = () => {} }) {
+  // Nominatim and Overpass usage policies require an identifying User-Agent
+  const headers = { 'User-Agent': userAgent };
+
+  // Public Nominatim allows one request per second, so every lookup is queued and spaced out
+  const NOMINATIM_ENDPOINTS = { search: 'geocode', reverse: 'reverse_geocode', lookup: 'place_details' };
+  let nominatimQueue = Promise.resolve();
+  let lastNominatimAt = 0;
+  function nominatim(endpoint, params) {
+    const request = nominatimQueue.then(async () => {
+      const wait = lastNominatimAt + nominatimIntervalMs - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      lastNominatimAt = Date.now();
+      onRequest(NOMINATIM_ENDPOINTS[endpoint]);
+      return axios.get(`${nominatimUrl}/${endpoint}`, { params, headers });
+    });
+    nominatimQueue = request.catch(() => {});
+    return request;
+  }
+
+  async function geocode(address) {
+    // "lat,lng" strings (e.g. itinerary stops) are already coordinates
+    const coords = parseLatLng(address);
+    if (coords) return coords;
+
+    try {
+      const response = await nominatim('search', { q: address, format: 'jsonv2', limit: 1 });
+
+      if (response.data.length > 0) {
+        return { lat: parseFloat(response.data[0].lat), lng: parseFloat(response.data[0].lon) };
+      }
+      return null;
+    } catch (error) {
+      console.error('Geocoding error:', error.message);
+      return null;
+    }
+  }
+
+  async function reverseGeocode(lat, lng) {
+    try {
+      const response = await nominatim('reverse', { lat, lon: lng, format: 'jsonv2' });
+
+      if (response.data && !response.data.error) {
+        return {
+          address: response.data.display_name,
+          placeId: response.data.osm_type ? `osm:${response.data.osm_type}/${response.data.osm_id}` : null,
+          location: { lat, lng }
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('Reverse geocoding error:', error.message);
+      return null;
+    }
+  }
+
+  // options: { openNow, minPrice, maxPrice, pageToken }. OSM has no ratings, prices or evaluated
+  // opening hours, so only paging applies: the page token is an offset into the ranked results.
+  async function searchPlaces(query, location, type, radius = 5000, options = {}) {
+    try {
+      const offset = parseInt(options.pageToken, 10) || 0;
+      const around = `(around:${Math.round(radius)},${location.lat},${location.lng})`;
+      // Keep the keyword to plain words: it is used as a regex both in Overpass and below
+      const pattern = query.replace(/[^\p{L}\p{N}\s'&-]/gu, ' ').trim() || '.';
+      const typeFilter = typeTags[type] || '';
+      // The keyword can be a name ("Starbucks") or a kind of place ("cafe", "pizza")
+      const keyFilters = ['name', 'amenity', 'cuisine', 'shop', 'tourism']
+        .map(key => `nwr${around}["${key}"~"${pattern}",i]${typeFilter};`);
+      if (typeFilter) keyFilters.push(`nwr${around}${typeFilter}["name"];`);
+
+      const ql = `[out:json][timeout:25];(${keyFilters.join('')});out center ${MAX_PLACE_RESULTS * 3};`;
+      onRequest('places');
+      const response = await axios.post(overpassUrl, `data=${encodeURIComponent(ql)}`, {
+        headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      const matcher = new RegExp(pattern, 'i');
+      const ranked = (response.data.elements || [])
+        .filter(el => el.tags?.name)
+        .map(el => {
+          const position = { lat: el.lat ?? el.center?.lat, lng: el.lon ?? el.center?.lon };
+          return {
+            placeId: `osm:${el.type}/${el.id}`,
+            name: el.tags.name,
+            location: position,
+            rating: 0,
+            userRatingsTotal: 0,
+            address: formatAddress(el.tags),
+            priceLevel: undefined,
+            openNow: undefined,
+            photo: null,
+            types: [el.tags.amenity, el.tags.shop, el.tags.tourism, el.tags.cuisine].filter(Boolean),
+            // Ranking only: keyword matches first, then nearest
+            _matches: Object.values(el.tags).some(v => matcher.test(v)),
+            _distance: distanceMeters(location, position)
+          };
+        })
+        .sort((a, b) => (b._matches - a._matches) || (a._distance - b._distance))
+        .slice(0, MAX_PLACE_RESULTS)
+        .map(({ _matches, _distance, ...place }) => place);
+
+      const next = offset + PLACES_PAGE_SIZE;
+      return {
+        places: ranked.slice(offset, next),
+        nextPageToken: next < ranked.length ? String(next) : null
+      };
+    } catch (error) {
+      console.error('Places search error:', error.message);
+      return { places: [], nextPageToken: null };
+    }
+  }
+
+  async function getPlaceDetails(placeId) {
+    try {
+      const match = /^osm:(node|way|relation)\/(\d+)$/.exec(placeId);
+      if (!match) return null;
+      const [, osmType, osmId] = match;
+
+      const response = await nominatim('lookup', {
+        osm_ids: `${osmType[0].toUpperCase()}${osmId}`, format: 'jsonv2', extratags: 1
+      });
+
+      const place = response.data[0];
+      if (!place) return null;
+      const extra = place.extratags || {};
+      return {
+        name: place.name || place.display_name.split(',')[0],
+        address: place.display_name,
+        location: { lat: parseFloat(place.lat), lng: parseFloat(place.lon) },
+        phone: extra.phone || extra['contact:phone'],
+        website: extra.website || extra['contact:website'],
+        rating: undefined,
+        reviews: [],
+        photos: [],
+        openingHours: extra.opening_hours ? [extra.opening_hours] : undefined,
+        priceLevel: undefined,
+        // Same field the client reads for the Google link; here it opens the OSM object page
+        googleMapsUrl: `https://www.openstreetmap.org/${osmType}/${osmId}`
+      };
+    } catch (error) {
+      console.error('Place details error:', error.message);
+      return null;
+    }
+  }
+
+  // Geocode every stop in order; the Nominatim queue spaces the requests out
+  async function geocodeAll(addresses) {
+    const coords = [];
+    for (const address of addresses) {
+      const point = await geocode(address);
+      if (!point) {
+        console.warn(`[Maps] Could not geocode route stop "${address}"`);
+        return null;
+      }
+      coords.push(point);
+    }
+    return coords;
+  }
+
+  async function osrm(service, profile, coords, params) {
+    const path = coords.map(c => `${c.lng},${c.lat}`).join(';');
+    onRequest(service === 'table' ? 'distance_matrix' : 'directions');
+    const response = await axios.get(`${osrmUrl}/${service}/v1/${profile}/${path}`, { params, headers });
+    if (response.data.code !== 'Ok') {
+      throw new Error(`OSRM ${service} failed: ${response.data.code} ${response.data.message || ''}`.trim());
+    }
+    return response.data;
+  }
+
+  // options: { alternatives, avoid, departureTime, arrivalTime }; OSRM has no time-dependent routing
+  async function getDirections(origin, destination, mode = 'driving', options = {}) {
+    try {
+      const { alternatives = false, avoid = [], departureTime = null, arrivalTime = null } = options;
+      const profile = osrmProfiles[mode];
+      if (!profile) {
+        console.warn(`[Maps] OSM routing has no ${mode} profile`);
+        return null;
+      }
+
+      const notes = [];
+      if (departureTime || arrivalTime) {
+        notes.push('OpenStreetMap routing does not model traffic or schedules, so durations assume typical free-flowing conditions.');
+      }
+
+      const coords = await geocodeAll([origin, destination]);
+      if (!coords) return null;
+
+      const params = { overview: 'full', geometries: 'polyline', steps: true, alternatives };
+      const exclude = avoid.map(a => excludeClasses[a]).filter(Boolean);
+      if (exclude.length > 0 && profile === 'driving') params.exclude = exclude.join(',');
+
+      const data = await osrm('route', profile, coords, params);
+      const routes = data.routes.map(route => ({
+        summary: route.legs[0].summary,
+        distance: formatDistance(route.distance),
+        duration: formatDuration(route.duration),
+        durationSeconds: Math.round(route.duration),
+        durationInTraffic: null,
+        departureTime: null,
+        arrivalTime: null,
+        // OSRM's polyline geometry uses the same encoding (precision 5) as Google's
+        polyline: route.geometry,
+        warnings: []
+      }));
+      const leg = data.routes[0].legs[0];
+
+      return {
+        ...routes[0],
+        startLocation: coords[0],
+        endLocation: coords[1],
+        startAddress: origin,
+        endAddress: destination,
+        steps: leg.steps.map(step => ({
+          instruction: describeManeuver(step),
+          distance: formatDistance(step.distance),
+          duration: formatDuration(step.duration)
+        })),
+        routes,
+        notes
+      };
+    } catch (error) {
+      console.error('Directions error:', error.message);
+      return null;
+    }
+  }
+
+  // Multi-stop route; with optimize, OSRM's trip service reorders the intermediate stops
+  async function planRoute(waypoints, mode = 'driving', optimize = false, roundTrip = false) {
+    try {
+      const profile = osrmProfiles[mode];
+      if (!profile) {
+        console.warn(`[Maps] OSM routing has no ${mode} profile`);
+        return null;
+      }
+
+      const origin = waypoints[0];
+      const destination = roundTrip ? origin : waypoints[waypoints.length - 1];
+      const intermediate = roundTrip ? waypoints.slice(1) : waypoints.slice(1, -1);
+      const inputs = roundTrip ? [origin, ...intermediate] : [origin, ...intermediate, destination];
+
+      const coords = await geocodeAll(inputs);
+      if (!coords) return null;
+
+      const stepParams = { overview: 'false', geometries: 'polyline', steps: true };
+      let order = intermediate.map((_, i) => i);
+      let legsData;
+
+      if (optimize && intermediate.length > 1) {
+        const data = await osrm('trip', profile, coords, {
+          ...stepParams,
+          source: 'first',
+          destination: roundTrip ? 'any' : 'last',
+          roundtrip: roundTrip
+        });
+        // waypoints[i].waypoint_index is the visiting position of input i
+        const visit = data.waypoints
+          .map((wp, inputIdx) => ({ inputIdx, position: wp.waypoint_index }))
+          .sort((a, b) => a.position - b.position)
+          .map(v => v.inputIdx);
+        order = visit.slice(1, 1 + intermediate.length).map(i => i - 1);
+        legsData = data.trips[0].legs;
+      } else {
+        const routeCoords = roundTrip ? [...coords, coords[0]] : coords;
+        legsData = (await osrm('route', profile, routeCoords, stepParams)).routes[0].legs;
+      }
+
+      const orderedInputs = [origin, ...order.map(i => intermediate[i]), destination];
+      const orderedCoords = [coords[0], ...order.map(i => coords[i + 1]), roundTrip ? coords[0] : coords[coords.length - 1]];
+
+      const legs = legsData.map((leg, idx) => ({
+        from: orderedInputs[idx],
+        to: orderedInputs[idx + 1],
+        startAddress: orderedInputs[idx],
+        endAddress: orderedInputs[idx + 1],
+        startLocation: orderedCoords[idx],
+        endLocation: orderedCoords[idx + 1],
+        distance: formatDistance(leg.distance),
+        duration: formatDuration(leg.duration),
+        distanceMeters: leg.distance,
+        durationSeconds: leg.duration,
+        polylines: leg.steps.map(step => step.geometry)
+      }));
+
+      const totalMeters = legs.reduce((sum, l) => sum + l.distanceMeters, 0);
+      const totalSeconds = legs.reduce((sum, l) => sum + l.durationSeconds, 0);
+
+      return {
+        legs,
+        order,
+        optimized: optimize && intermediate.length > 1,
+        totalDistance: formatDistance(totalMeters),
+        totalDuration: formatDuration(totalSeconds),
+        totalDistanceMeters: totalMeters,
+        totalDurationSeconds: totalSeconds,
+        bounds: boundsOf(coords)
+      };
+    } catch (error) {
+      console.error('Route planning error:', error.message);
+      return null;
+    }
+  }
+
+  // Every origin against every destination via OSRM's table service; same shape as the Google provider
+  async function getDistanceMatrix(origins, destinations, mode = 'driving', options = {}) {
+    try {
+      const profile = osrmProfiles[mode];
+      if (!profile) {
+        console.warn(`[Maps] OSM routing has no ${mode} profile`);
+        return null;
+      }
+
+      const coords = await geocodeAll([...origins, ...destinations]);
+      if (!coords) return null;
+
+      const data = await osrm('table', profile, coords, {
+        sources: origins.map((_, i) => i).join(';'),
+        destinations: destinations.map((_, i) => origins.length + i).join(';'),
+        annotations: 'duration,distance'
+      });
+
+      return {
+        origins,
+        destinations,
+        rows: data.durations.map((row, i) => row.map((seconds, j) => seconds == null
+          ? null
+          : {
+              distance: formatDistance(data.distances[i][j]),
+              duration: formatDuration(seconds),
+              durationInTraffic: null,
+              distanceMeters: data.distances[i][j],
+              durationSeconds: seconds
+            })),
+        notes: options.departureTime
+          ? ['OpenStreetMap routing does not model traffic, so durations assume typical free-flowing conditions.']
+          : []
+      };
+    } catch (error) {
+      console.error('Distance matrix error:', error.message);
+      return null;
+    }
+  }
+
+  // Travel time in seconds from origin to each destination ({ lat, lng }) via OSRM's table service
+  async function getTravelTimes(origin, destinations, mode = 'driving') {
+    try {
+      const profile = osrmProfiles[mode];
+      if (!profile) {
+        console.warn(`[Maps] OSM routing has no ${mode} profile`);
+        return null;
+      }
+
+      const data = await osrm('table', profile, [origin, ...destinations], {
+        sources: 0,
+        annotations: 'duration'
+      });
+      return data.durations[0].slice(1);
+    } catch (error) {
+      console.error('Travel times error:', error.message);
+      return null;
+    }
+  }
+
+  return {
+    name: 'osm',
+    supportsTraffic: false,
+    supportsStreetView: false,
+    geocode,
+    reverseGeocode,
+    searchPlaces,
+    getPlaceDetails,
+    getDirections,
+    planRoute,
+    getDistanceMatrix,
+    getTravelTimes
+  };
+}
@@ -0,0 +1,112 @@
+import { searchPlaces } from '../maps.js';
+import { distanceMeters, pointInPolygon } from './geometry.js';
+import { formatDistance } from './format.js';
+import { getArea } from './isochrone.js';
+
+// Place search shared by the search_places tool and GET /api/maps/places: provider paging,
+// filters the provider cannot apply itself, ranking, and an opaque cursor for "load more".
+
+export const RANKINGS = ['relevance', 'rating', 'popularity', 'distance'];
+
+// Rating weighted by how many people rated it, so 4.6 from 2,000 reviews beats 5.0 from 3
+function popularityScore(place) {
+  return (place.rating || 0) * Math.log10(1 + (place.userRatingsTotal || 0));
+}
+
+function rankPlaces(places, rankBy) {
+  switch (rankBy) {
+    case 'rating':
+      return [...places].sort((a, b) => (b.rating || 0) - (a.rating || 0) || (b.userRatingsTotal || 0) - (a.userRatingsTotal || 0));
+    case 'popularity':
+      return [...places].sort((a, b) => popularityScore(b) - popularityScore(a));
+    case 'distance':
+      return [...places].sort((a, b) => a.distanceMeters - b.distanceMeters);
+    default:
+      return places; // provider order
+  }
+}
+
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search around `location`, following provider pages until `limit` places pass the filters.
+ * options: { type, radius, openNow, minPrice, maxPrice, minRating, rankBy, limit, pageToken, skipIds, areaId }
+ *   areaId: only keep places inside a reachable area from show_reachable_area
+ *   pageToken / skipIds: where a cursor resumes (the page to fetch, and places on it already returned)
+ * Returns { places, cursor } — at most `limit` places; cursor is null when nothing is left.
+ *
+ * rankBy orders the places within one call. Providers only page in their own order, so "load more"
+ * continues from where the provider left off and ranks that batch on its own; places on a later
+ * page are never ranked ahead of ones already returned.
+ */
+export async function findPlaces(query, location, options = {}) {
+  const { type, radius = 5000, openNow = false, minPrice = null, maxPrice = null, minRating = null, rankBy = 'relevance', areaId = null } = options;
+  const limit = Math.min(Math.max(options.limit || 20, 1), 60);
+
+  const area = areaId ? getArea(areaId) : null;
+  if (areaId && !area) {
+    throw new Error(`Unknown or expired area_id: ${areaId}`);
+  }
+
+  const matches = (place) =>
+    (!minRating || (place.rating || 0) >= minRating) &&
+    (!area || pointInPolygon(place.location, area.polygon));
+
+  const collected = [];
+  let skipIds = new Set(options.skipIds || []);
+  let pageToken = options.pageToken || null;
+  let lastPage;
+  do {
+    const page = await searchPlaces(query, location, type, radius, { openNow, minPrice, maxPrice, pageToken });
+    const matched = page.places.filter(place => matches(place) && !skipIds.has(place.placeId));
+    collected.push(...matched);
+    lastPage = { token: pageToken, places: matched, skipIds };
+    skipIds = new Set();
+    pageToken = page.nextPageToken;
+  } while (pageToken && collected.length < limit);
+
+  // Places past the limit all come from the last page: resume there, skipping what this call returns
+  const returned = collected.slice(0, limit);
+  let resume = null;
+  if (collected.length > limit) {
+    const fromLastPage = lastPage.places.filter(place => returned.includes(place)).map(place => place.placeId);
+    resume = { pageToken: lastPage.token, skipIds: [...lastPage.skipIds, ...fromLastPage] };
+  } else if (pageToken) {
+    resume = { pageToken, skipIds: [] };
+  }
+
+  const places = returned.map(place => {
+    const meters = distanceMeters(location, place.location);
+    return { ...place, distanceMeters: Math.round(meters), distance: formatDistance(meters) };
+  });
+
+  const cursor = resume
+    ? encodeCursor({ query, location, type, radius, openNow, minPrice, maxPrice, minRating, rankBy, limit, areaId, ...resume })
+    : null;
+
+  return { places: rankPlaces(places, rankBy), cursor };
+}
+
+// Next batch for a cursor from an earlier findPlaces call → { places, cursor }, or { error } when the
+// cursor is malformed or its reachable area no longer exists
+export function findMorePlaces(cursor) {
+  const state = decodeCursor(cursor);
+  if (!state?.query || !state.location || (!state.pageToken && !state.skipIds?.length)) {
+    return { error: 'Invalid cursor' };
+  }
+  if (state.areaId && !getArea(state.areaId)) {
+    return { error: 'The search area has expired; search again' };
+  }
+  const { query, location, ...options } = state;
+  return findPlaces(query, location, options);
+}
@@ -0,0 +1,146 @@
+import { framePoints } from './geometry.js';
+
+// Arbitrary lat/lng rows (show_points, MCP query results) → 'points' mapData:
+// { type: 'points', title, center, zoom, display, points: [{ position, title, category, value, details }],
+//   legend: [{ label, color, count }], valueLabel, truncated }
+// The client clusters the points and can switch to a heatmap weighted by value.
+
+const MAX_POINTS = 2000;
+const MAX_DETAIL_FIELDS = 12;
+const MAX_TEXT_LENGTH = 200;
+// Categories beyond the palette share the last entry as "Other"
+const CATEGORY_COLORS = ['#4285F4', '#34A853', '#FBBC05', '#EA4335', '#AB47BC', '#00ACC1', '#FF7043', '#9E9D24', '#78909C'];
+const OTHER_LABEL = 'Other';
+
+export const DISPLAY_MODES = ['markers', 'heatmap'];
+
+// Column names are compared without case, spaces, dashes or underscores ("Store Latitude" → "storelatitude")
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+function findColumn(keys, matches) {
+  return keys.find(key => matches(normalizeKey(key))) || null;
+}
+
+const isLatColumn = (k) => k === 'lat' || k.endsWith('latitude');
+const isLngColumn = (k) => ['lng', 'lon', 'long'].includes(k) || k.endsWith('longitude');
+const isLabelColumn = (k) => ['name', 'title', 'label'].includes(k) || k.endsWith('name');
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+// Rows as objects from the shapes tools return: an array of objects, { headers|columns, rows|data },
+// or MicroStrategy-style { charts: [{ ... }] }. Returns null when nothing looks like a table.
+function toRecords(data) {
+  if (!data) return null;
+  if (Array.isArray(data)) {
+    return data.length > 0 && data.every(row => row && typeof row === 'object' && !Array.isArray(row)) ? data : null;
+  }
+  if (typeof data !== 'object') return null;
+  if (Array.isArray(data.charts) && data.charts.length > 0) return toRecords(data.charts[0]);
+
+  const rows = data.rows || data.data;
+  if (!Array.isArray(rows)) return null;
+  const headers = data.headers || data.columns?.map(c => (typeof c === 'object' ? c.header || c.label || c.key : c));
+  if (Array.isArray(headers) && rows.every(Array.isArray)) {
+    return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+  }
+  return toRecords(rows);
+}
+
+/**
+ * Build 'points' mapData from rows with coordinate columns (lat/latitude, lng/lon/longitude).
+ * options: { title, labelField, categoryField, valueField, valueLabel, display }
+ * Returns null when the rows have no coordinates.
+ */
+export function datasetFromRows(rows, options = {}) {
+  const records = toRecords(rows);
+  if (!records) return null;
+
+  const keys = Object.keys(records[0]);
+  const latKey = findColumn(keys, isLatColumn);
+  const lngKey = findColumn(keys, isLngColumn);
+  if (!latKey || !lngKey) return null;
+  const labelKey = options.labelField && keys.includes(options.labelField) ? options.labelField : findColumn(keys, isLabelColumn);
+  const categoryKey = options.categoryField && keys.includes(options.categoryField) ? options.categoryField : null;
+  const valueKey = options.valueField && keys.includes(options.valueField) ? options.valueField : null;
+  const detailKeys = keys.filter(k => ![latKey, lngKey, labelKey, categoryKey, valueKey].includes(k)).slice(0, MAX_DETAIL_FIELDS);
+
+  const points = [];
+  for (const record of records) {
+    const lat = Number(record[latKey]);
+    const lng = Number(record[lngKey]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) continue;
+    if (lat === 0 && lng === 0) continue; // placeholder coordinates in many exports
+    const value = valueKey ? Number(record[valueKey]) : null;
+    points.push({
+      position: { lat, lng },
+      title: toText(labelKey ? record[labelKey] : null),
+      category: categoryKey ? toText(record[categoryKey]) || OTHER_LABEL : null,
+      value: Number.isFinite(value) ? value : null,
+      details: Object.fromEntries(detailKeys.map(k => [k, toText(record[k])]).filter(([, v]) => v !== null))
+    });
+    if (points.length === MAX_POINTS) break;
+  }
+  if (points.length === 0) return null;
+
+  const grouped = assignCategories(points);
+  return {
+    type: 'points',
+    title: options.title || 'Data points',
+    ...framePoints(points.map(p => p.position)),
+    display: DISPLAY_MODES.includes(options.display) ? options.display : 'markers',
+    points: grouped,
+    legend: buildLegend(grouped),
+    valueLabel: valueKey ? (options.valueLabel || valueKey) : null,
+    truncated: records.length > points.length && points.length === MAX_POINTS
+  };
+}
+
+function categoryCounts(points) {
+  const counts = new Map();
+  for (const p of points) {
+    if (p.category) counts.set(p.category, (counts.get(p.category) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+// Most common categories get their own color; the rest are folded into "Other"
+function assignCategories(points) {
+  const named = new Set(categoryCounts(points).slice(0, CATEGORY_COLORS.length - 1).map(([label]) => label));
+  return points.map(p => (p.category && !named.has(p.category) ? { ...p, category: OTHER_LABEL } : p));
+}
+
+// Named categories by size, then "Other"
+function buildLegend(points) {
+  const counts = categoryCounts(points);
+  const named = counts.filter(([label]) => label !== OTHER_LABEL);
+  const other = counts.find(([label]) => label === OTHER_LABEL);
+  return [
+    ...named.map(([label, count], idx) => ({ label, count, color: CATEGORY_COLORS[idx] })),
+    ...(other ? [{ label: OTHER_LABEL, count: other[1], color: CATEGORY_COLORS[CATEGORY_COLORS.length - 1] }] : [])
+  ];
+}
+
+// What the model sees: counts, categories, value range and a sample, never the full dataset
+export function summarizeDataset(mapData, maxItems = 20) {
+  const values = mapData.points.map(p => p.value).filter(v => v !== null);
+  return {
+    title: mapData.title,
+    points: mapData.points.length,
+    truncated: mapData.truncated || undefined,
+    categories: mapData.legend.length > 0 ? mapData.legend.map(({ label, count }) => ({ label, count })) : undefined,
+    values: values.length > 0
+      ? { label: mapData.valueLabel, min: Math.min(...values), max: Math.max(...values) }
+      : undefined,
+    sample: mapData.points.slice(0, maxItems).map(p => ({
+      title: p.title,
+      lat: Number(p.position.lat.toFixed(5)),
+      lng: Number(p.position.lng.toFixed(5)),
+      category: p.category || undefined,
+      value: p.value ?? undefined
+    }))
+  };
+}
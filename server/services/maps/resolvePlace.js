@@ -0,0 +1,36 @@
+import { geocode, getPlaceDetails } from '../maps.js';
+import { resolveNamedLocation } from '../namedLocations.js';
+
+/**
+ * Fill in a place's name, address and coordinates from whatever the caller has:
+ * provider place details for a placeId, then a named location ("home", "my office"),
+ * otherwise geocoding the address or name.
+ * Returns { name, address, location } or null when it cannot be located.
+ */
+export async function resolvePlace({ placeId = null, name = null, address = null, location = null }) {
+  let resolvedName = name;
+  let resolvedAddress = address;
+  let resolvedLocation = location;
+
+  if (!resolvedLocation && placeId) {
+    const details = await getPlaceDetails(placeId);
+    if (details) {
+      resolvedLocation = details.location;
+      resolvedAddress = resolvedAddress || details.address;
+      resolvedName = resolvedName || details.name;
+    }
+  }
+  if (!resolvedLocation) {
+    const named = resolveNamedLocation(address || name);
+    if (named) {
+      resolvedLocation = named.location;
+      resolvedAddress = resolvedAddress || named.address;
+    }
+  }
+  if (!resolvedLocation && (address || name)) {
+    resolvedLocation = await geocode(address || name);
+  }
+  if (!resolvedLocation || !resolvedName) return null;
+
+  return { name: resolvedName, address: resolvedAddress, location: resolvedLocation };
+}
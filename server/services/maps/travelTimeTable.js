@@ -0,0 +1,92 @@
+import { formatDuration } from './format.js';
+
+// Sortable HTML grid for compare_travel_times: one row per destination, one column per origin,
+// with the fastest origin highlighted. Clicking a header sorts by that column.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Fastest origin index per destination (null when no origin can reach it)
+export function closestOrigins(matrix) {
+  return matrix.destinations.map((_, d) => {
+    let best = null;
+    matrix.rows.forEach((row, o) => {
+      const cell = row[d];
+      if (cell && (best === null || cell.durationSeconds < matrix.rows[best][d].durationSeconds)) best = o;
+    });
+    return best;
+  });
+}
+
+export function buildTravelTimeArtifact(matrix, mode) {
+  const closest = closestOrigins(matrix);
+  const title = `Travel times by ${mode}`;
+
+  const headers = ['Destination', ...matrix.origins, 'Closest']
+    .map((h, i) => `<th data-col="${i}">${escapeHtml(h)}</th>`)
+    .join('');
+
+  const body = matrix.destinations.map((destination, d) => {
+    const cells = matrix.rows.map((row, o) => {
+      const cell = row[d];
+      if (!cell) return '<td data-sort="Infinity" class="none">—</td>';
+      const time = cell.durationInTraffic || cell.duration;
+      return `<td data-sort="${cell.durationSeconds}"${o === closest[d] ? ' class="best"' : ''}>${escapeHtml(time)}<span>${escapeHtml(cell.distance)}</span></td>`;
+    }).join('');
+    const best = closest[d] === null ? '—' : matrix.origins[closest[d]];
+    return `<tr><td data-sort="${escapeHtml(destination)}">${escapeHtml(destination)}</td>${cells}<td data-sort="${escapeHtml(best)}">${escapeHtml(best)}</td></tr>`;
+  }).join('');
+
+  const notes = (matrix.notes || []).map(n => `<p class="note">${escapeHtml(n)}</p>`).join('');
+
+  const html = `<!DOCTYPE html><html><head><meta charset="UTF-8">
+<style>*{margin:0;padding:0;box-sizing:border-box}body{background:#1a1a2e;color:#fff;font-family:system-ui,sans-serif;padding:20px;overflow:auto}h2{font-size:13px;color:rgba(255,255,255,0.6);text-transform:uppercase;letter-spacing:.05em;margin-bottom:12px}table{width:100%;border-collapse:collapse;font-size:13px}th{background:rgba(255,255,255,0.08);color:rgba(255,255,255,0.8);padding:10px 12px;text-align:left;font-weight:600;border-bottom:1px solid rgba(255,255,255,0.12);cursor:pointer;user-select:none}th.asc::after{content:' ▲'}th.desc::after{content:' ▼'}td{padding:9px 12px;border-bottom:1px solid rgba(255,255,255,0.06);color:rgba(255,255,255,0.85);vertical-align:top}td span{display:block;font-size:11px;color:rgba(255,255,255,0.45)}td.best{color:#34A853;font-weight:600}td.none{color:rgba(255,255,255,0.3)}tr:hover td{background:rgba(255,255,255,0.04)}.note{margin-top:12px;font-size:12px;color:rgba(255,255,255,0.5)}</style>
+</head><body>
+<h2>${escapeHtml(title)}</h2>
+<table><thead><tr>${headers}</tr></thead><tbody>${body}</tbody></table>
+${notes}
+<script>
+document.querySelectorAll('th').forEach(th=>th.addEventListener('click',()=>{
+const col=+th.dataset.col;const asc=!th.classList.contains('asc');
+document.querySelectorAll('th').forEach(h=>h.classList.remove('asc','desc'));th.classList.add(asc?'asc':'desc');
+const tbody=document.querySelector('tbody');const key=r=>r.children[col].dataset.sort;
+const rows=[...tbody.rows].sort((a,b)=>{const x=key(a),y=key(b);const nx=Number(x),ny=Number(y);
+const c=!isNaN(nx)&&!isNaN(ny)?nx-ny:x.localeCompare(y);return asc?c:-c;});
+rows.forEach(r=>tbody.appendChild(r));}));
+</script></body></html>`;
+
+  return { title, html, type: 'html' };
+}
+
+// Compact text the model can reason over: fastest origin per destination and each origin's average
+export function summarizeTravelTimes(matrix) {
+  const closest = closestOrigins(matrix);
+  const byDestination = matrix.destinations.map((destination, d) => {
+    const o = closest[d];
+    return o === null
+      ? { destination, closestOrigin: null }
+      : {
+          destination,
+          closestOrigin: matrix.origins[o],
+          duration: matrix.rows[o][d].durationInTraffic || matrix.rows[o][d].duration,
+          distance: matrix.rows[o][d].distance
+        };
+  });
+  const byOrigin = matrix.origins.map((origin, o) => {
+    const reachable = matrix.rows[o].filter(Boolean);
+    const avg = reachable.length
+      ? reachable.reduce((sum, c) => sum + c.durationSeconds, 0) / reachable.length
+      : null;
+    return {
+      origin,
+      averageDuration: avg === null ? null : formatDuration(avg),
+      closestFor: closest.filter(c => c === o).length
+    };
+  });
+  return { byDestination, byOrigin };
+}
@@ -0,0 +1,68 @@
+import { distanceMeters } from './geometry.js';
+
+const MAX_TITLE_LENGTH = 200;
+
+function isLatLng(value) {
+  return value && Number.isFinite(value.lat) && Number.isFinite(value.lng)
+    && Math.abs(value.lat) <= 90 && Math.abs(value.lng) <= 180;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TITLE_LENGTH) : null;
+}
+
+/**
+ * What the user is looking at, as reported by the client's MapView after a pan, zoom or marker click:
+ * { center, zoom, bounds: { north, south, east, west }, selectedMarker?: { title, position, placeId, address } }.
+ * Returns null when the value is missing or malformed.
+ */
+export function parseMapView(value) {
+  if (!value || typeof value !== 'object' || !isLatLng(value.center)) return null;
+  const { bounds } = value;
+  if (!bounds || ![bounds.north, bounds.south, bounds.east, bounds.west].every(Number.isFinite) || bounds.north < bounds.south) {
+    return null;
+  }
+
+  const marker = value.selectedMarker;
+  const selectedMarker = marker && isLatLng(marker.position)
+    ? {
+        title: cleanText(marker.title),
+        position: { lat: marker.position.lat, lng: marker.position.lng },
+        placeId: cleanText(marker.placeId),
+        address: cleanText(marker.address)
+      }
+    : null;
+
+  return {
+    center: { lat: value.center.lat, lng: value.center.lng },
+    zoom: Number.isFinite(value.zoom) ? Math.round(value.zoom) : null,
+    bounds: { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west },
+    selectedMarker
+  };
+}
+
+// Distance from the center to the nearest edge of the visible area, so a search stays inside what is on screen
+export function viewportRadiusMeters(view) {
+  const { center, bounds } = view;
+  const toEdge = Math.min(
+    distanceMeters(center, { lat: bounds.north, lng: center.lng }),
+    distanceMeters(center, { lat: center.lat, lng: bounds.east })
+  );
+  return Math.max(100, Math.min(50000, Math.round(toEdge)));
+}
+
+// System prompt section describing the user's current map view
+export function describeMapView(view) {
+  const fmt = (n) => n.toFixed(5);
+  const lines = [
+    `The user is looking at a map centered on ${fmt(view.center.lat)},${fmt(view.center.lng)}${view.zoom ? ` at zoom ${view.zoom}` : ''}`
+      + `, showing north ${fmt(view.bounds.north)}, south ${fmt(view.bounds.south)}, east ${fmt(view.bounds.east)}, west ${fmt(view.bounds.west)}`
+      + ` (about ${viewportRadiusMeters(view)} m from the center to the nearest edge).`
+  ];
+  if (view.selectedMarker) {
+    const m = view.selectedMarker;
+    lines.push(`They selected the marker "${m.title || 'untitled'}" at ${fmt(m.position.lat)},${fmt(m.position.lng)}`
+      + `${m.address ? `, ${m.address}` : ''}${m.placeId ? ` (place_id ${m.placeId})` : ''}.`);
+  }
+  return lines.join('\n');
+}
@@ -155,7 +155,7 @@ export function isMcpTool(name) {
   return toolRegistry.has(name);
 }
 
-export async function callMcpTool(name, args) {
+export async function callMcpTool(name, args, signal = null) {
   const reg = toolRegistry.get(name);
   if (!reg) {
     return { error: `Unknown MCP tool: ${name}` };
@@ -168,7 +168,7 @@ export async function callMcpTool(name, args) {
   }
 
   try {
-    const result = await entry.client.callTool({ name: originalName, arguments: args }, undefined, { timeout: 120000 });
+    const result = await entry.client.callTool({ name: originalName, arguments: args }, undefined, { timeout: 120000, signal: signal || undefined });
 
     if (result.isError) {
       const errorText = result.content
@@ -0,0 +1,69 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createNamedLocation, getNamedLocationByName, getNamedLocations, updateNamedLocation
+} from '../db/index.js';
+import { geocode, reverseGeocode } from './maps.js';
+
+// "Home", " my office ", "the Office." → "home", "office"
+export function normalizeLocationName(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^(my|the|our)\s+/, '')
+    .replace(/[.!?]+$/, '')
+    .trim();
+}
+
+/**
+ * Store (or update) a name for a place: coordinates come from the given location or by
+ * geocoding the address, and a missing address from reverse geocoding.
+ * Returns { location, created } or null when the place cannot be located.
+ */
+export async function saveNamedLocation({ name, address = null, location = null }) {
+  const cleanName = normalizeLocationName(name);
+  if (!cleanName) return null;
+
+  let coords = location;
+  let resolvedAddress = address?.trim() || null;
+  if (!coords && resolvedAddress) {
+    coords = await geocode(resolvedAddress);
+  }
+  if (!coords) return null;
+  if (!resolvedAddress) {
+    const found = await reverseGeocode(coords.lat, coords.lng);
+    resolvedAddress = found?.address || `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`;
+  }
+
+  const existing = getNamedLocationByName(cleanName);
+  if (existing) {
+    const updated = updateNamedLocation(existing.id, { address: resolvedAddress, lat: coords.lat, lng: coords.lng });
+    return { location: updated, created: false };
+  }
+  const created = createNamedLocation(uuidv4(), cleanName, resolvedAddress, coords.lat, coords.lng);
+  console.log(`[NamedLocations] Saved "${created.name}" as ${resolvedAddress}`);
+  return { location: created, created: true };
+}
+
+// The named location a tool argument refers to ("home", "my office"), or null
+export function resolveNamedLocation(text) {
+  const name = normalizeLocationName(text);
+  return name ? getNamedLocationByName(name) : null;
+}
+
+// Coordinates for a location argument: named locations first, then the map provider's geocoder
+export async function locate(text) {
+  const named = resolveNamedLocation(text);
+  if (named) return named.location;
+  return geocode(text);
+}
+
+// Origin/destination for a directions request: a named location becomes "lat,lng" so it is never geocoded
+export function toRouteEndpoint(text) {
+  const named = resolveNamedLocation(text);
+  return named ? `${named.location.lat},${named.location.lng}` : text;
+}
+
+// One line per name for the system prompt
+export function describeNamedLocations() {
+  return getNamedLocations().map(l => `- "${l.name}": ${l.address} (lat: ${l.location.lat}, lng: ${l.location.lng})`);
+}
@@ -0,0 +1,57 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createSavedPlace, getSavedPlace, getSavedPlaceByPlaceId, getSavedPlaces, updateSavedPlace
+} from '../db/index.js';
+import { resolvePlace } from './maps/resolvePlace.js';
+
+// Tags arrive as an array or a comma-separated string; store them trimmed, lowercase and unique
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Save a place, filling in what is missing: coordinates and address from the provider's
+ * place details (placeId) or by geocoding the address or name.
+ * Saving a place that is already bookmarked merges the notes and tags into the existing entry.
+ * Returns { place, created } or null when the place cannot be located.
+ */
+export async function savePlace({ placeId = null, name, address = null, location = null, notes = null, tags = [] }) {
+  const tagList = normalizeTags(tags);
+
+  if (placeId) {
+    const existing = getSavedPlaceByPlaceId(placeId);
+    if (existing) {
+      const place = updateSavedPlace(existing.id, {
+        notes: notes || existing.notes,
+        tags: [...new Set([...existing.tags, ...tagList])]
+      });
+      return { place, created: false };
+    }
+  }
+
+  const resolved = await resolvePlace({ placeId, name, address, location });
+  if (!resolved) return null;
+
+  const place = createSavedPlace(
+    uuidv4(), placeId, resolved.name, resolved.address, resolved.location.lat, resolved.location.lng, notes, tagList
+  );
+  console.log(`[SavedPlaces] Saved "${place.name}"`);
+  return { place, created: true };
+}
+
+// By id, else by exact (case-insensitive) name → { place } when exactly one matches. Otherwise
+// { place: null, candidates, sameName }: the places sharing that name (sameName), or partial matches to suggest
+export function findSavedPlace(idOrName) {
+  if (!idOrName) return { place: null, candidates: [], sameName: false };
+  const byId = getSavedPlace(idOrName);
+  if (byId) return { place: byId, candidates: [], sameName: false };
+
+  const needle = String(idOrName).trim().toLowerCase();
+  const partial = getSavedPlaces({ query: needle });
+  const exact = partial.filter(p => p.name.toLowerCase() === needle);
+  if (exact.length === 1) return { place: exact[0], candidates: [], sameName: false };
+  return exact.length > 1
+    ? { place: null, candidates: exact, sameName: true }
+    : { place: null, candidates: partial, sameName: false };
+}
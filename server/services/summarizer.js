@@ -0,0 +1,62 @@
+import { summarizeConversation } from './gemini.js';
+import { getSetting, getConversationSummary, updateConversationSummary } from '../db/index.js';
+
+// Rough token estimate — good enough for budgeting without a tokenizer round-trip
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(msg) {
+  const mapData = typeof msg.map_data === 'string' ? msg.map_data : JSON.stringify(msg.map_data || '');
+  // Map payloads are only described in a short line in the prompt, so count them lightly
+  return estimateTokens(msg.content) + Math.min(estimateTokens(mapData), 50);
+}
+
+/**
+ * Returns the history to send verbatim plus the rolling summary of everything older.
+ *
+ * Messages after summary_message_id are kept as-is until they exceed the token budget;
+ * then the oldest of them are folded into the summary until they fit in half the budget,
+ * so the summary is only rewritten every few turns rather than on every message.
+ */
+export async function condenseHistory(conversationId, messages) {
+  const budget = parseInt(getSetting('history_token_budget', '6000'));
+  const state = getConversationSummary(conversationId);
+  let summary = state?.summary || null;
+  const coveredId = state?.summary_message_id || 0;
+
+  const pending = messages.filter(m => m.id > coveredId);
+  const pendingTokens = pending.reduce((sum, m) => sum + messageTokens(m), 0);
+
+  if (pendingTokens <= budget) {
+    return { history: pending, summary };
+  }
+
+  // Keep the newest turns that fit in half the budget; everything before them gets summarized
+  let keepFrom = pending.length;
+  let keptTokens = 0;
+  while (keepFrom > 0 && keptTokens + messageTokens(pending[keepFrom - 1]) <= budget / 2) {
+    keepFrom--;
+    keptTokens += messageTokens(pending[keepFrom]);
+  }
+  // Never start the verbatim history on an assistant turn
+  while (keepFrom < pending.length && pending[keepFrom].role === 'assistant') keepFrom++;
+
+  const toFold = pending.slice(0, keepFrom);
+  if (toFold.length === 0) {
+    return { history: pending, summary };
+  }
+
+  try {
+    console.log(`[Summary] Folding ${toFold.length} message(s) into the summary for ${conversationId}`);
+    summary = await summarizeConversation(summary, toFold);
+    updateConversationSummary(conversationId, summary, toFold[toFold.length - 1].id);
+    return { history: pending.slice(keepFrom), summary };
+  } catch (error) {
+    // Better an oversized prompt than silently losing context
+    console.error('[Summary] Summarization failed, sending full history:', error.message);
+    return { history: pending, summary };
+  }
+}
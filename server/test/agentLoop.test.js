@@ -0,0 +1,157 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// A throwaway database and a scripted model; every tool the script calls is stubbed
+const dbPath = path.join(os.tmpdir(), `agent-loop-test-${process.pid}.db`);
+const fixturePath = path.join(os.tmpdir(), `agent-loop-test-${process.pid}.json`);
+process.env.DATABASE_PATH = dbPath;
+process.env.LLM_PROVIDER = 'fake';
+process.env.FAKE_LLM_FIXTURE = fixturePath;
+
+// chat entries are consumed in order across the tests
+fs.writeFileSync(fixturePath, JSON.stringify({
+  chat: [
+    // Reflexion: a low-confidence answer without tools is retried. The retry ends with an empty reply,
+    // the summary requested after it is empty too, and the route falls back to a canned reply
+    { text: "I'm not sure." },
+    { text: '', functionCalls: [{ name: 'search_documents', args: { query: 'parking rules' } }] },
+    { text: '' },
+    { text: '' },
+    // Approval: send_email waits for the user, who edits the recipient
+    { text: '', functionCalls: [{ name: 'send_email', args: { to: 'bob@example.com', subject: 'Lunch', body: 'Noon?' } }] },
+    { text: 'Sent the invitation to Alice.' },
+    // Cancellation: the user closes the stream while send_email waits for approval
+    { text: '', functionCalls: [{ name: 'send_email', args: { to: 'carol@example.com', subject: 'Dinner', body: '7pm?' } }] }
+  ],
+  generate: [{ text: 'Parking rules' }, { text: 'Lunch invitation' }, { text: 'Dinner invitation' }],
+  tools: {
+    search_documents: { success: true, message: 'Found 1 matching document' },
+    send_email: { success: true, message: 'Email sent' }
+  }
+}));
+
+const { getConversation, getMessages, setSetting } = await import('../db/index.js');
+const { default: chatRoutes } = await import('../routes/chat.js');
+
+after(() => {
+  fs.rmSync(dbPath, { force: true });
+  fs.rmSync(fixturePath, { force: true });
+});
+
+function listen() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRoutes);
+  const server = app.listen(0);
+  return { server, base: `http://127.0.0.1:${server.address().port}/api/chat` };
+}
+
+// POST /api/chat and read server-sent events as they arrive; onEvent may act on the run mid-stream
+async function postChat(base, body, onEvent = () => {}, signal = undefined) {
+  const response = await fetch(base, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (!line.startsWith('data: ')) continue;
+      const event = JSON.parse(line.slice(6));
+      events.push(event);
+      await onEvent(event);
+    }
+  }
+  return events;
+}
+
+test('an unsure answer is retried with tools, and an empty final reply gets the fallback text', async () => {
+  setSetting('max_retries', '1');
+  const { server, base } = listen();
+  try {
+    const events = await postChat(base, { message: 'What are the parking rules?' });
+    const retry = events.find(e => e.type === 'retry');
+    assert.equal(retry.attempt, 1);
+    // The unsure answer was streamed, then discarded when the retry started
+    assert.ok(events.some(e => e.type === 'delta' && e.reset));
+
+    const done = events.at(-1);
+    assert.equal(done.type, 'done');
+    assert.equal(done.reply, 'I retrieved the information successfully.');
+
+    const [, assistant] = getConversation(done.conversationId).messages;
+    assert.equal(assistant.content, 'I retrieved the information successfully.');
+    assert.deepEqual(assistant.tool_calls.map(tc => [tc.kind, tc.name]), [['retry', 'retry'], ['tool_call', 'search_documents']]);
+  } finally {
+    server.close();
+  }
+});
+
+test('a gated tool call pauses until the user approves it, and runs with the edited arguments', async () => {
+  const { server, base } = listen();
+  try {
+    const events = await postChat(base, { message: 'Invite Bob to lunch' }, async (event) => {
+      if (event.type !== 'approval_required') return;
+      assert.equal(event.name, 'send_email');
+      const response = await fetch(`${base}/runs/${event.runId}/approvals/${event.callId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ approved: true, args: { ...event.args, to: 'alice@example.com' } })
+      });
+      assert.equal(response.status, 200);
+    });
+
+    const types = events.map(e => e.type);
+    assert.ok(types.indexOf('approval_required') < types.indexOf('approval_resolved'));
+    assert.ok(types.indexOf('approval_resolved') < types.indexOf('tool_result'));
+    assert.equal(events.find(e => e.type === 'approval_resolved').decision, 'edited');
+    assert.equal(events.at(-1).reply, 'Sent the invitation to Alice.');
+
+    const [, assistant] = getConversation(events.at(-1).conversationId).messages;
+    const [call] = assistant.tool_calls;
+    assert.equal(call.name, 'send_email');
+    assert.equal(call.approval, 'edited');
+    assert.equal(call.args.to, 'alice@example.com');
+    assert.equal(call.result_summary, 'Email sent');
+  } finally {
+    server.close();
+  }
+});
+
+test('a call interrupted by cancelling the run is persisted as cancelled', async () => {
+  const { server, base } = listen();
+  const controller = new AbortController();
+  let conversationId = null;
+  try {
+    await postChat(base, { message: 'Invite Carol to dinner' }, (event) => {
+      if (event.type === 'conversation') conversationId = event.conversationId;
+      if (event.type === 'approval_required') controller.abort();
+    }, controller.signal).catch(error => assert.equal(error.name, 'AbortError'));
+
+    // The server saves the partial run once it notices the closed stream
+    let assistant;
+    for (let i = 0; i < 50 && !assistant; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assistant = getMessages(conversationId).find(m => m.role === 'assistant');
+    }
+    assert.equal(assistant.status, 'cancelled');
+
+    const [call] = getConversation(conversationId).messages[1].tool_calls;
+    assert.equal(call.name, 'send_email');
+    assert.equal(call.cancelled, true);
+    assert.equal(call.result_summary, 'Cancelled');
+  } finally {
+    server.close();
+  }
+});
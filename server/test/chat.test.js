@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+
+// A throwaway database and the scripted coffee-search run: no model or maps traffic at all
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dbPath = path.join(os.tmpdir(), `chat-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.LLM_PROVIDER = 'fake';
+process.env.FAKE_LLM_FIXTURE = path.join(__dirname, '..', 'fixtures', 'llm', 'coffee-search.json');
+
+const { getConversation } = await import('../db/index.js');
+const { default: chatRoutes } = await import('../routes/chat.js');
+
+after(() => fs.rmSync(dbPath, { force: true }));
+
+function listen() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRoutes);
+  const server = app.listen(0);
+  return { server, base: `http://127.0.0.1:${server.address().port}/api/chat` };
+}
+
+// POST /api/chat and collect every server-sent event until the stream ends
+async function postChat(base, body) {
+  const response = await fetch(base, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  return text.split('\n\n').filter(chunk => chunk.startsWith('data: ')).map(chunk => JSON.parse(chunk.slice(6)));
+}
+
+test('a chat run streams its steps and reply, and persists the message and its tool calls', async () => {
+  const { server, base } = listen();
+  try {
+    const events = await postChat(base, { message: 'Coffee near Union Square?' });
+    // Step events carry their own type (tool_call, tool_result, ...)
+    const types = events.map(e => e.type).filter((type, i, all) => type !== all[i - 1]);
+    assert.deepEqual(types, ['conversation', 'tool_call', 'tool_result', 'delta', 'done']);
+
+    const [call, result] = events.filter(e => e.type === 'tool_call' || e.type === 'tool_result');
+    assert.equal(call.name, 'search_places');
+    assert.equal(call.callId, result.callId);
+    assert.match(result.summary, /Found 2 places/);
+
+    const expectedReply = 'I found two coffee shops near Union Square. **Blue Bottle Coffee** has the best rating (4.6) and is open now.';
+    const streamed = events.filter(e => e.type === 'delta').map(e => e.text).join('');
+    assert.equal(streamed, expectedReply);
+
+    const done = events.at(-1);
+    assert.equal(done.reply, expectedReply);
+    assert.equal(done.isNewConversation, true);
+    assert.equal(done.mapData.type, 'places');
+    assert.equal(done.mapData.markers.length, 2);
+
+    const conversation = getConversation(done.conversationId);
+    assert.equal(conversation.title, 'Coffee near Union Square');
+    assert.deepEqual(conversation.messages.map(m => m.role), ['user', 'assistant']);
+    const [toolCall] = conversation.messages[1].tool_calls;
+    assert.equal(toolCall.name, 'search_places');
+    assert.deepEqual(toolCall.args, { query: 'coffee', location: 'Union Square, San Francisco' });
+    assert.match(toolCall.result_summary, /Found 2 places/);
+    assert.equal(toolCall.error, null);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGeoFile } from '../services/maps/geoFiles.js';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="38.9" lon="-77.2"><name><![CDATA[Trailhead & lot]]></name></wpt>
+  <wpt lat="38.91" lon="-77.21"/>
+  <trk>
+    <name>Morning ride</name>
+    <trkseg>
+      <trkpt lat="38.9" lon="-77.2"/>
+      <trkpt lat="38.95" lon="-77.25"><ele>100</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name>Office &amp; lab</name><Point><coordinates>-77.2,38.9,0</coordinates></Point></Placemark>
+  <Placemark>
+    <name>Campus</name>
+    <Polygon><outerBoundaryIs><LinearRing>
+      <coordinates>-77.2,38.9 -77.1,38.9 -77.1,39.0 -77.2,38.9</coordinates>
+    </LinearRing></outerBoundaryIs></Polygon>
+  </Placemark>
+</Document></kml>`;
+
+test('GPX waypoints and tracks become markers and lines', () => {
+  const result = parseGeoFile('ride.gpx', GPX);
+  assert.equal(result.format, 'gpx');
+  assert.deepEqual(result.markers, [
+    { title: 'Trailhead & lot', position: { lat: 38.9, lng: -77.2 } },
+    { title: 'Waypoint', position: { lat: 38.91, lng: -77.21 } }
+  ]);
+  assert.equal(result.lines.length, 1);
+  assert.equal(result.lines[0].name, 'Morning ride');
+  assert.deepEqual(result.lines[0].path, [{ lat: 38.9, lng: -77.2 }, { lat: 38.95, lng: -77.25 }]);
+});
+
+test('KML placemarks become markers and areas', () => {
+  const result = parseGeoFile('places.kml', KML);
+  assert.equal(result.format, 'kml');
+  assert.deepEqual(result.markers, [{ title: 'Office & lab', position: { lat: 38.9, lng: -77.2 } }]);
+  assert.equal(result.polygons.length, 1);
+  assert.equal(result.polygons[0].name, 'Campus');
+  assert.equal(result.polygons[0].path.length, 4);
+});
+
+test('GeoJSON features keep their names, and invalid JSON is rejected', () => {
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Stop' }, geometry: { type: 'Point', coordinates: [-77.2, 38.9] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[-77.2, 38.9], [-77.3, 39]] } }
+    ]
+  });
+  const result = parseGeoFile('trip.geojson', geojson);
+  assert.deepEqual(result.markers, [{ title: 'Stop', position: { lat: 38.9, lng: -77.2 } }]);
+  assert.equal(result.lines[0].name, 'Feature 2');
+  assert.throws(() => parseGeoFile('trip.geojson', '{ nope'), /not valid GeoJSON/);
+});
+
+test('malformed XML uploads are parsed in linear time', () => {
+  // Each of these used to take seconds per 100 KB; uploads may be 5 MB
+  const inputs = [
+    ['open.gpx', '<gpx>' + '<trk>'.repeat(200000)],
+    ['attrs.gpx', '<gpx>' + '<wpt lat="1"'.repeat(100000)],
+    ['cdata.gpx', '<gpx><wpt lat="1" lon="2"><name>' + '<![CDATA['.repeat(100000) + '</name></wpt></gpx>'],
+    ['open.kml', '<kml>' + '<Placemark>'.repeat(100000)]
+  ];
+  for (const [fileName, text] of inputs) {
+    const startedAt = Date.now();
+    try {
+      parseGeoFile(fileName, text);
+    } catch {
+      // Nothing mappable is fine; only the time matters
+    }
+    assert.ok(Date.now() - startedAt < 500, `${fileName} (${text.length} bytes) took ${Date.now() - startedAt} ms`);
+  }
+});
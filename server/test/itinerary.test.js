@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+// A throwaway database; OSRM answers every leg with a 30 minute drive
+const dbPath = path.join(os.tmpdir(), `itinerary-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+
+const routeRequests = [];
+axios.defaults.adapter = async (config) => {
+  routeRequests.push(config.url.split('/').pop());
+  const data = { code: 'Ok', routes: [{ distance: 5000, duration: 1800, geometry: '_p~iF~ps|U_ulLnnqC', legs: [{ summary: '', steps: [] }] }] };
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+const { setSetting } = await import('../db/index.js');
+const { createItinerary, addStop, editStop, scheduleTrip, buildIcs } = await import('../services/itinerary.js');
+
+after(() => fs.rmSync(dbPath, { force: true }));
+
+const stop = (id, fields) => ({
+  id, name: id, address: null, notes: null, location: { lat: 38.9, lng: -77.2 }, arriveTime: null, travel: null, ...fields
+});
+
+test('a day that runs past midnight schedules and exports its late stops on the next date', () => {
+  const trip = {
+    id: 'trip-1',
+    title: 'New Year',
+    startDate: '2026-12-31',
+    days: [{
+      dayIndex: 1,
+      date: '2026-12-31',
+      stops: [
+        stop('Dinner', { arriveTime: '22:30', durationMinutes: 120 }),
+        stop('Fireworks', { durationMinutes: 60, travel: { durationSeconds: 1800, duration: '30 mins', distance: '5 km' } })
+      ]
+    }]
+  };
+
+  const [dinner, fireworks] = scheduleTrip(trip).days[0].stops;
+  assert.equal(dinner.scheduledArrival, '22:30');
+  assert.equal(dinner.scheduledDeparture, '00:30');
+  assert.equal(fireworks.scheduledArrival, '01:00');
+  assert.equal(fireworks.scheduledDeparture, '02:00');
+  assert.equal(fireworks.arrivalMinutes, 25 * 60);
+
+  const ics = buildIcs(trip);
+  const starts = ics.match(/^DTSTART:.*$/gm).map(line => line.trim());
+  assert.deepEqual(starts, ['DTSTART:20261231T223000', 'DTSTART:20270101T010000']);
+  assert.match(ics, /DURATION:PT60M\r\n/);
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('moving a stop to another day recomputes the travel legs on both days', async () => {
+  setSetting('map_provider', 'osm');
+  const trip = createItinerary('Weekend', '2026-06-01', 2);
+  const add = (name, address) => addStop(trip.id, 1, { name, address, durationMinutes: 60 });
+  const { stopId: museum } = await add('Museum', '38.9,-77.2');
+  const { stopId: lunch } = await add('Lunch', '38.91,-77.21');
+  const { stopId: park, trip: before } = await add('Park', '38.92,-77.22');
+  assert.deepEqual(before.days[0].stops.map(s => s.travel?.fromStopId ?? null), [null, museum, lunch]);
+
+  // Lunch moves to day 2: Park now follows Museum, and Lunch starts day 2 without a leg
+  routeRequests.length = 0;
+  let updated = await editStop(trip.id, lunch, { dayIndex: 2 });
+  assert.deepEqual(updated.days[0].stops.map(s => s.id), [museum, park]);
+  assert.equal(updated.days[0].stops[1].travel.fromStopId, museum);
+  assert.deepEqual(updated.days[1].stops.map(s => [s.id, s.travel]), [[lunch, null]]);
+  assert.equal(routeRequests.length, 1);
+
+  // Park moves in front of Lunch on day 2: only the Park → Lunch leg is new
+  routeRequests.length = 0;
+  updated = await editStop(trip.id, park, { dayIndex: 2, position: 1 });
+  assert.deepEqual(updated.days[0].stops.map(s => [s.id, s.travel]), [[museum, null]]);
+  assert.deepEqual(updated.days[1].stops.map(s => s.id), [park, lunch]);
+  assert.equal(updated.days[1].stops[1].travel.fromStopId, park);
+  assert.equal(updated.days[1].stops[1].travel.durationSeconds, 1800);
+  assert.equal(routeRequests.length, 1);
+
+  const schedule = scheduleTrip(updated).days[1].stops;
+  assert.deepEqual(schedule.map(s => [s.scheduledArrival, s.scheduledDeparture]), [['09:00', '10:00'], ['10:30', '11:30']]);
+});
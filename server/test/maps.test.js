@@ -0,0 +1,107 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import axios from 'axios';
+
+// A throwaway database, and no real Nominatim traffic
+const dbPath = path.join(os.tmpdir(), `maps-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.NOMINATIM_MIN_INTERVAL_MS = '0';
+
+const { setSetting, getMapsUsageCount } = await import('../db/index.js');
+const { default: mapsRoutes } = await import('../routes/maps.js');
+const { createOsmProvider } = await import('../services/maps/osm.js');
+const { getTravelTimes, geocode } = await import('../services/maps.js');
+
+const requests = [];
+axios.defaults.adapter = async (config) => {
+  requests.push({ url: config.url, params: config.params, at: Date.now() });
+  let data = [{ lat: '38.9', lon: '-77.2' }];
+  if (config.url.endsWith('/lookup')) {
+    data = [{ name: 'Corner Cafe', display_name: 'Corner Cafe, 1 Main St', lat: '38.9', lon: '-77.2', extratags: {} }];
+  } else if (config.url.includes('geocode/json')) {
+    data = { status: 'OK', results: [{ geometry: { location: { lat: 38.9, lng: -77.2 } } }] };
+  } else if (config.url.includes('distancematrix')) {
+    const count = config.params.destinations.split('|').length;
+    data = { status: 'OK', rows: [{ elements: Array.from({ length: count }, () => ({ status: 'OK', duration: { value: 60 } })) }] };
+  }
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+after(() => fs.rmSync(dbPath, { force: true }));
+
+function listen() {
+  const app = express();
+  app.use('/api/maps', mapsRoutes);
+  const server = app.listen(0);
+  return { server, base: `http://127.0.0.1:${server.address().port}/api/maps` };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('place details resolve an encoded OSM place ID', async () => {
+  setSetting('map_provider', 'osm');
+  const { server, base } = listen();
+  try {
+    const placeId = 'osm:node/123';
+    const response = await fetch(`${base}/places/${encodeURIComponent(placeId)}`);
+    assert.equal(response.status, 200);
+    const details = await response.json();
+    assert.equal(details.name, 'Corner Cafe');
+    assert.equal(details.googleMapsUrl, 'https://www.openstreetmap.org/node/123');
+    assert.equal(requests.at(-1).params.osm_ids, 'N123');
+  } finally {
+    server.close();
+  }
+});
+
+test('Nominatim requests are spaced out by the configured interval', async () => {
+  const osm = createOsmProvider({
+    nominatimUrl: 'https://nominatim.test',
+    osrmUrl: 'https://osrm.test',
+    overpassUrl: 'https://overpass.test',
+    userAgent: 'test',
+    nominatimIntervalMs: 100
+  });
+  requests.length = 0;
+  await Promise.all(['a', 'b', 'c'].map(address => osm.geocode(address)));
+  assert.equal(requests.length, 3);
+  for (let i = 1; i < requests.length; i++) {
+    assert.ok(requests[i].at - requests[i - 1].at >= 95, `request ${i} came too soon`);
+  }
+});
+
+test('every provider request is counted, and an exhausted daily limit answers 429', async () => {
+  process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+  setSetting('map_provider', 'google');
+  const destinations = Array.from({ length: 30 }, (_, i) => ({ lat: 38.9 + i * 0.01, lng: -77.2 }));
+  const times = await getTravelTimes({ lat: 38.9, lng: -77.2 }, destinations, 'driving');
+  assert.equal(times.length, 30);
+  // 25 destinations per Distance Matrix request
+  assert.equal(getMapsUsageCount(today(), 'google', 'distance_matrix'), 2);
+
+  setSetting('maps_daily_limit_geocode', '1');
+  const { server, base } = listen();
+  try {
+    assert.equal((await fetch(`${base}/geocode?address=first`)).status, 200);
+    const blocked = await fetch(`${base}/geocode?address=second`);
+    assert.equal(blocked.status, 429);
+    assert.match((await blocked.json()).error, /Daily limit of 1 geocode requests/);
+  } finally {
+    server.close();
+  }
+});
+
+test('coordinate strings are answered without a provider request, even past the daily limit', async () => {
+  setSetting('map_provider', 'google');
+  setSetting('maps_daily_limit_geocode', '1');
+  const used = getMapsUsageCount(today(), 'google', 'geocode');
+  requests.length = 0;
+  assert.deepEqual(await geocode('38.9012,-77.2345'), { lat: 38.9012, lng: -77.2345 });
+  assert.deepEqual(await geocode(' -33.86 , 151.2 '), { lat: -33.86, lng: 151.2 });
+  assert.equal(requests.length, 0);
+  assert.equal(getMapsUsageCount(today(), 'google', 'geocode'), used);
+});
@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+const dbPath = path.join(os.tmpdir(), `place-search-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+
+const { setSetting } = await import('../db/index.js');
+const { findPlaces, findMorePlaces, encodeCursor } = await import('../services/maps/placeSearch.js');
+
+// Overpass answers with 45 named cafes spread out north of the search center
+const ELEMENTS = Array.from({ length: 45 }, (_, i) => ({
+  type: 'node', id: i + 1, lat: 38.9 + i * 0.001, lon: -77.2, tags: { name: `Cafe ${i + 1}`, amenity: 'cafe' }
+}));
+axios.defaults.adapter = async (config) => ({ data: { elements: ELEMENTS }, status: 200, statusText: 'OK', headers: {}, config });
+
+after(() => fs.rmSync(dbPath, { force: true }));
+
+test('load more continues after the places already returned, without gaps or repeats', async () => {
+  setSetting('map_provider', 'osm');
+  let { places, cursor } = await findPlaces('cafe', { lat: 38.9, lng: -77.2 }, { limit: 7 });
+  assert.equal(places.length, 7);
+  const seen = places.map(p => p.placeId);
+
+  while (cursor) {
+    const result = await findMorePlaces(cursor);
+    assert.ok(result.places.length > 0 && result.places.length <= 7);
+    seen.push(...result.places.map(p => p.placeId));
+    cursor = result.cursor;
+  }
+
+  assert.equal(new Set(seen).size, seen.length);
+  assert.equal(seen.length, ELEMENTS.length);
+});
+
+test('a cursor for an expired reachable area is rejected with an error', async () => {
+  const cursor = encodeCursor({ query: 'cafe', location: { lat: 38.9, lng: -77.2 }, pageToken: '20', areaId: 'area_missing' });
+  assert.deepEqual(await findMorePlaces(cursor), { error: 'The search area has expired; search again' });
+  assert.deepEqual(await findMorePlaces('not-a-cursor'), { error: 'Invalid cursor' });
+});
@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+// A throwaway database, a scripted model and no real OSRM traffic
+const dbPath = path.join(os.tmpdir(), `reachable-area-test-${process.pid}.db`);
+const fixturePath = path.join(os.tmpdir(), `reachable-area-test-${process.pid}.json`);
+process.env.DATABASE_PATH = dbPath;
+process.env.LLM_PROVIDER = 'fake';
+process.env.FAKE_LLM_FIXTURE = fixturePath;
+
+fs.writeFileSync(fixturePath, JSON.stringify({
+  chat: [
+    { text: '', functionCalls: [{ name: 'show_reachable_area', args: { minutes: 15, mode: 'driving' } }] },
+    { text: 'Here is everything within a 15 minute drive.' }
+  ]
+}));
+
+// Every probe point is 5 minutes away
+axios.defaults.adapter = async (config) => {
+  const count = config.url.split('/').pop().split(';').length;
+  const data = { code: 'Ok', durations: [Array.from({ length: count }, (_, i) => (i === 0 ? 0 : 300))] };
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+const { setSetting } = await import('../db/index.js');
+const { chat } = await import('../services/gemini.js');
+
+after(() => {
+  fs.rmSync(dbPath, { force: true });
+  fs.rmSync(fixturePath, { force: true });
+});
+
+test('show_reachable_area without a location centers on the user location resolved for the request', async () => {
+  setSetting('map_provider', 'osm');
+  const userLocation = { lat: 38.9, lng: -77.2, description: 'Vienna, VA', source: 'browser' };
+  const result = await chat([{ role: 'user', content: 'What can I reach in 15 minutes?' }], [], userLocation);
+
+  const call = result.toolCalls.find(c => c.name === 'show_reachable_area');
+  assert.equal(call.error, null);
+  assert.equal(result.mapData.type, 'isochrone');
+  assert.deepEqual(result.mapData.center, { lat: 38.9, lng: -77.2 });
+  assert.equal(result.mapData.markers[0].title, 'Vienna, VA');
+});
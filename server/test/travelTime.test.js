@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+const dbPath = path.join(os.tmpdir(), `travel-time-test-${process.pid}.db`);
+process.env.DATABASE_PATH = dbPath;
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+
+// Distance Matrix answers one minute for every pair
+const requests = [];
+axios.defaults.adapter = async (config) => {
+  requests.push(config);
+  const origins = config.params.origins.split('|');
+  const destinations = config.params.destinations.split('|');
+  const data = {
+    status: 'OK',
+    origin_addresses: origins,
+    destination_addresses: destinations,
+    rows: origins.map(() => ({
+      elements: destinations.map(() => ({ status: 'OK', distance: { text: '1 km', value: 1000 }, duration: { text: '1 min', value: 60 } }))
+    }))
+  };
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+const { setSetting } = await import('../db/index.js');
+const { parseTravelTime, executeFunctionCall } = await import('../services/functionCalling.js');
+
+after(() => fs.rmSync(dbPath, { force: true }));
+
+const epoch = (iso) => Date.parse(iso) / 1000;
+
+test('a time without an offset is read in the user\'s time zone', () => {
+  assert.equal(parseTravelTime('2025-05-01T08:00:00', 'America/New_York'), epoch('2025-05-01T12:00:00Z'));
+  assert.equal(parseTravelTime('2025-01-15T08:00', 'America/New_York'), epoch('2025-01-15T13:00:00Z'));
+  assert.equal(parseTravelTime('2025-05-01T08:00:00', 'Asia/Tokyo'), epoch('2025-04-30T23:00:00Z'));
+  assert.equal(parseTravelTime('2025-05-01', 'Europe/Berlin'), epoch('2025-04-30T22:00:00Z'));
+});
+
+test('wall-clock times right after a DST change get the new offset', () => {
+  // US clocks went forward at 02:00 on 2025-03-09
+  assert.equal(parseTravelTime('2025-03-09T03:30:00', 'America/New_York'), epoch('2025-03-09T07:30:00Z'));
+  assert.equal(parseTravelTime('2025-03-09T01:30:00', 'America/New_York'), epoch('2025-03-09T06:30:00Z'));
+});
+
+test('explicit offsets win, and bad input is reported', () => {
+  assert.equal(parseTravelTime('2025-05-01T08:00:00Z', 'America/New_York'), epoch('2025-05-01T08:00:00Z'));
+  assert.equal(parseTravelTime('2025-05-01T08:00:00+02:00', 'America/New_York'), epoch('2025-05-01T06:00:00Z'));
+  assert.equal(parseTravelTime(' Now ', 'America/New_York'), 'now');
+  assert.equal(parseTravelTime(undefined, 'America/New_York'), undefined);
+  assert.equal(parseTravelTime('next tuesday-ish', 'America/New_York'), null);
+  // An unknown zone falls back to the server's own
+  assert.equal(parseTravelTime('2025-05-01T08:00:00', 'Mars/Olympus'), epoch('2025-05-01T08:00:00'));
+});
+
+test('compare_travel_times asks for traffic at the user\'s local departure time', async () => {
+  setSetting('map_provider', 'google');
+  const result = await executeFunctionCall('compare_travel_times', {
+    origins: ['Office'],
+    destinations: ['Hotel A', 'Hotel B'],
+    departure_time: '2030-05-01T08:00:00'
+  }, null, null, 'America/Los_Angeles');
+  assert.equal(result.success, true);
+  assert.equal(requests.at(-1).params.departure_time, epoch('2030-05-01T15:00:00Z'));
+});